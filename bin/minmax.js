@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Command-line batch runner for the min-max game
+ *
+ * Runs the simulation without a browser and writes one record per iteration
+ * (positions, losses and gradient norms) as CSV or JSON Lines, e.g.
+ *
+ *   node bin/minmax.js --landscape gaussian --attack 7 --defense 5 --steps 2000 --seed 42 --out run.csv
+ *
+ * Positions are in grid cells (x = column, y = row from the top), the same
+ * coordinates the browser view uses. Gradient norms are noise-free and read
+ * through the selected sampling mode.
+ */
+import { createWriteStream } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { GameEngine } from '../src/utils/gameEngine.js';
+import { LANDSCAPE_PRESETS, CUSTOM_LANDSCAPE, DEFAULT_CUSTOM_LANDSCAPE } from '../src/utils/landscapes.js';
+import { OPTIMIZERS, createOptimizerConfig } from '../src/utils/optimizers.js';
+import { UPDATE_RULES } from '../src/utils/updateRules.js';
+import { GAME_MODES } from '../src/utils/gameUtils.js';
+import { SAMPLING_MODES } from '../src/utils/sampling.js';
+import { normalizeSeed } from '../src/utils/random.js';
+import { ExpressionError } from '../src/utils/expression.js';
+
+const FORMATS = ['csv', 'jsonl'];
+
+const COLUMNS = [
+  'iteration',
+  'defender_x',
+  'defender_y',
+  'adversary_x',
+  'adversary_y',
+  'defender_loss',
+  'adversary_loss',
+  'defender_grad_norm',
+  'adversary_grad_norm'
+];
+
+const ids = (list) => list.map(item => item.id).join(', ');
+
+const USAGE = `Usage: node bin/minmax.js [options]
+
+Options:
+  --landscape <id>           ${ids(LANDSCAPE_PRESETS)}, ${CUSTOM_LANDSCAPE} (default: gaussian)
+  --expression <formula>     Formula in x and y for --landscape ${CUSTOM_LANDSCAPE}
+  --attack <1-10>            Adversary strength (default: 5)
+  --defense <1-10>           Defender strength (default: 5)
+  --steps <n>                Number of iterations (default: 1000)
+  --seed <n>                 Random seed (default: 42)
+  --mode <id>                ${ids(GAME_MODES)} (default: independent)
+  --update-rule <id>         ${ids(UPDATE_RULES)} (default: simultaneous)
+  --defender-optimizer <id>  ${ids(OPTIMIZERS)} (default: momentum)
+  --adversary-optimizer <id> Same choices as --defender-optimizer
+  --sampling <id>            ${ids(SAMPLING_MODES)} (default: analytic)
+  --width <px>               Canvas width the grid is sized for (default: 800)
+  --height <px>              Canvas height the grid is sized for (default: 600)
+  --format <csv|jsonl>       Output format (default: from the --out extension, else csv)
+  --out <file>               Output file (default: standard output)
+  -h, --help                 Show this help
+`;
+
+/**
+ * Error raised for invalid command-line arguments
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const parseNumber = (name, text, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  const value = Number(text);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = Number.isFinite(min) && Number.isFinite(max) ? ` between ${min} and ${max}` : '';
+    throw new UsageError(`--${name} must be ${integer ? 'an integer' : 'a number'}${range}, got '${text}'`);
+  }
+  return value;
+};
+
+const parseChoice = (name, value, list) => {
+  if (!list.some(item => item.id === value)) {
+    throw new UsageError(`Unknown --${name} '${value}'; choose one of: ${ids(list)}`);
+  }
+  return value;
+};
+
+/**
+ * Turns parsed command-line values into engine settings and output options
+ */
+const buildConfig = (values) => {
+  const landscape = values.landscape;
+  if (landscape !== CUSTOM_LANDSCAPE) {
+    parseChoice('landscape', landscape, LANDSCAPE_PRESETS);
+  }
+  if (values.expression !== undefined && landscape !== CUSTOM_LANDSCAPE) {
+    throw new UsageError(`--expression requires --landscape ${CUSTOM_LANDSCAPE}`);
+  }
+
+  const rule = UPDATE_RULES.find(option => option.id === values['update-rule']);
+  if (rule?.coupledOnly && values.mode !== 'coupled') {
+    throw new UsageError(`--update-rule ${rule.id} requires --mode coupled`);
+  }
+
+  const format = values.format ??
+    (values.out && /\.(jsonl|ndjson|json)$/i.test(values.out) ? 'jsonl' : 'csv');
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unknown --format '${format}'; choose one of: ${FORMATS.join(', ')}`);
+  }
+
+  return {
+    steps: parseNumber('steps', values.steps, { min: 0, integer: true }),
+    format,
+    out: values.out,
+    settings: {
+      width: parseNumber('width', values.width, { min: 20 }),
+      height: parseNumber('height', values.height, { min: 20 }),
+      seed: normalizeSeed(parseNumber('seed', values.seed, { min: 0, integer: true })),
+      landscape,
+      customLandscape: { ...DEFAULT_CUSTOM_LANDSCAPE, expression: values.expression ?? DEFAULT_CUSTOM_LANDSCAPE.expression },
+      attackStrength: parseNumber('attack', values.attack, { min: 1, max: 10 }),
+      defenseStrength: parseNumber('defense', values.defense, { min: 1, max: 10 }),
+      gameMode: parseChoice('mode', values.mode, GAME_MODES),
+      updateRule: parseChoice('update-rule', values['update-rule'], UPDATE_RULES),
+      defenderOptimizer: createOptimizerConfig(parseChoice('defender-optimizer', values['defender-optimizer'], OPTIMIZERS)),
+      adversaryOptimizer: createOptimizerConfig(parseChoice('adversary-optimizer', values['adversary-optimizer'], OPTIMIZERS)),
+      samplingMode: parseChoice('sampling', values.sampling, SAMPLING_MODES)
+    }
+  };
+};
+
+const norm = (gradient) => Math.sqrt(gradient.dx * gradient.dx + gradient.dy * gradient.dy);
+
+/**
+ * One output record for the engine's current state
+ */
+const recordFor = (engine) => {
+  const { iteration, defender, adversary, defenderLoss, adversaryLoss } = engine.getState();
+  return {
+    iteration,
+    defender_x: defender.x,
+    defender_y: defender.y,
+    adversary_x: adversary.x,
+    adversary_y: adversary.y,
+    defender_loss: defenderLoss,
+    adversary_loss: adversaryLoss,
+    defender_grad_norm: norm(engine.getGradient(defender)),
+    adversary_grad_norm: norm(engine.getGradient(adversary))
+  };
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      landscape: { type: 'string', default: 'gaussian' },
+      expression: { type: 'string' },
+      attack: { type: 'string', default: '5' },
+      defense: { type: 'string', default: '5' },
+      steps: { type: 'string', default: '1000' },
+      seed: { type: 'string', default: '42' },
+      mode: { type: 'string', default: 'independent' },
+      'update-rule': { type: 'string', default: 'simultaneous' },
+      'defender-optimizer': { type: 'string', default: 'momentum' },
+      'adversary-optimizer': { type: 'string', default: 'momentum' },
+      sampling: { type: 'string', default: 'analytic' },
+      width: { type: 'string', default: '800' },
+      height: { type: 'string', default: '600' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const { steps, format, out, settings } = buildConfig(values);
+  // Landscape errors (e.g. an invalid --expression) are thrown, so they end the run before any output
+  const engine = new GameEngine(settings, { throwErrors: true });
+  const output = out ? createWriteStream(out) : process.stdout;
+
+  // Stop quietly when the reader goes away, e.g. when piped into `head`
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+  });
+
+  const write = (record) => {
+    const line = format === 'csv'
+      ? COLUMNS.map(column => record[column]).join(',')
+      : JSON.stringify(record);
+    if (!output.write(line + '\n')) {
+      return new Promise(resolve => output.once('drain', resolve));
+    }
+    return null;
+  };
+
+  if (format === 'csv') {
+    output.write(COLUMNS.join(',') + '\n');
+  }
+
+  await write(recordFor(engine));
+  for (let i = 0; i < steps; i++) {
+    engine.step();
+    await write(recordFor(engine));
+  }
+
+  if (out) {
+    await new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(resolve);
+    });
+    const { preset } = engine.getState();
+    process.stderr.write(`Wrote ${steps + 1} rows (${preset.name}, seed ${settings.seed}) to ${out}\n`);
+  }
+};
+
+main().catch(error => {
+  if (error instanceof UsageError || error instanceof ExpressionError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+  } else {
+    console.error("Error running simulation:", error);
+  }
+  process.exit(1);
+});
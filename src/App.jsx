@@ -1,8 +1,36 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
 import styled from 'styled-components';
 import MinMaxGame from './components/MinMaxGame';
 import GameControls from './components/GameControls';
 import InfoPanel from './components/InfoPanel';
+import ExpressionEditor from './components/ExpressionEditor';
+import SweepPanel from './components/SweepPanel';
+import Timeline from './components/Timeline';
+import ExportPanel from './components/ExportPanel';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import { DEFAULT_SEED } from './utils/random';
+import {
+  DEFAULT_LANDSCAPE,
+  CUSTOM_LANDSCAPE,
+  IMPORTED_LANDSCAPE,
+  DEFAULT_CUSTOM_LANDSCAPE
+} from './utils/landscapes';
+import { importLandscapeFile, ImportError } from './utils/importers';
+import { createOptimizerConfig } from './utils/optimizers';
+import { DEFAULT_UPDATE_RULE } from './utils/updateRules';
+import { DEFAULT_PGD_CONFIG } from './utils/pgd';
+import { DEFAULT_SAMPLING_MODE } from './utils/sampling';
+import { DEFAULT_ENSEMBLE_CONFIG } from './utils/ensemble';
+import { DEFAULT_POPULATION_CONFIG } from './utils/populations';
+import { DEFAULT_CONTOUR_OPTIONS } from './utils/contours';
+import { DEFAULT_BREAKPOINTS } from './utils/breakpoints';
+import { DEFAULT_LOSS_CHART_OPTIONS } from './utils/lossChart';
+import { DEFAULT_GAME_MODE } from './utils/gameUtils';
+import { GameEngine, DEFAULT_RESOLUTION } from './utils/gameEngine';
+import { SimulationWorker } from './utils/simulationWorker';
+import { HistoryRecorder } from './utils/recorder';
+import { createSession, parseSession, matchesSession, SessionError } from './utils/session';
+import { downloadBlob } from './utils/download';
 
 const AppContainer = styled.div`
   width: 100%;
@@ -44,13 +72,215 @@ const MainContent = styled.main`
   }
 `;
 
+const GameColumn = styled.div`
+  min-width: 0;
+`;
+
 function App() {
   const [animationSpeed, setAnimationSpeed] = useState(5);
   const [isRunning, setIsRunning] = useState(false);
   const [showLoss, setShowLoss] = useState(true);
   const [showGradients, setShowGradients] = useState(true);
+  const [showCriticalPoints, setShowCriticalPoints] = useState(true);
+  const [showSurface, setShowSurface] = useState(false);
   const [attackStrength, setAttackStrength] = useState(5);
   const [defenseStrength, setDefenseStrength] = useState(5);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [landscape, setLandscape] = useState(DEFAULT_LANDSCAPE);
+  const [customLandscape, setCustomLandscape] = useState(DEFAULT_CUSTOM_LANDSCAPE);
+  
+  const [importedFile, setImportedFile] = useState(null);
+  const [importNormalization, setImportNormalization] = useState('linear');
+  const [importStatus, setImportStatus] = useState(null);
+  const [sessionStatus, setSessionStatus] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
+  const [sessionSize, setSessionSize] = useState(null);
+  const [defenderOptimizer, setDefenderOptimizer] = useState(() => createOptimizerConfig());
+  const [adversaryOptimizer, setAdversaryOptimizer] = useState(() => createOptimizerConfig());
+  const [updateRule, setUpdateRule] = useState(DEFAULT_UPDATE_RULE);
+  const [gameMode, setGameMode] = useState(DEFAULT_GAME_MODE);
+  const [pgd, setPgd] = useState(DEFAULT_PGD_CONFIG);
+  const [samplingMode, setSamplingMode] = useState(DEFAULT_SAMPLING_MODE);
+  const [ensemble, setEnsemble] = useState(DEFAULT_ENSEMBLE_CONFIG);
+  const [population, setPopulation] = useState(DEFAULT_POPULATION_CONFIG);
+  const [resolution, setResolution] = useState(DEFAULT_RESOLUTION);
+  const [contourOptions, setContourOptions] = useState(DEFAULT_CONTOUR_OPTIONS);
+  const [breakpoints, setBreakpoints] = useState(DEFAULT_BREAKPOINTS);
+  const [lossChart, setLossChart] = useState(DEFAULT_LOSS_CHART_OPTIONS);
+  
+  // The simulation itself; the canvas subscribes to it and the controls configure it.
+  // Landscapes, their contours and sweeps are computed in a Web Worker
+  const [worker] = useState(() => new SimulationWorker());
+  const [engine] = useState(() => new GameEngine({}, {
+    generateLandscape: (settings, signal) => worker.generateLandscape(settings, signal)
+  }));
+  // Every iteration since the landscape was generated, for the timeline
+  const [recorder] = useState(() => new HistoryRecorder(engine));
+  // The game view's handle, for exporting frames
+  const gameRef = useRef(null);
+  
+  const applyCustomLandscape = (definition) => {
+    setCustomLandscape(definition);
+    setLandscape(CUSTOM_LANDSCAPE);
+  };
+  
+  // A fired breakpoint pauses the run; MinMaxGame shows which one
+  const handleBreakpoint = useCallback(() => setIsRunning(false), []);
+  
+  // Loads a configuration picked from the sweep's phase diagram
+  const applySweepCell = ({ attackStrength, defenseStrength, seed }) => {
+    setIsRunning(false);
+    setAttackStrength(attackStrength);
+    setDefenseStrength(defenseStrength);
+    setSeed(seed);
+  };
+  
+  const importedLandscape = useMemo(
+    () => importedFile && { ...importedFile, normalization: importNormalization },
+    [importedFile, importNormalization]
+  );
+  
+  useEffect(() => {
+    engine.configure({
+      seed,
+      landscape,
+      customLandscape,
+      importedLandscape,
+      attackStrength,
+      defenseStrength,
+      defenderOptimizer,
+      adversaryOptimizer,
+      updateRule,
+      gameMode,
+      pgd,
+      samplingMode,
+      population,
+      resolution
+    });
+  }, [engine, seed, landscape, customLandscape, importedLandscape, attackStrength, defenseStrength,
+    defenderOptimizer, adversaryOptimizer, updateRule, gameMode, pgd, samplingMode, population, resolution]);
+  
+  // A loaded session: once the effect above has applied its settings, rebuild its landscape
+  // at the saved canvas size and hand its recording to the timeline. The saved size holds
+  // until the user resets, so resizing the window does not replace the recording.
+  useEffect(() => {
+    if (!pendingSession) return;
+    
+    const { settings, replay } = pendingSession;
+    setSessionSize({ width: settings.width, height: settings.height });
+    engine.configure({ width: settings.width, height: settings.height });
+    const off = engine.on('reset', () => {
+      off();
+      setPendingSession(null);
+      if (!matchesSession(pendingSession, engine)) {
+        setSessionSize(null);
+        setSessionStatus({ error: 'The landscape could not be rebuilt exactly, so only the settings were loaded' });
+        return;
+      }
+      try {
+        recorder.load(replay.frames);
+        recorder.seek(replay.iteration);
+        setSessionStatus({ message: `Loaded ${replay.frames.length} recorded iterations` });
+      } catch (error) {
+        console.error("Error restoring session:", error);
+        setSessionSize(null);
+        engine.reset();
+        setSessionStatus({ error: 'The recorded iterations could not be restored, so only the settings were loaded' });
+      }
+    });
+    engine.reset();
+    return off;
+  }, [engine, recorder, pendingSession]);
+  
+  const handleSaveSession = () => {
+    const state = engine.getState();
+    if (!state.grid) return;
+    
+    const session = createSession({
+      settings: engine.getSettings(),
+      grid: state.grid,
+      view: {
+        animationSpeed, showLoss, showGradients, showCriticalPoints, showSurface, contourOptions, lossChart, ensemble, breakpoints
+      },
+      frames: recorder.getFrames(),
+      iteration: state.iteration
+    });
+    downloadBlob(
+      new Blob([JSON.stringify(session)], { type: 'application/json' }),
+      `minmax-session-${seed}-${state.iteration}.json`
+    );
+    setSessionStatus({ message: `Saved ${session.replay.frames.length} recorded iterations` });
+  };
+  
+  const handleLoadSession = async (file) => {
+    setSessionStatus({ message: `Reading ${file.name}...` });
+    
+    try {
+      const session = parseSession(await file.text());
+      const { settings, landscape: definition, view } = session;
+      
+      setIsRunning(false);
+      setSeed(settings.seed);
+      setLandscape(settings.landscape);
+      if (definition.custom) setCustomLandscape(definition.custom);
+      if (definition.imported) {
+        const { normalization = 'linear', ...imported } = definition.imported;
+        setImportedFile(imported);
+        setImportNormalization(normalization);
+      }
+      setAttackStrength(settings.attackStrength);
+      setDefenseStrength(settings.defenseStrength);
+      setDefenderOptimizer(settings.defenderOptimizer);
+      setAdversaryOptimizer(settings.adversaryOptimizer);
+      setUpdateRule(settings.updateRule);
+      setGameMode(settings.gameMode);
+      setPgd(settings.pgd);
+      setSamplingMode(settings.samplingMode);
+      setPopulation(settings.population);
+      setResolution(settings.resolution);
+      
+      const views = {
+        animationSpeed: setAnimationSpeed,
+        showLoss: setShowLoss,
+        showGradients: setShowGradients,
+        showCriticalPoints: setShowCriticalPoints,
+        showSurface: setShowSurface,
+        contourOptions: setContourOptions,
+        lossChart: setLossChart,
+        ensemble: setEnsemble,
+        breakpoints: setBreakpoints
+      };
+      for (const [key, setter] of Object.entries(views)) {
+        if (view[key] !== undefined) setter(view[key]);
+      }
+      
+      setPendingSession(session);
+      setSessionStatus({ message: `Rebuilding the landscape of ${file.name}...` });
+    } catch (error) {
+      if (!(error instanceof SessionError)) {
+        console.error("Error loading session:", error);
+      }
+      setSessionStatus({ error: error instanceof SessionError ? error.message : `Could not read ${file.name}` });
+    }
+  };
+  
+  const handleImportFile = async (file) => {
+    setImportStatus({ message: `Reading ${file.name}...` });
+    
+    try {
+      const imported = await importLandscapeFile(file);
+      setImportedFile(imported);
+      setLandscape(IMPORTED_LANDSCAPE);
+      setImportStatus({
+        message: `Loaded ${imported.name} (${imported.matrix.length}×${imported.matrix[0].length})`
+      });
+    } catch (error) {
+      if (!(error instanceof ImportError)) {
+        console.error("Error importing landscape:", error);
+      }
+      setImportStatus({ error: error instanceof ImportError ? error.message : `Could not read ${file.name}` });
+    }
+  };
   
   return (
     <AppContainer>
@@ -63,18 +293,41 @@ function App() {
       </Header>
       
       <MainContent>
-        <MinMaxGame 
-          isRunning={isRunning}
-          animationSpeed={animationSpeed}
-          showLoss={showLoss}
-          showGradients={showGradients}
-          attackStrength={attackStrength}
-          defenseStrength={defenseStrength}
-        />
+        <GameColumn>
+          <MinMaxGame 
+            ref={gameRef}
+            engine={engine}
+            worker={worker}
+            recorder={recorder}
+            gridSize={sessionSize}
+            isRunning={isRunning}
+            animationSpeed={animationSpeed}
+            showLoss={showLoss}
+            showGradients={showGradients}
+            showCriticalPoints={showCriticalPoints}
+            contourOptions={contourOptions}
+            showSurface={showSurface}
+            lossChart={lossChart}
+            ensemble={ensemble}
+            breakpoints={breakpoints}
+            onBreakpoint={handleBreakpoint}
+            onImportFile={handleImportFile}
+          />
+          
+          <Timeline
+            recorder={recorder}
+            setIsRunning={setIsRunning}
+          />
+        </GameColumn>
         
         <InfoPanel />
       </MainContent>
       
+      <DiagnosticsPanel
+        engine={engine}
+        recorder={recorder}
+      />
+      
       <GameControls 
         isRunning={isRunning}
         setIsRunning={setIsRunning}
@@ -84,10 +337,70 @@ function App() {
         setShowLoss={setShowLoss}
         showGradients={showGradients}
         setShowGradients={setShowGradients}
+        showCriticalPoints={showCriticalPoints}
+        setShowCriticalPoints={setShowCriticalPoints}
+        showSurface={showSurface}
+        setShowSurface={setShowSurface}
+        lossChart={lossChart}
+        setLossChart={setLossChart}
         attackStrength={attackStrength}
         setAttackStrength={setAttackStrength}
         defenseStrength={defenseStrength}
         setDefenseStrength={setDefenseStrength}
+        seed={seed}
+        setSeed={setSeed}
+        landscape={landscape}
+        setLandscape={setLandscape}
+        importedName={importedFile && importedFile.name}
+        onImportFile={handleImportFile}
+        importNormalization={importNormalization}
+        setImportNormalization={setImportNormalization}
+        importStatus={importStatus}
+        defenderOptimizer={defenderOptimizer}
+        setDefenderOptimizer={setDefenderOptimizer}
+        adversaryOptimizer={adversaryOptimizer}
+        setAdversaryOptimizer={setAdversaryOptimizer}
+        updateRule={updateRule}
+        setUpdateRule={setUpdateRule}
+        gameMode={gameMode}
+        setGameMode={setGameMode}
+        pgd={pgd}
+        setPgd={setPgd}
+        samplingMode={samplingMode}
+        setSamplingMode={setSamplingMode}
+        ensemble={ensemble}
+        setEnsemble={setEnsemble}
+        population={population}
+        setPopulation={setPopulation}
+        resolution={resolution}
+        setResolution={setResolution}
+        contourOptions={contourOptions}
+        setContourOptions={setContourOptions}
+        breakpoints={breakpoints}
+        setBreakpoints={setBreakpoints}
+        onStep={() => engine.step()}
+        onReset={() => setSessionSize(null)}
+        onSaveSession={handleSaveSession}
+        onLoadSession={handleLoadSession}
+        sessionStatus={sessionStatus}
+      />
+      
+      <ExportPanel
+        engine={engine}
+        recorder={recorder}
+        gameRef={gameRef}
+        setIsRunning={setIsRunning}
+      />
+      
+      <SweepPanel
+        engine={engine}
+        worker={worker}
+        onSelect={applySweepCell}
+      />
+      
+      <ExpressionEditor
+        customLandscape={customLandscape}
+        onApply={applyCustomLandscape}
       />
     </AppContainer>
   );
@@ -0,0 +1,261 @@
+import React, { useRef, useEffect, useState, useMemo, useCallback, useSyncExternalStore } from 'react';
+import styled from 'styled-components';
+import * as d3 from 'd3';
+import { DIAGNOSTICS, diagnoseFrame, collectDiagnostics, describeConvergence } from '../utils/diagnostics';
+import { GRID_COLOR, LABEL_COLOR, FONT_FAMILY, formatTick, frameGradients } from '../utils/charts';
+
+const PanelContainer = styled.div`
+  background-color: var(--card-bg);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+  border: 1px solid var(--border-color);
+`;
+
+const PanelTitle = styled.h3`
+  font-size: 1.2rem;
+  margin-bottom: 1rem;
+  border-bottom: 1px solid var(--border-color);
+  padding-bottom: 0.5rem;
+  color: #fff;
+`;
+
+const MetricGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+  gap: 1rem;
+  margin-bottom: 1rem;
+`;
+
+const MetricCard = styled.div`
+  padding: 0.75rem;
+  border-radius: 6px;
+  background: rgba(255, 255, 255, 0.05);
+  opacity: ${props => props.disabled ? 0.4 : 1};
+`;
+
+const MetricName = styled.div`
+  margin-bottom: 0.4rem;
+  font-size: 0.85rem;
+  font-weight: 600;
+  color: #f0f0f0;
+  cursor: help;
+
+  span {
+    margin-left: 0.3rem;
+    color: #aaa;
+    font-weight: 400;
+  }
+`;
+
+const MetricValues = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.75rem;
+  margin-bottom: 0.5rem;
+  font-size: 0.85rem;
+  font-variant-numeric: tabular-nums;
+`;
+
+const MetricCanvas = styled.canvas`
+  display: block;
+  width: 100%;
+  height: 70px;
+  background-color: rgba(0, 0, 0, 0.3);
+  border-radius: 2px;
+`;
+
+const HintText = styled.p`
+  margin: 0;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: #aaa;
+`;
+
+const MARGIN = { top: 6, right: 6, bottom: 14, left: 34 };
+
+const FONT = `9px ${FONT_FAMILY}`;
+
+/**
+ * One diagnostic's series over the whole recording, with the iteration on show marked
+ *
+ * @param {Object} props - { metric: see DIAGNOSTICS, values: { [series key]: values }, iteration }
+ */
+const MetricChart = ({ metric, values, iteration }) => {
+  const canvasRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  // The canvas is sized in CSS, so redraw whenever the card's width changes
+  useEffect(() => {
+    const resizeObserver = new ResizeObserver(entries => {
+      const { width, height } = entries[0].contentRect;
+      setSize({ width, height });
+    });
+
+    resizeObserver.observe(canvasRef.current);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) return; // Safety check
+
+    try {
+      const { width, height } = size;
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      ctx.setTransform(2, 0, 0, 2, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      const last = values ? values[metric.series[0].key].length - 1 : 0;
+      if (last < 1) return;
+
+      const plot = { left: MARGIN.left, top: MARGIN.top, right: width - MARGIN.right, bottom: height - MARGIN.bottom };
+      const x = d3.scaleLinear().domain([0, last]).range([plot.left, plot.right]);
+      const max = d3.max(metric.series, ({ key }) => d3.max(values[key]));
+      const y = d3.scaleLinear()
+        .domain(metric.range || [0, max > 0 ? max : 1])
+        .range([plot.bottom, plot.top])
+        .nice();
+
+      ctx.font = FONT;
+      ctx.lineWidth = 0.5;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (const tick of y.ticks(2)) {
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y(tick));
+        ctx.lineTo(plot.right, y(tick));
+        ctx.stroke();
+        ctx.fillStyle = LABEL_COLOR;
+        ctx.fillText(metric.range ? metric.format(tick) : formatTick(tick), plot.left - 3, y(tick));
+      }
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (const tick of x.ticks(4).filter(Number.isInteger)) {
+        ctx.fillStyle = LABEL_COLOR;
+        ctx.fillText(d3.format('d')(tick), x(tick), plot.bottom + 2);
+      }
+
+      // Missing values (before a step, or where a metric is undefined) break the line
+      for (const series of metric.series) {
+        ctx.strokeStyle = `rgba(${series.rgb}, 0.9)`;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        d3.line()
+          .defined(value => value !== null)
+          .x((_, k) => x(k))
+          .y(value => y(value))
+          .context(ctx)(values[series.key]);
+        ctx.stroke();
+      }
+
+      if (iteration < last) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x(iteration), plot.top);
+        ctx.lineTo(x(iteration), plot.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    } catch (error) {
+      console.error("Error rendering diagnostics chart:", error);
+    }
+  }, [metric, values, iteration, size]);
+
+  return <MetricCanvas ref={canvasRef} />;
+};
+
+/**
+ * Diagnostics of the recorded run, each charted over time: gradient norms,
+ * step sizes, separation, duality gap, loss variance and convergence
+ *
+ * Hovering a metric's name shows its definition. Values are those of the
+ * iteration on show, so they follow the timeline.
+ *
+ * @param {Object} props - { engine, recorder }
+ */
+const DiagnosticsPanel = ({ engine, recorder }) => {
+  const subscribe = useCallback(listener => recorder.subscribe(listener), [recorder]);
+  const recording = useSyncExternalStore(subscribe, () => recorder.getState());
+  const { iteration } = recording;
+
+  const subscribeEngine = useCallback(listener => engine.on('change', listener), [engine]);
+  const settings = useSyncExternalStore(subscribeEngine, () => engine.getSettings());
+  const { grid, samplingMode } = useSyncExternalStore(subscribeEngine, () => engine.getState());
+  const coupled = settings.gameMode === 'coupled';
+
+  // Snapshots never change once recorded, but their measurements depend on the
+  // landscape, how it is sampled and the game mode: a change to any measures them afresh
+  const measurementCache = useMemo(() => new WeakMap(), [grid, samplingMode, coupled]);
+
+  const diagnostics = useMemo(() => {
+    const frames = recorder.getFrames();
+    if (frames.length === 0 || !grid) return null;
+
+    const landscape = { grid, samplingMode, gradientAt: point => engine.getGradient(point) };
+    const context = {
+      coupled,
+      grid,
+      gradientsOf: frame => frameGradients(frame, landscape)
+    };
+    const measurements = frames.map((frame, k) => {
+      if (!measurementCache.has(frame)) {
+        measurementCache.set(frame, diagnoseFrame(frame, frames[k - 1] || null, context));
+      }
+      return measurementCache.get(frame);
+    });
+    return collectDiagnostics(measurements, frames.map(frame => frame.defenderLoss));
+  }, [engine, recorder, recording, grid, samplingMode, coupled, measurementCache]);
+
+  return (
+    <PanelContainer>
+      <PanelTitle>Diagnostics</PanelTitle>
+
+      <MetricGrid>
+        {DIAGNOSTICS.map(metric => {
+          const disabled = (metric.independentOnly && coupled) || (metric.coupledOnly && !coupled);
+          const values = diagnostics && !disabled ? diagnostics[metric.id] : null;
+          const current = (key) => {
+            const value = values?.[key][iteration];
+            return value === null || value === undefined ? '–' : metric.format(value);
+          };
+
+          return (
+            <MetricCard key={metric.id} disabled={disabled}>
+              <MetricName title={metric.description}>
+                {metric.name}
+                {metric.id === 'convergence' && values && values.value[iteration] !== null && (
+                  <span>{describeConvergence(values.value[iteration])}</span>
+                )}
+              </MetricName>
+              <MetricValues>
+                {metric.series.map(series => (
+                  <span key={series.key} style={{ color: `rgb(${series.rgb})` }}>
+                    {metric.series.length > 1 && `${series.name}: `}{current(series.key)}
+                  </span>
+                ))}
+              </MetricValues>
+              <MetricChart metric={metric} values={values} iteration={iteration} />
+            </MetricCard>
+          );
+        })}
+      </MetricGrid>
+
+      <HintText>
+        Hover a metric's name for its definition. Values are for the iteration on the timeline; with
+        populations they describe the players' mean positions.
+      </HintText>
+    </PanelContainer>
+  );
+};
+
+export default DiagnosticsPanel;
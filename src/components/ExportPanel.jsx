@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import styled from 'styled-components';
+import {
+  EXPORT_SCALES,
+  EXPORT_FRAME_RATES,
+  DEFAULT_EXPORT_OPTIONS,
+  canvasToPng,
+  canRecordWebm,
+  recordCanvas
+} from '../utils/frameExport';
+import { GifEncoder } from '../utils/gifEncoder';
+import { downloadBlob } from '../utils/download';
+
+const PanelContainer = styled.div`
+  background-color: var(--card-bg);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+  border: 1px solid var(--border-color);
+`;
+
+const PanelTitle = styled.h3`
+  font-size: 1.2rem;
+  margin-bottom: 1rem;
+  border-bottom: 1px solid var(--border-color);
+  padding-bottom: 0.5rem;
+  color: #fff;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  margin-bottom: 0.5rem;
+  font-size: 0.9rem;
+  color: #f0f0f0;
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 1rem;
+  margin-bottom: 1rem;
+`;
+
+const Field = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: ${props => props.width || '80px'};
+`;
+
+const NumberInput = styled.input`
+  width: 100%;
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+`;
+
+const Select = styled.select`
+  width: 100%;
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+
+  option {
+    background-color: var(--bg-color);
+  }
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  font-size: 0.9rem;
+  color: #f0f0f0;
+  cursor: pointer;
+
+  input {
+    margin-right: 0.5rem;
+    cursor: pointer;
+  }
+`;
+
+const ExportButton = styled.button`
+  padding: 0.5rem 1rem;
+  border-radius: 6px;
+  font-weight: 600;
+  font-size: 0.9rem;
+  background-color: ${props => props.active ? 'var(--adversary-color)' : 'rgba(255, 255, 255, 0.1)'};
+  color: white;
+  transition: all 0.2s ease;
+
+  &:hover:enabled {
+    background-color: ${props => props.active ? 'var(--adversary-color)' : 'rgba(255, 255, 255, 0.2)'};
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const ProgressBar = styled.div`
+  height: 6px;
+  margin-bottom: 1rem;
+  border-radius: 3px;
+  background: rgba(255, 255, 255, 0.1);
+  overflow: hidden;
+
+  div {
+    height: 100%;
+    width: ${props => props.value * 100}%;
+    background: var(--gradient-end);
+    transition: width 0.1s linear;
+  }
+`;
+
+const StatusText = styled.p`
+  margin: 0 0 0.5rem;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: ${props => props.error ? 'var(--adversary-color)' : '#aaa'};
+`;
+
+const HintText = styled.p`
+  margin: 0;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: #aaa;
+`;
+
+const ANIMATION_FORMATS = {
+  gif: { name: 'GIF', extension: 'gif' },
+  webm: { name: 'WebM', extension: 'webm' }
+};
+
+// Resolves once React has rendered the engine's new state and the canvases have been redrawn
+const nextPaint = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+
+/**
+ * Clamps a typed iteration to the recording
+ */
+const clampIteration = (text, last) => Math.min(Math.max(parseInt(text) || 0, 0), last);
+
+/**
+ * PNG snapshots of the view, and GIF or WebM animations of recorded iterations
+ *
+ * Animations replay the recording (see HistoryRecorder): each iteration of the
+ * range is restored, drawn, and composited with the stats panel and the loss
+ * graph, then the view returns to the iteration it was on.
+ *
+ * @param {Object} props - { engine, recorder, gameRef: MinMaxGame's handle (captureFrame), setIsRunning }
+ */
+const ExportPanel = ({ engine, recorder, gameRef, setIsRunning }) => {
+  const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [range, setRange] = useState({ from: 0, to: null });
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState(null);
+  const abortRef = useRef(null);
+
+  const subscribe = useCallback(listener => recorder.subscribe(listener), [recorder]);
+  const { length, iteration } = useSyncExternalStore(subscribe, () => recorder.getState());
+  const last = Math.max(length - 1, 0);
+
+  // Until a range is chosen it covers the whole recording
+  const from = Math.min(range.from, last);
+  const to = range.to === null ? last : Math.min(Math.max(range.to, from), last);
+  const frameCount = Math.floor((to - from) / options.every) + 1;
+  const webmSupported = canRecordWebm();
+
+  // Stop an export when the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const updateOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const handleSnapshot = async () => {
+    try {
+      const canvas = gameRef.current.captureFrame(document.createElement('canvas'), {
+        scale: options.scale,
+        overlays: options.overlays
+      });
+      downloadBlob(await canvasToPng(canvas), `minmax-${engine.getSettings().seed}-${iteration}.png`);
+      setStatus({ message: `Saved iteration ${iteration} as PNG` });
+    } catch (error) {
+      console.error("Error exporting snapshot:", error);
+      setStatus({ error: 'Could not export the snapshot' });
+    }
+  };
+
+  const handleAnimation = async (format) => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsRunning(false);
+    setStatus(null);
+    setProgress({ format, value: 0 });
+
+    const { scale, frameRate, every } = options;
+    const resumeAt = recorder.getState().iteration;
+    const canvas = document.createElement('canvas');
+    let encoder = null;
+    let recording = null;
+    let started = 0;
+
+    try {
+      for (let k = 0; k < frameCount && !controller.signal.aborted; k++) {
+        recorder.seek(from + k * every);
+        await nextPaint();
+        gameRef.current.captureFrame(canvas, { scale, overlays: true });
+
+        if (format === 'gif') {
+          encoder ??= new GifEncoder(canvas.width, canvas.height, { frameRate });
+          encoder.addFrame(canvas.getContext('2d').getImageData(0, 0, encoder.width, encoder.height).data);
+        } else {
+          if (!recording) {
+            recording = recordCanvas(canvas, frameRate);
+            started = performance.now();
+          }
+          recording.frame();
+          // The recording runs in real time, so each frame is held for its share of a second
+          await wait(started + (k + 1) * 1000 / frameRate - performance.now());
+        }
+        setProgress({ format, value: (k + 1) / frameCount });
+      }
+
+      if (controller.signal.aborted) {
+        await recording?.stop();
+        setStatus({ message: `${ANIMATION_FORMATS[format].name} export cancelled` });
+      } else {
+        const blob = format === 'gif' ? encoder.finish() : await recording.stop();
+        downloadBlob(blob, `minmax-${engine.getSettings().seed}-${from}-${to}.${ANIMATION_FORMATS[format].extension}`);
+        setStatus({ message: `Exported iterations ${from}–${to} (${frameCount} frames) as ${ANIMATION_FORMATS[format].name}` });
+      }
+    } catch (error) {
+      console.error("Error exporting animation:", error);
+      setStatus({ error: `Could not export the ${ANIMATION_FORMATS[format].name}` });
+    } finally {
+      recorder.seek(resumeAt);
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const exporting = progress !== null;
+
+  return (
+    <PanelContainer>
+      <PanelTitle>Export</PanelTitle>
+
+      <OptionsRow>
+        <Field width="160px">
+          <FieldLabel htmlFor="exportScale">Resolution</FieldLabel>
+          <Select
+            id="exportScale"
+            value={options.scale}
+            disabled={exporting}
+            onChange={(e) => updateOption('scale', parseFloat(e.target.value))}
+          >
+            {EXPORT_SCALES.map(option => (
+              <option key={option.value} value={option.value}>{option.name}</option>
+            ))}
+          </Select>
+        </Field>
+
+        <CheckboxLabel>
+          <input
+            type="checkbox"
+            checked={options.overlays}
+            onChange={(e) => updateOption('overlays', e.target.checked)}
+          />
+          Stats and loss graph
+        </CheckboxLabel>
+
+        <ExportButton onClick={handleSnapshot} disabled={exporting}>
+          Save PNG
+        </ExportButton>
+      </OptionsRow>
+
+      <OptionsRow>
+        <Field>
+          <FieldLabel htmlFor="exportFrom">From</FieldLabel>
+          <NumberInput
+            id="exportFrom"
+            type="number"
+            min="0"
+            max={last}
+            value={from}
+            disabled={exporting}
+            onChange={(e) => {
+              const value = clampIteration(e.target.value, last);
+              setRange(prev => ({ ...prev, from: value }));
+            }}
+          />
+        </Field>
+
+        <Field>
+          <FieldLabel htmlFor="exportTo">To</FieldLabel>
+          <NumberInput
+            id="exportTo"
+            type="number"
+            min="0"
+            max={last}
+            value={to}
+            disabled={exporting}
+            onChange={(e) => {
+              // Following the end of the recording until another iteration is picked
+              const value = clampIteration(e.target.value, last);
+              setRange(prev => ({ ...prev, to: value === last ? null : value }));
+            }}
+          />
+        </Field>
+
+        <Field>
+          <FieldLabel htmlFor="exportEvery">Every</FieldLabel>
+          <NumberInput
+            id="exportEvery"
+            type="number"
+            min="1"
+            value={options.every}
+            disabled={exporting}
+            onChange={(e) => updateOption('every', Math.max(parseInt(e.target.value) || 1, 1))}
+          />
+        </Field>
+
+        <Field width="100px">
+          <FieldLabel htmlFor="exportFrameRate">Frame rate</FieldLabel>
+          <Select
+            id="exportFrameRate"
+            value={options.frameRate}
+            disabled={exporting}
+            onChange={(e) => updateOption('frameRate', parseInt(e.target.value))}
+          >
+            {EXPORT_FRAME_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate} fps</option>
+            ))}
+          </Select>
+        </Field>
+
+        {Object.entries(ANIMATION_FORMATS).map(([format, { name }]) => (
+          <ExportButton
+            key={format}
+            active={progress?.format === format}
+            disabled={(exporting && progress.format !== format) || (format === 'webm' && !webmSupported)}
+            onClick={() => handleAnimation(format)}
+          >
+            {progress?.format === format ? 'Cancel' : `Export ${name} (${frameCount} frames)`}
+          </ExportButton>
+        ))}
+      </OptionsRow>
+
+      {exporting && (
+        <ProgressBar value={progress.value}><div /></ProgressBar>
+      )}
+
+      {status && <StatusText error={Boolean(status.error)}>{status.error || status.message}</StatusText>}
+
+      <HintText>
+        Animations replay the recorded iterations from the timeline with the stats panel and the loss
+        graph composited in, {(frameCount / options.frameRate).toFixed(1)} s at {options.frameRate} fps.
+        WebM is recorded in real time, so it takes as long as the video to export.
+        {!webmSupported && ' This browser cannot record WebM video.'}
+      </HintText>
+    </PanelContainer>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,260 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import { parseExpression, compileExpression, FUNCTIONS } from '../utils/expression';
+
+const EditorContainer = styled.div`
+  background-color: var(--card-bg);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+  border: 1px solid var(--border-color);
+`;
+
+const EditorTitle = styled.h3`
+  font-size: 1.2rem;
+  margin-bottom: 1rem;
+  border-bottom: 1px solid var(--border-color);
+  padding-bottom: 0.5rem;
+  color: #fff;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  margin-bottom: 0.5rem;
+  font-size: 0.9rem;
+  color: #f0f0f0;
+`;
+
+const FormulaInput = styled.input`
+  width: 100%;
+  padding: 0.6rem 0.75rem;
+  border-radius: 4px;
+  border: 1px solid ${props => props.invalid ? 'var(--adversary-color)' : 'var(--border-color)'};
+  background: rgba(0, 0, 0, 0.3);
+  color: white;
+  font-family: 'Courier New', monospace;
+  font-size: 1rem;
+`;
+
+const ErrorMessage = styled.div`
+  margin-top: 0.5rem;
+  font-size: 0.85rem;
+  color: var(--adversary-color);
+`;
+
+const ErrorPointer = styled.pre`
+  margin: 0.25rem 0 0;
+  font-family: 'Courier New', monospace;
+  font-size: 1rem;
+  color: var(--adversary-color);
+  overflow-x: hidden;
+`;
+
+const WarningMessage = styled.div`
+  margin-top: 0.5rem;
+  font-size: 0.85rem;
+  color: var(--gradient-start);
+`;
+
+const HintText = styled.p`
+  margin: 0.5rem 0 0;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: #aaa;
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 1rem;
+  margin-top: 1rem;
+`;
+
+const DomainField = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: 80px;
+`;
+
+const NumberInput = styled.input`
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+`;
+
+const CheckboxContainer = styled.div`
+  display: flex;
+  align-items: center;
+  padding-bottom: 0.4rem;
+`;
+
+const Checkbox = styled.input`
+  margin-right: 0.5rem;
+  cursor: pointer;
+`;
+
+const ApplyButton = styled.button`
+  padding: 0.6rem 1.25rem;
+  border-radius: 6px;
+  font-weight: 600;
+  font-size: 0.95rem;
+  background-color: var(--defender-color);
+  color: white;
+  transition: all 0.2s ease;
+
+  &:hover:enabled {
+    opacity: 0.9;
+    transform: translateY(-2px);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+// Coarse sampling used to warn about undefined regions before applying
+const PREVIEW_SAMPLES = 40;
+
+const DOMAIN_FIELDS = [
+  { key: 'xMin', label: 'x min' },
+  { key: 'xMax', label: 'x max' },
+  { key: 'yMin', label: 'y min' },
+  { key: 'yMax', label: 'y max' }
+];
+
+/**
+ * Validates the formula and domain as typed
+ *
+ * @returns {Object} - { error, errorPosition, undefinedSamples, domain }
+ */
+const validate = (expression, domainText) => {
+  const domain = {};
+  for (const { key, label } of DOMAIN_FIELDS) {
+    const value = parseFloat(domainText[key]);
+    if (!Number.isFinite(value)) {
+      return { error: `${label} must be a number` };
+    }
+    domain[key] = value;
+  }
+
+  if (domain.xMin >= domain.xMax || domain.yMin >= domain.yMax) {
+    return { error: 'Each domain minimum must be smaller than its maximum' };
+  }
+
+  let fn;
+  try {
+    fn = compileExpression(parseExpression(expression));
+  } catch (error) {
+    return { error: error.message, errorPosition: error.position };
+  }
+
+  let undefinedSamples = 0;
+  for (let i = 0; i < PREVIEW_SAMPLES; i++) {
+    for (let j = 0; j < PREVIEW_SAMPLES; j++) {
+      const x = domain.xMin + j / (PREVIEW_SAMPLES - 1) * (domain.xMax - domain.xMin);
+      const y = domain.yMin + i / (PREVIEW_SAMPLES - 1) * (domain.yMax - domain.yMin);
+      if (!Number.isFinite(fn(x, y))) undefinedSamples++;
+    }
+  }
+
+  if (undefinedSamples === PREVIEW_SAMPLES * PREVIEW_SAMPLES) {
+    return { error: 'The formula is undefined everywhere in this domain' };
+  }
+
+  return { domain, undefinedSamples };
+};
+
+const ExpressionEditor = ({ customLandscape, onApply }) => {
+  const [expression, setExpression] = useState(customLandscape.expression);
+  const [domainText, setDomainText] = useState(() => {
+    const text = {};
+    for (const { key } of DOMAIN_FIELDS) text[key] = String(customLandscape.domain[key]);
+    return text;
+  });
+  const [normalize, setNormalize] = useState(customLandscape.normalize);
+
+  const validation = useMemo(() => validate(expression, domainText), [expression, domainText]);
+
+  const handleApply = () => {
+    if (validation.error) return;
+    onApply({ expression, domain: validation.domain, normalize });
+  };
+
+  return (
+    <EditorContainer>
+      <EditorTitle>Loss Function Editor</EditorTitle>
+
+      <FieldLabel htmlFor="lossExpression">f(x, y) =</FieldLabel>
+      <FormulaInput
+        id="lossExpression"
+        type="text"
+        spellCheck={false}
+        autoComplete="off"
+        value={expression}
+        invalid={Boolean(validation.error)}
+        onChange={(e) => setExpression(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter') handleApply(); }}
+      />
+
+      {validation.error && (
+        <>
+          {validation.errorPosition !== undefined && (
+            <ErrorPointer>{expression}{'\n'}{' '.repeat(validation.errorPosition)}^</ErrorPointer>
+          )}
+          <ErrorMessage>{validation.error}</ErrorMessage>
+        </>
+      )}
+
+      {!validation.error && validation.undefinedSamples > 0 && (
+        <WarningMessage>
+          The formula is undefined at {validation.undefinedSamples} of {PREVIEW_SAMPLES * PREVIEW_SAMPLES} preview
+          samples; those points are treated as 0.
+        </WarningMessage>
+      )}
+
+      <HintText>
+        Operators: + - * / ^ (implicit multiplication such as 3x is allowed).
+        Functions: {Object.keys(FUNCTIONS).join(', ')}. Constants: pi, e.
+      </HintText>
+
+      <OptionsRow>
+        {DOMAIN_FIELDS.map(({ key, label }) => (
+          <DomainField key={key}>
+            <FieldLabel htmlFor={`domain-${key}`}>{label}</FieldLabel>
+            <NumberInput
+              id={`domain-${key}`}
+              type="number"
+              step="any"
+              value={domainText[key]}
+              onChange={(e) => setDomainText(prev => ({ ...prev, [key]: e.target.value }))}
+            />
+          </DomainField>
+        ))}
+
+        <CheckboxContainer>
+          <Checkbox
+            id="normalizeExpression"
+            type="checkbox"
+            checked={normalize}
+            onChange={() => setNormalize(!normalize)}
+          />
+          <FieldLabel htmlFor="normalizeExpression" style={{ margin: 0 }}>
+            Normalize to [0, 1]
+          </FieldLabel>
+        </CheckboxContainer>
+
+        <ApplyButton disabled={Boolean(validation.error)} onClick={handleApply}>
+          Apply Formula
+        </ApplyButton>
+      </OptionsRow>
+    </EditorContainer>
+  );
+};
+
+export default ExpressionEditor;
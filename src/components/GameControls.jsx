@@ -1,5 +1,38 @@
 import React from 'react';
 import styled from 'styled-components';
+import { normalizeSeed, randomSeed } from '../utils/random';
+import {
+  LANDSCAPE_PRESETS,
+  CUSTOM_LANDSCAPE,
+  IMPORTED_LANDSCAPE,
+  IMPORT_NORMALIZATIONS,
+  getLandscapePreset
+} from '../utils/landscapes';
+import { OPTIMIZERS, OPTIMIZER_PARAMS, getOptimizer, createOptimizerConfig } from '../utils/optimizers';
+import { UPDATE_RULES, DEFAULT_UPDATE_RULE, getUpdateRule, resolveUpdateRule } from '../utils/updateRules';
+import { GAME_MODES, DEFAULT_GAME_MODE } from '../utils/gameUtils';
+import { PGD_NORMS, PGD_ANCHORS, DEFAULT_PGD_CONFIG } from '../utils/pgd';
+import { SAMPLING_MODES, DEFAULT_SAMPLING_MODE, resolveSamplingMode } from '../utils/sampling';
+import { DEFAULT_ENSEMBLE_CONFIG, MAX_ENSEMBLE_SIZE } from '../utils/ensemble';
+import {
+  DEFENDER_TARGETS,
+  MAX_DEFENDERS,
+  MAX_ADVERSARIES,
+  ADVERSARY_COLORS,
+  DEFAULT_POPULATION_CONFIG,
+  createAdversaryConfig
+} from '../utils/populations';
+import { GRID_RESOLUTIONS, DEFAULT_RESOLUTION } from '../utils/gameEngine';
+import { DEFAULT_CONTOUR_OPTIONS } from '../utils/contours';
+import { BREAKPOINTS, DEFAULT_BREAKPOINTS } from '../utils/breakpoints';
+import { EXTRA_SERIES, SMOOTHING_WINDOWS, DEFAULT_LOSS_CHART_OPTIONS } from '../utils/lossChart';
+
+// Contour options shown under "Show Loss Landscape"
+const CONTOUR_TOGGLES = [
+  { key: 'smoothing', label: 'Smooth contours' },
+  { key: 'labels', label: 'Label contour values' },
+  { key: 'highlight', label: 'Highlight the defender\'s level' }
+];
 
 const ControlsContainer = styled.div`
   background-color: var(--card-bg);
@@ -104,10 +137,119 @@ const ResetButton = styled.button`
   color: white;
   transition: all 0.2s ease;
   
-  &:hover {
+  &:hover:not(:disabled) {
     background-color: rgba(255, 255, 255, 0.2);
     transform: translateY(-2px);
   }
+  
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SeedRow = styled.div`
+  display: flex;
+  gap: 0.5rem;
+`;
+
+const NumberInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+`;
+
+const SmallButton = styled.button`
+  padding: 0.4rem 0.75rem;
+  border-radius: 4px;
+  font-size: 0.85rem;
+  background-color: rgba(255, 255, 255, 0.1);
+  color: white;
+  
+  &:hover {
+    background-color: rgba(255, 255, 255, 0.2);
+  }
+`;
+
+const Select = styled.select`
+  width: 100%;
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+  
+  option {
+    background-color: var(--bg-color);
+  }
+`;
+
+const HintText = styled.p`
+  margin: 0.5rem 0 0;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: #aaa;
+`;
+
+const FormulaText = styled.code`
+  display: block;
+  margin-top: 0.5rem;
+  font-family: 'Courier New', monospace;
+  font-size: 0.8rem;
+  color: #f0f0f0;
+`;
+
+const FileInput = styled.input`
+  width: 100%;
+  font-size: 0.85rem;
+  color: #ddd;
+  margin-bottom: 0.5rem;
+`;
+
+const StatusText = styled.p`
+  margin: 0.5rem 0 0;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: ${props => props.error ? 'var(--adversary-color)' : '#aaa'};
+`;
+
+const ParamGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(2, 1fr);
+  gap: 0.5rem;
+  margin-top: 0.5rem;
+`;
+
+const ParamLabel = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  font-size: 0.8rem;
+  color: #aaa;
+`;
+
+const AgentRow = styled.div`
+  display: grid;
+  grid-template-columns: 12px repeat(3, 1fr) 28px;
+  align-items: end;
+  gap: 0.4rem;
+  margin-top: 0.5rem;
+`;
+
+const AgentSwatch = styled.span`
+  width: 12px;
+  height: 12px;
+  margin-bottom: 0.55rem;
+  border-radius: 50%;
+  background-color: ${props => props.color};
 `;
 
 const ValueDisplay = styled.span`
@@ -116,6 +258,299 @@ const ValueDisplay = styled.span`
   color: #ddd;
 `;
 
+/**
+ * Optimizer picker and hyperparameter inputs for one player
+ */
+const OptimizerSettings = ({ id, label, color, config, setConfig }) => {
+  const optimizer = getOptimizer(config.type);
+  
+  return (
+    <ControlGroup>
+      <ControlLabel htmlFor={id} style={{ color }}>
+        {label}
+      </ControlLabel>
+      <Select
+        id={id}
+        value={config.type}
+        onChange={(e) => setConfig(createOptimizerConfig(e.target.value))}
+      >
+        {OPTIMIZERS.map(option => (
+          <option key={option.id} value={option.id}>{option.name}</option>
+        ))}
+      </Select>
+      <ParamGrid>
+        {optimizer.params.map(param => {
+          const { label: paramLabel, min, max, step } = OPTIMIZER_PARAMS[param];
+          return (
+            <ParamLabel key={param}>
+              {paramLabel}
+              <NumberInput
+                type="number"
+                min={min}
+                max={max}
+                step={step}
+                value={config[param]}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (Number.isFinite(value)) {
+                    setConfig({ ...config, [param]: Math.min(Math.max(value, min), max) });
+                  }
+                }}
+              />
+            </ParamLabel>
+          );
+        })}
+      </ParamGrid>
+    </ControlGroup>
+  );
+};
+
+/**
+ * PGD inner-loop settings for the adversary
+ */
+const PgdSettings = ({ config, setConfig, disabled }) => {
+  const update = (changes) => setConfig({ ...config, ...changes });
+  
+  return (
+    <ControlGroup>
+      <CheckboxContainer>
+        <Checkbox
+          id="pgdEnabled"
+          type="checkbox"
+          checked={config.enabled}
+          onChange={() => update({ enabled: !config.enabled })}
+        />
+        <ControlLabel htmlFor="pgdEnabled" style={{ margin: 0, color: 'var(--adversary-color)' }}>
+          PGD Attack (inner loop)
+        </ControlLabel>
+      </CheckboxContainer>
+      {config.enabled && (
+        <>
+          <ParamGrid>
+            <ParamLabel>
+              Inner steps K
+              <NumberInput
+                type="number"
+                min="1"
+                max="100"
+                step="1"
+                value={config.steps}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value);
+                  if (Number.isFinite(value)) update({ steps: Math.min(Math.max(value, 1), 100) });
+                }}
+              />
+            </ParamLabel>
+            <ParamLabel>
+              Radius ε (cells)
+              <NumberInput
+                type="number"
+                min="0"
+                max="100"
+                step="0.5"
+                value={config.epsilon}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (Number.isFinite(value)) update({ epsilon: Math.min(Math.max(value, 0), 100) });
+                }}
+              />
+            </ParamLabel>
+            <ParamLabel>
+              Norm
+              <Select value={config.norm} onChange={(e) => update({ norm: e.target.value })}>
+                {PGD_NORMS.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </Select>
+            </ParamLabel>
+            <ParamLabel>
+              Ball center
+              <Select value={config.anchor} onChange={(e) => update({ anchor: e.target.value })}>
+                {PGD_ANCHORS.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </Select>
+            </ParamLabel>
+          </ParamGrid>
+          <CheckboxContainer style={{ marginTop: '0.5rem' }}>
+            <Checkbox
+              id="pgdRandomStart"
+              type="checkbox"
+              checked={config.randomStart}
+              onChange={() => update({ randomStart: !config.randomStart })}
+            />
+            <ControlLabel htmlFor="pgdRandomStart" style={{ margin: 0 }}>
+              Random start inside the ball
+            </ControlLabel>
+          </CheckboxContainer>
+          <HintText>
+            {disabled
+              ? 'PGD applies to independent players only; it is ignored in the coupled game.'
+              : 'Step size α = 2.5ε/K. Adversary strength scales ε (5 = the radius shown). The update rule is bypassed: the defender steps after the attack.'}
+          </HintText>
+        </>
+      )}
+    </ControlGroup>
+  );
+};
+
+/**
+ * Conditions that pause the running simulation
+ */
+const BreakpointSettings = ({ config, setConfig }) => {
+  const update = (id, changes) => setConfig({ ...config, [id]: { ...config[id], ...changes } });
+  
+  return (
+    <ControlGroup>
+      <ControlLabel>Breakpoints</ControlLabel>
+      {BREAKPOINTS.map(({ id, name, unit, min, step }) => (
+        <CheckboxContainer key={id}>
+          <Checkbox
+            id={`breakpoint-${id}`}
+            type="checkbox"
+            checked={config[id].enabled}
+            onChange={() => update(id, { enabled: !config[id].enabled })}
+          />
+          <ControlLabel htmlFor={`breakpoint-${id}`} style={{ margin: 0, flex: 1 }}>
+            {name}
+          </ControlLabel>
+          {config[id].value !== null && (
+            <NumberInput
+              type="number"
+              min={min}
+              step={step}
+              value={config[id].value}
+              title={unit}
+              style={{ flex: '0 0 5rem' }}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) update(id, { value: Math.max(value, min) });
+              }}
+            />
+          )}
+        </CheckboxContainer>
+      ))}
+      <HintText>
+        A breakpoint pauses the run on the step where its condition starts to hold; distances are in grid cells.
+      </HintText>
+    </ControlGroup>
+  );
+};
+
+// Reads an optional number field: empty means "not set"
+const parseOptional = (text, min, max) => {
+  if (text === '') return null;
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : undefined;
+};
+
+const PopulationSettings = ({ config, setConfig, attackStrength, disabled }) => {
+  const update = (changes) => setConfig({ ...config, ...changes });
+  const updateAdversary = (index, changes) => update({
+    adversaries: config.adversaries.map((adversary, j) => j === index ? { ...adversary, ...changes } : adversary)
+  });
+  
+  const setStart = (index, axis, text) => {
+    const value = parseOptional(text, 0, 100);
+    if (value === undefined) return;
+    const { start } = config.adversaries[index];
+    updateAdversary(index, {
+      start: value === null ? null : { x: 0.5, y: 0.5, ...start, [axis]: value / 100 }
+    });
+  };
+  
+  return (
+    <ControlGroup>
+      <ControlLabel>Populations</ControlLabel>
+      <ParamGrid>
+        <ParamLabel>
+          Defenders
+          <NumberInput
+            type="number"
+            min="1"
+            max={MAX_DEFENDERS}
+            step="1"
+            value={config.defenders}
+            onChange={(e) => {
+              const value = parseInt(e.target.value);
+              if (Number.isFinite(value)) update({ defenders: Math.min(Math.max(value, 1), MAX_DEFENDERS) });
+            }}
+          />
+        </ParamLabel>
+        <ParamLabel>
+          Adversaries attack
+          <Select
+            value={config.defenderTarget}
+            disabled={config.defenders < 2}
+            onChange={(e) => update({ defenderTarget: e.target.value })}
+          >
+            {DEFENDER_TARGETS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </Select>
+        </ParamLabel>
+      </ParamGrid>
+      
+      {config.adversaries.map((adversary, j) => (
+        <AgentRow key={j}>
+          <AgentSwatch color={`rgb(${ADVERSARY_COLORS[j]})`} title={`Adversary ${j + 1}`} />
+          <ParamLabel>
+            Strength
+            <NumberInput
+              type="number"
+              min="1"
+              max="10"
+              step="1"
+              placeholder={String(attackStrength)}
+              value={adversary.strength ?? ''}
+              onChange={(e) => {
+                const value = parseOptional(e.target.value, 1, 10);
+                if (value !== undefined) updateAdversary(j, { strength: value });
+              }}
+            />
+          </ParamLabel>
+          {['x', 'y'].map(axis => (
+            <ParamLabel key={axis}>
+              Start {axis} %
+              <NumberInput
+                type="number"
+                min="0"
+                max="100"
+                step="5"
+                placeholder="auto"
+                value={adversary.start ? Math.round(adversary.start[axis] * 100) : ''}
+                onChange={(e) => setStart(j, axis, e.target.value)}
+              />
+            </ParamLabel>
+          ))}
+          {j > 0 ? (
+            <SmallButton
+              title="Remove this adversary"
+              onClick={() => update({ adversaries: config.adversaries.filter((_, k) => k !== j) })}
+            >
+              ×
+            </SmallButton>
+          ) : <span />}
+        </AgentRow>
+      ))}
+      
+      <SmallButton
+        style={{ marginTop: '0.5rem' }}
+        disabled={config.adversaries.length >= MAX_ADVERSARIES}
+        onClick={() => update({ adversaries: [...config.adversaries, createAdversaryConfig()] })}
+      >
+        Add Adversary
+      </SmallButton>
+      
+      <HintText>
+        {disabled
+          ? 'The coupled game has a single joint point; populations apply to independent players only.'
+          : `${config.defenders > 1 ? DEFENDER_TARGETS.find(option => option.id === config.defenderTarget).description + ' ' : ''}An empty strength follows the Attack Strength slider; an empty start places the adversary around the defender.`}
+      </HintText>
+    </ControlGroup>
+  );
+};
+
 const GameControls = ({
   isRunning,
   setIsRunning,
@@ -125,11 +560,59 @@ const GameControls = ({
   setShowLoss,
   showGradients,
   setShowGradients,
+  showCriticalPoints,
+  setShowCriticalPoints,
+  showSurface,
+  setShowSurface,
+  lossChart,
+  setLossChart,
   attackStrength,
   setAttackStrength,
   defenseStrength,
-  setDefenseStrength
+  setDefenseStrength,
+  seed,
+  setSeed,
+  landscape,
+  setLandscape,
+  importedName,
+  onImportFile,
+  importNormalization,
+  setImportNormalization,
+  importStatus,
+  defenderOptimizer,
+  setDefenderOptimizer,
+  adversaryOptimizer,
+  setAdversaryOptimizer,
+  updateRule,
+  setUpdateRule,
+  gameMode,
+  setGameMode,
+  pgd,
+  setPgd,
+  samplingMode,
+  setSamplingMode,
+  ensemble,
+  setEnsemble,
+  population,
+  setPopulation,
+  resolution,
+  setResolution,
+  contourOptions,
+  setContourOptions,
+  breakpoints,
+  setBreakpoints,
+  onStep,
+  onReset,
+  onSaveSession,
+  onLoadSession,
+  sessionStatus
 }) => {
+  const isCustom = landscape === CUSTOM_LANDSCAPE;
+  const isImported = landscape === IMPORTED_LANDSCAPE;
+  const preset = getLandscapePreset(landscape);
+  const hasFormula = isCustom || (!isImported && Boolean(preset.fn));
+  const activeSampling = SAMPLING_MODES.find(option => option.id === resolveSamplingMode(samplingMode, hasFormula));
+  
   const handleReset = () => {
     setIsRunning(false);
     setAnimationSpeed(5);
@@ -137,6 +620,21 @@ const GameControls = ({
     setDefenseStrength(5);
     setShowLoss(true);
     setShowGradients(true);
+    setShowCriticalPoints(true);
+    setShowSurface(false);
+    setLossChart(DEFAULT_LOSS_CHART_OPTIONS);
+    setDefenderOptimizer(createOptimizerConfig());
+    setAdversaryOptimizer(createOptimizerConfig());
+    setUpdateRule(DEFAULT_UPDATE_RULE);
+    setGameMode(DEFAULT_GAME_MODE);
+    setPgd(DEFAULT_PGD_CONFIG);
+    setSamplingMode(DEFAULT_SAMPLING_MODE);
+    setEnsemble(DEFAULT_ENSEMBLE_CONFIG);
+    setPopulation(DEFAULT_POPULATION_CONFIG);
+    setResolution(DEFAULT_RESOLUTION);
+    setContourOptions(DEFAULT_CONTOUR_OPTIONS);
+    setBreakpoints(DEFAULT_BREAKPOINTS);
+    onReset();
   };
   
   return (
@@ -175,6 +673,38 @@ const GameControls = ({
               color="var(--adversary-color)"
             />
           </ControlGroup>
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="seed">
+              Random Seed
+            </ControlLabel>
+            <SeedRow>
+              <NumberInput
+                id="seed"
+                type="number"
+                min="0"
+                step="1"
+                value={seed}
+                onChange={(e) => setSeed(normalizeSeed(e.target.value))}
+              />
+              <SmallButton onClick={() => setSeed(randomSeed())}>
+                New Seed
+              </SmallButton>
+            </SeedRow>
+          </ControlGroup>
+          
+          <PgdSettings
+            config={pgd}
+            setConfig={setPgd}
+            disabled={gameMode === 'coupled'}
+          />
+          
+          <PopulationSettings
+            config={population}
+            setConfig={setPopulation}
+            attackStrength={attackStrength}
+            disabled={gameMode === 'coupled'}
+          />
         </div>
         
         <div>
@@ -194,6 +724,68 @@ const GameControls = ({
             />
           </ControlGroup>
           
+          <ControlGroup>
+            <ControlLabel htmlFor="landscape">
+              Loss Landscape
+            </ControlLabel>
+            <Select
+              id="landscape"
+              value={landscape}
+              onChange={(e) => setLandscape(e.target.value)}
+            >
+              {LANDSCAPE_PRESETS.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+              <option value={CUSTOM_LANDSCAPE}>Custom Formula</option>
+              {importedName && (
+                <option value={IMPORTED_LANDSCAPE}>Imported: {importedName}</option>
+              )}
+            </Select>
+            {isCustom ? (
+              <HintText>Defined in the Loss Function Editor below.</HintText>
+            ) : isImported ? (
+              <HintText>Loaded from {importedName}.</HintText>
+            ) : (
+              <>
+                <FormulaText>{preset.formula}</FormulaText>
+                <HintText>{preset.description}</HintText>
+              </>
+            )}
+          </ControlGroup>
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="importLandscape">
+              Import Landscape
+            </ControlLabel>
+            <FileInput
+              id="importLandscape"
+              type="file"
+              accept=".csv,.tsv,.txt,.json,.npy,.png"
+              onChange={(e) => {
+                const file = e.target.files[0];
+                if (file) onImportFile(file);
+                e.target.value = '';
+              }}
+            />
+            <Select
+              id="importNormalization"
+              aria-label="Import normalization"
+              value={importNormalization}
+              onChange={(e) => setImportNormalization(e.target.value)}
+            >
+              {IMPORT_NORMALIZATIONS.map(option => (
+                <option key={option.id} value={option.id}>Normalization: {option.name}</option>
+              ))}
+            </Select>
+            {importStatus ? (
+              <StatusText error={Boolean(importStatus.error)}>
+                {importStatus.error || importStatus.message}
+              </StatusText>
+            ) : (
+              <HintText>CSV, JSON, NumPy .npy (float32/float64) or grayscale PNG. You can also drop a file onto the canvas.</HintText>
+            )}
+          </ControlGroup>
+          
           <ControlGroup>
             <CheckboxContainer>
               <Checkbox
@@ -207,6 +799,20 @@ const GameControls = ({
               </ControlLabel>
             </CheckboxContainer>
             
+            {showLoss && CONTOUR_TOGGLES.map(({ key, label }) => (
+              <CheckboxContainer key={key} style={{ marginLeft: '1.5rem' }}>
+                <Checkbox
+                  id={`contour-${key}`}
+                  type="checkbox"
+                  checked={contourOptions[key]}
+                  onChange={() => setContourOptions({ ...contourOptions, [key]: !contourOptions[key] })}
+                />
+                <ControlLabel htmlFor={`contour-${key}`} style={{ margin: 0 }}>
+                  {label}
+                </ControlLabel>
+              </CheckboxContainer>
+            ))}
+            
             <CheckboxContainer>
               <Checkbox
                 id="showGradients"
@@ -218,7 +824,245 @@ const GameControls = ({
                 Show Gradient Flows
               </ControlLabel>
             </CheckboxContainer>
+            
+            <CheckboxContainer>
+              <Checkbox
+                id="showCriticalPoints"
+                type="checkbox"
+                checked={showCriticalPoints}
+                onChange={() => setShowCriticalPoints(!showCriticalPoints)}
+              />
+              <ControlLabel htmlFor="showCriticalPoints" style={{ margin: 0 }}>
+                Show Critical Points
+              </ControlLabel>
+            </CheckboxContainer>
+            
+            <CheckboxContainer>
+              <Checkbox
+                id="showSurface"
+                type="checkbox"
+                checked={showSurface}
+                onChange={() => setShowSurface(!showSurface)}
+              />
+              <ControlLabel htmlFor="showSurface" style={{ margin: 0 }}>
+                3D Surface View
+              </ControlLabel>
+            </CheckboxContainer>
           </ControlGroup>
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="lossChartSmoothing">
+              Loss Chart
+            </ControlLabel>
+            <CheckboxContainer>
+              <Checkbox
+                id="lossChartLog"
+                type="checkbox"
+                checked={lossChart.logScale}
+                onChange={() => setLossChart({ ...lossChart, logScale: !lossChart.logScale })}
+              />
+              <ControlLabel htmlFor="lossChartLog" style={{ margin: 0 }}>
+                Log Scale
+              </ControlLabel>
+            </CheckboxContainer>
+            {EXTRA_SERIES.map(series => (
+              <CheckboxContainer key={series.id}>
+                <Checkbox
+                  id={`lossChart-${series.id}`}
+                  type="checkbox"
+                  checked={Boolean(lossChart.series[series.id])}
+                  disabled={series.independentOnly && gameMode === 'coupled'}
+                  onChange={() => setLossChart({
+                    ...lossChart,
+                    series: { ...lossChart.series, [series.id]: !lossChart.series[series.id] }
+                  })}
+                />
+                <ControlLabel
+                  htmlFor={`lossChart-${series.id}`}
+                  title={series.description}
+                  style={{ margin: 0, color: `rgb(${series.rgb})` }}
+                >
+                  {series.name}
+                </ControlLabel>
+              </CheckboxContainer>
+            ))}
+            <Select
+              id="lossChartSmoothing"
+              value={lossChart.smoothing}
+              onChange={(e) => setLossChart({ ...lossChart, smoothing: parseInt(e.target.value) })}
+            >
+              {SMOOTHING_WINDOWS.map(window => (
+                <option key={window} value={window}>
+                  {window === 1 ? 'No smoothing' : `Moving average over ${window} iterations`}
+                </option>
+              ))}
+            </Select>
+            <HintText>
+              Covers every recorded iteration: scroll over the chart to zoom, drag to pan, double-click to
+              see the whole run, hover for exact values. Extra series get their own axis on the right.
+            </HintText>
+          </ControlGroup>
+          
+          <ControlGroup>
+            <CheckboxContainer>
+              <Checkbox
+                id="ensembleEnabled"
+                type="checkbox"
+                checked={ensemble.enabled}
+                onChange={() => setEnsemble({ ...ensemble, enabled: !ensemble.enabled })}
+              />
+              <ControlLabel htmlFor="ensembleEnabled" style={{ margin: 0 }}>
+                Monte Carlo Ensemble
+              </ControlLabel>
+            </CheckboxContainer>
+            {ensemble.enabled && (
+              <>
+                <ParamGrid>
+                  <ParamLabel>
+                    Runs N
+                    <NumberInput
+                      type="number"
+                      min="2"
+                      max={MAX_ENSEMBLE_SIZE}
+                      step="1"
+                      value={ensemble.size}
+                      onChange={(e) => {
+                        const value = parseInt(e.target.value);
+                        if (Number.isFinite(value)) setEnsemble({ ...ensemble, size: Math.min(Math.max(value, 2), MAX_ENSEMBLE_SIZE) });
+                      }}
+                    />
+                  </ParamLabel>
+                </ParamGrid>
+                <HintText>
+                  Replays the game with N other noise seeds on the same landscape. The loss graph shows their mean
+                  with 25–75% and 10–90% bands; the canvas shows their trajectories.
+                </HintText>
+              </>
+            )}
+          </ControlGroup>
+          
+          <BreakpointSettings config={breakpoints} setConfig={setBreakpoints} />
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="loadSession">
+              Session
+            </ControlLabel>
+            <SmallButton onClick={onSaveSession} style={{ marginBottom: '0.5rem' }}>
+              Save Session
+            </SmallButton>
+            <FileInput
+              id="loadSession"
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                const file = e.target.files[0];
+                if (file) onLoadSession(file);
+                e.target.value = '';
+              }}
+            />
+            {sessionStatus ? (
+              <StatusText error={Boolean(sessionStatus.error)}>
+                {sessionStatus.error || sessionStatus.message}
+              </StatusText>
+            ) : (
+              <HintText>
+                Saves the landscape, every setting and all recorded iterations as a JSON replay; loading one
+                restores the run at the saved iteration, ready to scrub or resume.
+              </HintText>
+            )}
+          </ControlGroup>
+        </div>
+        
+        <div>
+          <ControlGroup>
+            <ControlLabel htmlFor="gameMode">
+              Game Mode
+            </ControlLabel>
+            <Select
+              id="gameMode"
+              value={gameMode}
+              onChange={(e) => setGameMode(e.target.value)}
+            >
+              {GAME_MODES.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </Select>
+            <HintText>{GAME_MODES.find(option => option.id === gameMode).description}</HintText>
+          </ControlGroup>
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="updateRule">
+              Update Rule
+            </ControlLabel>
+            <Select
+              id="updateRule"
+              value={updateRule}
+              onChange={(e) => setUpdateRule(e.target.value)}
+            >
+              {UPDATE_RULES.map(option => (
+                <option key={option.id} value={option.id} disabled={option.coupledOnly && gameMode !== 'coupled'}>
+                  {option.name}
+                </option>
+              ))}
+            </Select>
+            <HintText>
+              {getUpdateRule(updateRule).description}
+              {resolveUpdateRule(updateRule, gameMode).id !== getUpdateRule(updateRule).id &&
+                ` Playing ${resolveUpdateRule(updateRule, gameMode).name} in the independent game.`}
+            </HintText>
+          </ControlGroup>
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="samplingMode">
+              Sub-cell Sampling
+            </ControlLabel>
+            <Select
+              id="samplingMode"
+              value={samplingMode}
+              onChange={(e) => setSamplingMode(e.target.value)}
+            >
+              {SAMPLING_MODES.map(option => (
+                <option key={option.id} value={option.id}>
+                  {option.name}{option.id === 'analytic' && !hasFormula ? ' (no formula: bicubic)' : ''}
+                </option>
+              ))}
+            </Select>
+            <HintText>{activeSampling.description}</HintText>
+          </ControlGroup>
+          
+          <ControlGroup>
+            <ControlLabel htmlFor="resolution">
+              Grid Resolution
+            </ControlLabel>
+            <Select
+              id="resolution"
+              value={resolution}
+              onChange={(e) => setResolution(parseInt(e.target.value))}
+            >
+              {GRID_RESOLUTIONS.map(value => (
+                <option key={value} value={value}>{value} px per cell</option>
+              ))}
+            </Select>
+            <HintText>Finer grids resolve more detail; players still move in grid cells, so they cross the canvas more slowly.</HintText>
+          </ControlGroup>
+          
+          <OptimizerSettings
+            id="defenderOptimizer"
+            label="Defender Optimizer"
+            color="var(--defender-color)"
+            config={defenderOptimizer}
+            setConfig={setDefenderOptimizer}
+          />
+          
+          <OptimizerSettings
+            id="adversaryOptimizer"
+            label="Adversary Optimizer"
+            color="var(--adversary-color)"
+            config={adversaryOptimizer}
+            setConfig={setAdversaryOptimizer}
+          />
+          
+          <HintText>Player strength scales the learning rate (5 = the rate shown).</HintText>
         </div>
       </ControlsGrid>
       
@@ -229,6 +1073,9 @@ const GameControls = ({
         >
           {isRunning ? 'Pause Simulation' : 'Start Simulation'}
         </ControlButton>
+        <ResetButton onClick={onStep} disabled={isRunning} title="Simulate exactly one iteration">
+          Step
+        </ResetButton>
         <ResetButton onClick={handleReset}>
           Reset Simulation
         </ResetButton>
@@ -143,7 +143,7 @@ const InfoPanel = () => {
           <strong>Loss contours:</strong> Elevation lines showing regions of equal loss.
         </InfoText>
         <InfoText>
-          <strong>Loss graph:</strong> Real-time plot showing loss values for both players over time.
+          <strong>Loss graph:</strong> Both players' losses over the whole run; scroll to zoom, drag to pan and hover for exact values.
         </InfoText>
       </InfoSection>
       
@@ -156,6 +156,11 @@ const InfoPanel = () => {
           where θ represents model parameters, δ represents the adversarial perturbation,
           x is the input data, y is the label, and L is the loss function.
         </InfoText>
+        <InfoText>
+          In <strong>Coupled f(θ, δ)</strong> mode the landscape is read as this joint objective: the 
+          defender controls θ along the x axis, the adversary controls δ along the y axis, and each 
+          follows only its own partial derivative. The game point then shows genuine saddle-point dynamics.
+        </InfoText>
       </InfoSection>
 
       <InfoSection>
@@ -169,12 +174,12 @@ const InfoPanel = () => {
           simulating how neighboring parameter configurations have similar loss values in real models.
         </InfoText>
         <InfoText>
-          <strong>Adaptive Step Sizes:</strong> Both players adjust their step sizes based on 
-          gradient magnitudes, simulating adaptive optimizers like Adam or RMSProp used in practice.
+          <strong>Optimizers:</strong> Each player has its own optimizer (SGD, heavy-ball momentum, 
+          Nesterov, RMSProp or Adam) whose velocity and moment buffers carry over between iterations.
         </InfoText>
         <InfoText>
-          <strong>Momentum:</strong> Players maintain velocity in their updates, helping them 
-          navigate saddle points and local optima more effectively.
+          <strong>Momentum:</strong> Momentum-based optimizers maintain velocity in their updates, helping 
+          players navigate saddle points and local optima, but also making them overshoot and orbit.
         </InfoText>
       </InfoSection>
 
@@ -0,0 +1,395 @@
+import React, { useRef, useEffect, useState, useMemo, useCallback, useSyncExternalStore } from 'react';
+import styled from 'styled-components';
+import * as d3 from 'd3';
+import { ENSEMBLE_BANDS } from '../utils/ensemble';
+import {
+  EXTRA_SERIES,
+  LOG_SCALE_FLOOR,
+  movingAverage,
+  getLossSeries,
+  getExtraValue
+} from '../utils/lossChart';
+import { GRID_COLOR, LABEL_COLOR, FONT_FAMILY, formatTick, frameGradients } from '../utils/charts';
+
+const ChartArea = styled.div`
+  position: relative;
+`;
+
+const ChartCanvas = styled.canvas`
+  display: block;
+  width: 100%;
+  height: 160px;
+  background-color: rgba(0, 0, 0, 0.3);
+  border-radius: 2px;
+  cursor: crosshair;
+  touch-action: none;
+`;
+
+const ChartTooltip = styled.div`
+  position: absolute;
+  left: ${props => props.x}px;
+  top: ${props => props.y}px;
+  transform: translate(${props => props.flip ? 'calc(-100% - 10px)' : '10px'}, -100%);
+  background-color: rgba(0, 0, 0, 0.85);
+  border: 1px solid var(--border-color);
+  padding: 4px 8px;
+  border-radius: 4px;
+  font-size: 0.75rem;
+  line-height: 1.4;
+  color: white;
+  pointer-events: none;
+  white-space: nowrap;
+  z-index: 15;
+`;
+
+// Plot margins (CSS pixels) and the width each extra series' axis takes on the right
+const MARGIN = { top: 8, right: 8, bottom: 18, left: 36 };
+const EXTRA_AXIS_WIDTH = 34;
+const MAX_ZOOM = 500;
+
+const FONT = `10px ${FONT_FAMILY}`;
+
+/**
+ * Draws a series as a line, over the visible iterations only; missing values break the line
+ */
+const drawLine = (ctx, values, x, y, first, last) => {
+  ctx.beginPath();
+  let drawing = false;
+  for (let k = first; k <= last; k++) {
+    if (values[k] === null || values[k] === undefined) {
+      drawing = false;
+      continue;
+    }
+    if (drawing) {
+      ctx.lineTo(x(k), y(values[k]));
+    } else {
+      ctx.moveTo(x(k), y(values[k]));
+      drawing = true;
+    }
+  }
+  ctx.stroke();
+};
+
+// Largest and smallest value of some series over the visible iterations
+const visibleExtent = (seriesValues, first, last) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const values of seriesValues) {
+    for (let k = first; k <= last; k++) {
+      const value = values[k];
+      if (value === null || value === undefined) continue;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+  }
+  return [min, max];
+};
+
+/**
+ * Loss chart over the whole recorded run
+ *
+ * d3 provides the scales, ticks and zoom behaviour; the chart itself is drawn
+ * on a canvas, so exports can composite it like the rest of the view. Scroll
+ * to zoom into iterations, drag to pan, double-click to see the whole run
+ * again; hovering shows the exact values at an iteration.
+ *
+ * @param {Object} props - { engine, recorder, coupled, populated, ensembleState, options: see DEFAULT_LOSS_CHART_OPTIONS }
+ */
+const LossChart = ({ engine, recorder, coupled, populated, ensembleState, options }) => {
+  const canvasRef = useRef(null);
+  const zoomRef = useRef(null);
+  const [transform, setTransform] = useState(d3.zoomIdentity);
+  const [hover, setHover] = useState(null);
+
+  const subscribe = useCallback(listener => recorder.subscribe(listener), [recorder]);
+  const recording = useSyncExternalStore(subscribe, () => recorder.getState());
+  const { iteration } = recording;
+  const subscribeEngine = useCallback(listener => engine.on('change', listener), [engine]);
+  const { grid, samplingMode } = useSyncExternalStore(subscribeEngine, () => engine.getState());
+
+  // Every series over every recorded iteration, smoothed as chosen
+  const { lossSeries, extraSeries, last } = useMemo(() => {
+    const frames = recorder.getFrames();
+    const smooth = values => movingAverage(values, options.smoothing);
+
+    const landscape = { grid, samplingMode, gradientAt: point => engine.getGradient(point) };
+    const gradientsOf = frame => frameGradients(frame, landscape);
+
+    return {
+      lossSeries: getLossSeries(frames, { coupled, populated })
+        .map(series => ({ ...series, raw: series.values, values: smooth(series.values) })),
+      extraSeries: EXTRA_SERIES
+        .filter(series => options.series[series.id] && !(series.independentOnly && coupled))
+        .map(series => {
+          const raw = frames.map(frame => getExtraValue(series.id, frame, gradientsOf));
+          return { ...series, raw, values: smooth(raw) };
+        }),
+      last: frames.length - 1
+    };
+  }, [engine, recorder, recording, grid, samplingMode, coupled, populated, options]);
+
+  // Zoom and pan act on the iteration axis only
+  useEffect(() => {
+    const selection = d3.select(canvasRef.current);
+    const zoom = d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .filter(event => !event.button && event.type !== 'dblclick')
+      .on('zoom', event => setTransform(event.transform));
+    zoomRef.current = zoom;
+
+    selection
+      .call(zoom)
+      .on('dblclick.zoom', null)
+      .on('dblclick', () => selection.call(zoom.transform, d3.zoomIdentity));
+
+    // A new landscape starts a new run, seen whole
+    const offReset = engine.on('reset', () => selection.call(zoom.transform, d3.zoomIdentity));
+    return () => {
+      offReset();
+      selection.on('.zoom', null).on('dblclick', null);
+    };
+  }, [engine]);
+
+  // Keep panning within the run: the zoom's extent is the plot area, which narrows with each extra axis
+  const plotRight = (width) => width - MARGIN.right - extraSeries.length * EXTRA_AXIS_WIDTH;
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const extent = [[MARGIN.left, 0], [plotRight(canvas.clientWidth), canvas.clientHeight]];
+    zoomRef.current.extent(extent).translateExtent(extent);
+  });
+
+  // Scales for the visible iterations, shared by the drawing and the tooltip
+  const getScales = (width, height) => {
+    const plot = { left: MARGIN.left, top: MARGIN.top, right: plotRight(width), bottom: height - MARGIN.bottom };
+    const x = transform.rescaleX(
+      d3.scaleLinear().domain([0, Math.max(last, 1)]).range([plot.left, plot.right])
+    );
+    const [start, end] = x.domain();
+    const first = Math.max(Math.floor(start), 0);
+    const lastVisible = Math.min(Math.ceil(end), last);
+    return { plot, x, first, lastVisible };
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) return; // Safety check
+
+    try {
+      // High resolution backing store, drawn in CSS pixels
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      ctx.setTransform(2, 0, 0, 2, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      if (last < 1) return;
+
+      const { plot, x, first, lastVisible } = getScales(width, height);
+
+      // Ensemble bands are aligned with the recorded iterations they summarize
+      const summaries = ensembleState && ensembleState.loss.defender.length > 1
+        ? (coupled ? [ensembleState.loss.defender] : [ensembleState.loss.defender, ensembleState.loss.adversary])
+        : [];
+      const ensembleStart = ensembleState ? ensembleState.iteration - (ensembleState.loss.defender.length - 1) : 0;
+
+      // Loss axis fitted to what is visible
+      let [min, max] = visibleExtent(lossSeries.map(series => series.values), first, lastVisible);
+      for (const summary of summaries) {
+        summary.forEach(({ bands }) => {
+          min = Math.min(min, bands[0][0]);
+          max = Math.max(max, bands[0][1]);
+        });
+      }
+      if (!Number.isFinite(max)) [min, max] = [0, 1];
+
+      const low = Math.max(min, LOG_SCALE_FLOOR);
+      const y = options.logScale
+        ? d3.scaleLog().domain([low, max > low ? max : low * 10]).clamp(true)
+        : d3.scaleLinear().domain([Math.min(min, 0), Math.max(max, 1e-3)]);
+      y.range([plot.bottom, plot.top]).nice();
+      const yAt = value => y(options.logScale ? Math.max(value, LOG_SCALE_FLOOR) : value);
+
+      ctx.font = FONT;
+      ctx.lineWidth = 0.5;
+
+      // Grid and the loss axis
+      const yTicks = y.ticks(4);
+      const yFormat = options.logScale ? y.tickFormat(4, '.0e') : y.tickFormat(4);
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (const tick of yTicks) {
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y(tick));
+        ctx.lineTo(plot.right, y(tick));
+        ctx.stroke();
+        ctx.fillStyle = LABEL_COLOR;
+        ctx.fillText(yFormat(tick), plot.left - 4, y(tick));
+      }
+
+      // Iteration axis
+      const xTicks = x.ticks(Math.max(Math.floor((plot.right - plot.left) / 60), 2)).filter(Number.isInteger);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (const tick of xTicks) {
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(x(tick), plot.top);
+        ctx.lineTo(x(tick), plot.bottom);
+        ctx.stroke();
+        ctx.fillStyle = LABEL_COLOR;
+        ctx.fillText(d3.format('d')(tick), x(tick), plot.bottom + 4);
+      }
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+      ctx.clip();
+
+      // Ensemble: percentile bands and the mean of the replays
+      summaries.forEach((summary, index) => {
+        const rgb = coupled ? '255, 255, 255' : lossSeries.find(series => series.id === (index === 0 ? 'defender' : 'adversary')).rgb;
+        const xAt = k => x(ensembleStart + k);
+        ENSEMBLE_BANDS.forEach((_, band) => {
+          ctx.beginPath();
+          summary.forEach(({ bands }, k) => ctx.lineTo(xAt(k), yAt(bands[band][1])));
+          for (let k = summary.length - 1; k >= 0; k--) {
+            ctx.lineTo(xAt(k), yAt(summary[k].bands[band][0]));
+          }
+          ctx.closePath();
+          ctx.fillStyle = `rgba(${rgb}, ${0.12 + band * 0.1})`;
+          ctx.fill();
+        });
+        ctx.strokeStyle = `rgba(${rgb}, 0.9)`;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 2]);
+        drawLine(ctx, summary.map(({ mean }) => mean), xAt, yAt, 0, summary.length - 1);
+        ctx.setLineDash([]);
+      });
+
+      // Losses, members first so the aggregates stay on top
+      for (const series of lossSeries) {
+        ctx.strokeStyle = `rgba(${series.rgb}, ${series.alpha})`;
+        ctx.lineWidth = series.lineWidth;
+        drawLine(ctx, series.values, x, yAt, first, lastVisible);
+      }
+
+      // Extra series, each on its own scale
+      const extraScales = extraSeries.map((series) => {
+        const [, extraMax] = visibleExtent([series.values], first, lastVisible);
+        const scale = d3.scaleLinear()
+          .domain([0, Number.isFinite(extraMax) && extraMax > 0 ? extraMax : 1])
+          .range([plot.bottom, plot.top])
+          .nice();
+        ctx.strokeStyle = `rgba(${series.rgb}, 0.9)`;
+        ctx.lineWidth = 1.5;
+        drawLine(ctx, series.values, x, scale, first, lastVisible);
+        return scale;
+      });
+
+      // The iteration on show, when the timeline is back in the run
+      if (iteration < last) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x(iteration), plot.top);
+        ctx.lineTo(x(iteration), plot.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      // Hovered iteration: a rule and a dot on each line
+      if (hover && hover.iteration >= first && hover.iteration <= lastVisible) {
+        const hx = x(hover.iteration);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(hx, plot.top);
+        ctx.lineTo(hx, plot.bottom);
+        ctx.stroke();
+
+        const dots = [
+          ...lossSeries.filter(series => !series.agent).map(series => [series, yAt]),
+          ...extraSeries.map((series, k) => [series, extraScales[k]])
+        ];
+        for (const [series, scale] of dots) {
+          const value = series.values[hover.iteration];
+          if (value === null || value === undefined) continue;
+          ctx.fillStyle = `rgb(${series.rgb})`;
+          ctx.beginPath();
+          ctx.arc(hx, scale(value), 3, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+
+      ctx.restore();
+
+      // Extra axes on the right, in their series' colours
+      extraSeries.forEach((series, k) => {
+        const axisX = plot.right + k * EXTRA_AXIS_WIDTH;
+        const scale = extraScales[k];
+        ctx.strokeStyle = `rgba(${series.rgb}, 0.6)`;
+        ctx.fillStyle = `rgb(${series.rgb})`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(axisX, plot.top);
+        ctx.lineTo(axisX, plot.bottom);
+        ctx.stroke();
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const tick of scale.ticks(3)) {
+          ctx.fillText(formatTick(tick), axisX + 3, scale(tick));
+        }
+      });
+    } catch (error) {
+      console.error("Error rendering loss chart:", error);
+    }
+  }, [lossSeries, extraSeries, last, iteration, ensembleState, coupled, options.logScale, transform, hover]);
+
+  const handleMouseMove = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left;
+    const mouseY = e.clientY - rect.top;
+    const { plot, x } = getScales(canvas.clientWidth, canvas.clientHeight);
+    if (last < 1 || mouseX < plot.left || mouseX > plot.right) {
+      setHover(null);
+      return;
+    }
+
+    const hovered = Math.min(Math.max(Math.round(x.invert(mouseX)), 0), last);
+    setHover({ iteration: hovered, x: mouseX, y: mouseY, flip: mouseX > rect.width / 2 });
+  };
+
+  const format = value => value === null || value === undefined ? '–' : value.toFixed(4);
+  const tooltipSeries = hover ? [...lossSeries.filter(series => !series.agent), ...extraSeries] : [];
+
+  return (
+    <ChartArea>
+      <ChartCanvas
+        ref={canvasRef}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHover(null)}
+      />
+      {hover && (
+        <ChartTooltip x={hover.x} y={hover.y} flip={hover.flip}>
+          <div style={{ fontWeight: 600 }}>Iteration {hover.iteration}</div>
+          {tooltipSeries.map(series => (
+            <div key={series.id} style={{ color: `rgb(${series.rgb})` }}>
+              {series.name}: {format(series.raw[hover.iteration])}
+              {options.smoothing > 1 && ` (avg ${format(series.values[hover.iteration])})`}
+            </div>
+          ))}
+        </ChartTooltip>
+      )}
+    </ChartArea>
+  );
+};
+
+export default LossChart;
@@ -1,14 +1,18 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { forwardRef, useRef, useEffect, useState, useMemo, useCallback, useImperativeHandle, useSyncExternalStore } from 'react';
 import styled from 'styled-components';
 import * as d3 from 'd3';
-import { 
-  generateLossLandscape, 
-  generateContours, 
-  generateGradientField, 
-  simulateStep,
-  getLossColor,
-  calculateDynamicLoss
-} from '../utils/gameUtils';
+import { SAMPLING_MODES } from '../utils/sampling';
+import { resolveUpdateRule } from '../utils/updateRules';
+import { PGD_NORMS } from '../utils/pgd';
+import { CRITICAL_POINT_TYPES } from '../utils/criticalPoints';
+import { CUSTOM_LANDSCAPE } from '../utils/landscapes';
+import { createLandscapeLayer, createContourLayer, createGradientLayer, traceContour } from '../utils/canvasLayers';
+import { Ensemble } from '../utils/ensemble';
+import { DEFENDER_COLORS, ADVERSARY_COLORS } from '../utils/populations';
+import { findBreakpoint } from '../utils/breakpoints';
+import { composeFrame } from '../utils/frameExport';
+import SurfaceView from './SurfaceView';
+import LossChart from './LossChart';
 
 const GameContainer = styled.div`
   position: relative;
@@ -29,6 +33,79 @@ const Canvas = styled.canvas`
   border-radius: 4px;
 `;
 
+// Transparent layer over Canvas for everything that moves
+const DynamicCanvas = styled(Canvas)`
+  position: absolute;
+  top: 1rem;
+  left: 1rem;
+  width: calc(100% - 2rem);
+  height: calc(100% - 2rem);
+  background-color: transparent;
+`;
+
+const DropOverlay = styled.div`
+  position: absolute;
+  inset: 1rem;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  border: 2px dashed var(--gradient-end);
+  border-radius: 4px;
+  background-color: rgba(0, 0, 0, 0.6);
+  color: white;
+  font-size: 1.1rem;
+  font-weight: 600;
+  z-index: 20;
+  pointer-events: none;
+`;
+
+const ErrorOverlay = styled.div`
+  position: absolute;
+  inset: 1rem;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 2rem;
+  border: 1px solid var(--adversary-color);
+  border-radius: 4px;
+  background-color: rgba(0, 0, 0, 0.6);
+  color: white;
+  font-size: 1rem;
+  text-align: center;
+  z-index: 20;
+`;
+
+const BusyIndicator = styled.div`
+  position: absolute;
+  top: 20px;
+  left: 50%;
+  transform: translateX(-50%);
+  min-width: 200px;
+  background-color: rgba(0, 0, 0, 0.7);
+  padding: 8px 12px;
+  border-radius: 4px;
+  font-size: 0.8rem;
+  color: white;
+  text-align: center;
+  z-index: 12;
+  pointer-events: none;
+`;
+
+const BusyBar = styled.div`
+  height: 4px;
+  margin-top: 6px;
+  border-radius: 2px;
+  background: rgba(255, 255, 255, 0.15);
+  overflow: hidden;
+
+  div {
+    height: 100%;
+    width: ${props => props.progress === null ? '40%' : `${props.progress * 100}%`};
+    background: var(--gradient-end);
+    animation: ${props => props.progress === null ? 'indeterminate 1.2s ease-in-out infinite' : 'none'};
+  }
+`;
+
 const Legend = styled.div`
   position: absolute;
   bottom: 20px;
@@ -63,6 +140,12 @@ const LegendGradient = styled.div`
   background: linear-gradient(to right, var(--gradient-start), var(--gradient-end));
 `;
 
+const LegendIcon = styled.svg`
+  width: 20px;
+  height: 14px;
+  flex-shrink: 0;
+`;
+
 const LegendLabel = styled.span`
   font-size: 0.8rem;
   color: white;
@@ -99,6 +182,15 @@ const StatValue = styled.span`
   font-weight: 600;
 `;
 
+// The breakpoint that paused the run, and the stat it watched
+const BREAKPOINT_HIGHLIGHT = {
+  padding: '2px 6px',
+  margin: '0 -6px',
+  borderLeft: '3px solid #facc15',
+  backgroundColor: 'rgba(250, 204, 21, 0.2)',
+  borderRadius: '2px'
+};
+
 const AdversaryAdvantage = styled.div`
   position: absolute;
   top: 20px;
@@ -114,6 +206,22 @@ const AdversaryAdvantage = styled.div`
   animation: pulse 2s infinite;
 `;
 
+const Tooltip = styled.div`
+  position: absolute;
+  left: ${props => props.x}px;
+  top: ${props => props.y}px;
+  background-color: rgba(0, 0, 0, 0.85);
+  border: 1px solid var(--border-color);
+  padding: 6px 10px;
+  border-radius: 4px;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: white;
+  pointer-events: none;
+  white-space: nowrap;
+  z-index: 15;
+`;
+
 // New styled components for the loss graph
 const LossGraphContainer = styled.div`
   position: absolute;
@@ -122,8 +230,7 @@ const LossGraphContainer = styled.div`
   background-color: rgba(0, 0, 0, 0.7);
   padding: 10px;
   border-radius: 4px;
-  width: 250px;
-  height: 150px;
+  width: 340px;
   z-index: 10;
 `;
 
@@ -134,38 +241,242 @@ const LossGraphTitle = styled.div`
   text-align: center;
 `;
 
-const LossGraphCanvas = styled.canvas`
-  width: 100%;
-  height: 120px;
-  background-color: rgba(0, 0, 0, 0.3);
-  border-radius: 2px;
-`;
+/**
+ * Draws a group of agents: each one's trail and marker in its own colour, numbered
+ */
+const drawAgents = (ctx, trails, positions, colors, prefix, resolution) => {
+  positions.forEach((position, k) => {
+    const trail = trails[k] || [];
+    if (trail.length > 1) {
+      ctx.beginPath();
+      ctx.moveTo(trail[0].x * resolution, trail[0].y * resolution);
+      for (let i = 1; i < trail.length; i++) {
+        ctx.lineTo(trail[i].x * resolution, trail[i].y * resolution);
+      }
+      ctx.strokeStyle = `rgba(${colors[k]}, 0.7)`;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+    
+    ctx.beginPath();
+    ctx.arc(position.x * resolution, position.y * resolution, 6, 0, Math.PI * 2);
+    ctx.fillStyle = `rgb(${colors[k]})`;
+    ctx.fill();
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    
+    ctx.font = '11px Inter, sans-serif';
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${prefix}${k + 1}`, position.x * resolution, position.y * resolution - 10);
+  });
+};
+
+/**
+ * Traces the outline of an ε-ball: a square (L∞), circle (L2) or diamond (L1)
+ */
+const traceBall = (ctx, cx, cy, radius, norm) => {
+  ctx.beginPath();
+  if (norm === 'l2') {
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  } else if (norm === 'l1') {
+    ctx.moveTo(cx, cy - radius);
+    ctx.lineTo(cx + radius, cy);
+    ctx.lineTo(cx, cy + radius);
+    ctx.lineTo(cx - radius, cy);
+    ctx.closePath();
+  } else {
+    ctx.rect(cx - radius, cy - radius, radius * 2, radius * 2);
+  }
+};
+
+// Marker colors for critical points on the canvas and in the legend
+const CRITICAL_POINT_COLORS = {
+  minimum: '#42f59e',
+  maximum: '#f5d142',
+  saddle: '#e042f5'
+};
+
+// Radius (px) within which hovering a marker shows its details
+const HOVER_RADIUS = 8;
+
+/**
+ * Draws a critical point marker: ring (minimum), triangle (maximum) or cross (saddle)
+ */
+const drawCriticalPoint = (ctx, type, x, y, size = 5) => {
+  ctx.beginPath();
+  if (type === 'minimum') {
+    ctx.arc(x, y, size, 0, Math.PI * 2);
+  } else if (type === 'maximum') {
+    ctx.moveTo(x, y - size);
+    ctx.lineTo(x + size, y + size * 0.8);
+    ctx.lineTo(x - size, y + size * 0.8);
+    ctx.closePath();
+  } else {
+    ctx.moveTo(x - size, y - size);
+    ctx.lineTo(x + size, y + size);
+    ctx.moveTo(x + size, y - size);
+    ctx.lineTo(x - size, y + size);
+  }
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.lineWidth = 3.5;
+  ctx.stroke();
+  ctx.strokeStyle = CRITICAL_POINT_COLORS[type];
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+};
 
-const MinMaxGame = ({
+/**
+ * Legend icon matching the canvas marker of a critical point type
+ */
+const CriticalPointIcon = ({ type }) => {
+  const color = CRITICAL_POINT_COLORS[type];
+  return (
+    <LegendIcon viewBox="0 0 20 14">
+      {type === 'minimum' && <circle cx="10" cy="7" r="5" fill="none" stroke={color} strokeWidth="1.5" />}
+      {type === 'maximum' && <polygon points="10,2 15,11 5,11" fill="none" stroke={color} strokeWidth="1.5" />}
+      {type === 'saddle' && <path d="M5 2 L15 12 M15 2 L5 12" stroke={color} strokeWidth="1.5" />}
+    </LegendIcon>
+  );
+};
+
+// Layers shown until the worker has traced the current landscape
+const EMPTY_LAYERS = { grid: null, contours: [], gradientField: new Float32Array(0), criticalPoints: [] };
+
+const MinMaxGame = forwardRef(({
+  engine,
+  worker,
+  recorder,
+  gridSize,
   isRunning,
   animationSpeed,
   showLoss,
   showGradients,
-  attackStrength,
-  defenseStrength
-}) => {
+  showCriticalPoints,
+  contourOptions,
+  showSurface,
+  lossChart,
+  ensemble,
+  breakpoints,
+  onBreakpoint,
+  onImportFile
+}, ref) => {
+  const landscapeCanvasRef = useRef(null);
   const canvasRef = useRef(null);
-  const lossGraphRef = useRef(null);
+  const lossGraphContainerRef = useRef(null);
+  const statsRef = useRef(null);
   const containerRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
-  const [grid, setGrid] = useState(null);
-  const [contours, setContours] = useState([]);
-  const [gradientField, setGradientField] = useState([]);
-  const [defender, setDefender] = useState(null);
-  const [adversary, setAdversary] = useState(null);
-  const [iteration, setIteration] = useState(0);
-  const [defenderLoss, setDefenderLoss] = useState(0);
-  const [adversaryLoss, setAdversaryLoss] = useState(0);
-  const [defenderHistory, setDefenderHistory] = useState([]);
-  const [adversaryHistory, setAdversaryHistory] = useState([]);
-  const [lossHistory, setLossHistory] = useState({ defender: [], adversary: [] });
+  const [hoveredPoint, setHoveredPoint] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [breakpointHit, setBreakpointHit] = useState(null);
+  
+  // All simulation state lives in the engine; this component only renders it
+  const subscribe = useCallback(listener => engine.on('change', listener), [engine]);
+  const {
+    settings,
+    grid,
+    generating,
+    defender,
+    adversary,
+    iteration,
+    defenderLoss,
+    adversaryLoss,
+    defenderHistory,
+    adversaryHistory,
+    pgdTrace,
+    cleanPoint,
+    samplingMode,
+    defenders,
+    adversaries,
+    defenderTrails,
+    adversaryTrails,
+    target,
+    error
+  } = useSyncExternalStore(subscribe, () => engine.getState());
+  const { seed, attackStrength, defenseStrength, updateRule, gameMode, pgd, population, resolution } = settings;
+  
+  const coupled = gameMode === 'coupled';
+  const pgdActive = Boolean(pgd?.enabled) && !coupled;
+  const populated = !coupled && (defenders.length > 1 || adversaries.length > 1);
+  
+  // The breakpoint stays highlighted while the engine is at the iteration it fired on
+  useEffect(() => engine.on('reset', () => setBreakpointHit(null)), [engine]);
   
-  // Initialize dimensions and landscape
+  // Every step is checked against the breakpoints, whether the run loop, the Step button or the
+  // timeline took it; the loop reads the ref to stop before its next frame
+  const breakpointFiredRef = useRef(false);
+  useEffect(() => {
+    let previous = engine.getState();
+    const offChange = engine.on('change', state => { previous = state; });
+    const offStep = engine.on('step', state => {
+      const hit = findBreakpoint(breakpoints, previous, state);
+      previous = state;
+      if (hit) {
+        breakpointFiredRef.current = true;
+        setBreakpointHit(hit);
+        onBreakpoint(hit);
+      }
+    });
+    return () => {
+      offChange();
+      offStep();
+    };
+  }, [engine, breakpoints, onBreakpoint]);
+  const activeBreakpoint = breakpointHit && breakpointHit.iteration === iteration ? breakpointHit : null;
+  const breakpointStyle = (id) => activeBreakpoint?.id === id ? BREAKPOINT_HIGHLIGHT : undefined;
+  
+  // Monte Carlo replays of the live game, for the loss bands and the trajectory cloud
+  const [ensembleRunner, setEnsembleRunner] = useState(null);
+  useEffect(() => {
+    if (!ensemble.enabled) return;
+    
+    const runner = new Ensemble(engine, ensemble.size);
+    setEnsembleRunner(runner);
+    return () => {
+      runner.dispose();
+      setEnsembleRunner(null);
+    };
+  }, [engine, ensemble.enabled, ensemble.size]);
+  
+  const subscribeEnsemble = useCallback(
+    listener => ensembleRunner ? ensembleRunner.subscribe(listener) : () => {},
+    [ensembleRunner]
+  );
+  const ensembleState = useSyncExternalStore(subscribeEnsemble, () => ensembleRunner ? ensembleRunner.getState() : null);
+  
+  // Static layers derived from the landscape (contours, gradient arrows and the stationary
+  // points classified from the Hessian), traced in the worker whenever the grid changes
+  const [layers, setLayers] = useState(EMPTY_LAYERS);
+  useEffect(() => {
+    if (!grid) return;
+    
+    // Formula landscapes travel as their definition; the worker rebuilds the exact field from it
+    const { preset } = engine.getState();
+    const formula = preset?.fn
+      ? { id: preset.id, custom: preset.id === CUSTOM_LANDSCAPE ? engine.getSettings().customLandscape : null }
+      : null;
+    
+    const controller = new AbortController();
+    worker.computeLayers(grid, {
+      contourLevels: 15,
+      contourSmoothing: contourOptions.smoothing,
+      gradientSpacing: 20,
+      formula
+    }, controller.signal)
+      .then(result => {
+        if (result) setLayers({ grid, ...result });
+      })
+      .catch(error => console.error("Error tracing landscape layers:", error));
+    return () => controller.abort();
+  }, [engine, worker, grid, contourOptions.smoothing]);
+  const { contours, gradientField, criticalPoints } = layers.grid === grid ? layers : EMPTY_LAYERS;
+  
+  const subscribeWorker = useCallback(listener => worker.subscribe(listener), [worker]);
+  const workerStatus = useSyncExternalStore(subscribeWorker, () => worker.getStatus());
+  
+  // Initialize dimensions
   useEffect(() => {
     if (!containerRef.current) return;
     
@@ -178,63 +489,16 @@ const MinMaxGame = ({
     return () => resizeObserver.disconnect();
   }, []);
   
-  // Generate loss landscape when dimensions change
+  // The grid is sized to the canvas, so a resize generates a new landscape; a fixed
+  // gridSize (a loaded session's) keeps its landscape and recording through resizes
   useEffect(() => {
-    if (dimensions.width === 0 || dimensions.height === 0) return;
-    
-    // Create grid at appropriate resolution for the canvas
-    const resolution = 5; // Higher = more coarse but faster
-    const newGrid = generateLossLandscape(dimensions.width, dimensions.height, resolution);
-    setGrid(newGrid);
-    
-    // Generate contours and gradient field
-    const newContours = generateContours(newGrid, 15);
-    setContours(newContours);
-    
-    const newGradientField = generateGradientField(newGrid, 20);
-    setGradientField(newGradientField);
-    
-    // Initial positions for defender and adversary
-    const rows = newGrid.length;
-    const cols = newGrid[0].length;
-    
-    setDefender({ x: cols * 0.3, y: rows * 0.7 });
-    setAdversary({ x: cols * 0.7, y: rows * 0.3 });
-    
-    // Reset histories and iteration counter
-    setDefenderHistory([]);
-    setAdversaryHistory([]);
-    setLossHistory({ defender: [], adversary: [] });
-    setIteration(0);
-  }, [dimensions]);
-  
-  // Update loss values for both players using the new dynamic loss calculation
-  useEffect(() => {
-    if (!grid || !defender || !adversary) return;
-    
-    const { defenderLoss, adversaryLoss } = calculateDynamicLoss(
-      grid, 
-      defender, 
-      adversary, 
-      iteration,
-      defenseStrength,
-      attackStrength
-    );
-    
-    setDefenderLoss(defenderLoss);
-    setAdversaryLoss(adversaryLoss);
-    
-    // Update loss history
-    setLossHistory(prev => ({
-      defender: [...prev.defender, defenderLoss].slice(-100), // Keep last 100 points
-      adversary: [...prev.adversary, adversaryLoss].slice(-100)
-    }));
-    
-  }, [grid, defender, adversary, iteration, defenseStrength, attackStrength]);
+    if (gridSize || dimensions.width === 0 || dimensions.height === 0) return;
+    engine.configure({ width: dimensions.width, height: dimensions.height });
+  }, [engine, gridSize, dimensions]);
   
-  // Animation effect - update positions
+  // Animation loop - advance the engine at the chosen speed
   useEffect(() => {
-    if (!isRunning || !grid || !defender || !adversary) return;
+    if (!isRunning) return;
     
     let animationFrameId;
     let lastUpdateTime = Date.now();
@@ -245,29 +509,15 @@ const MinMaxGame = ({
       const deltaTime = currentTime - lastUpdateTime;
       
       if (deltaTime >= updateInterval) {
-        // Compute next positions
-        const { defender: newDefender, adversary: newAdversary } = 
-          simulateStep(defender, adversary, grid, defenseStrength, attackStrength);
-        
-        // Update positions
-        setDefender(newDefender);
-        setAdversary(newAdversary);
-        
-        // Update position histories (limited to last 50 positions)
-        setDefenderHistory(prev => {
-          const updated = [...prev, newDefender];
-          return updated.length > 50 ? updated.slice(-50) : updated;
-        });
-        
-        setAdversaryHistory(prev => {
-          const updated = [...prev, newAdversary];
-          return updated.length > 50 ? updated.slice(-50) : updated;
-        });
-        
-        // Increment iteration counter
-        setIteration(prev => prev + 1);
-        
+        breakpointFiredRef.current = false;
+        engine.step();
         lastUpdateTime = currentTime;
+        
+        // A breakpoint stops the loop right away, before the next frame could step again
+        if (breakpointFiredRef.current) {
+          animationFrameId = null;
+          return;
+        }
       }
       
       animationFrameId = requestAnimationFrame(animate);
@@ -281,84 +531,91 @@ const MinMaxGame = ({
         cancelAnimationFrame(animationFrameId);
       }
     };
-  }, [isRunning, grid, defender, adversary, attackStrength, defenseStrength, animationSpeed]);
+  }, [engine, isRunning, animationSpeed]);
+  
+  // Cached static layers: rebuilt only when the landscape or its traced layers change
+  const landscapeLayer = useMemo(() => grid ? createLandscapeLayer(grid) : null, [grid]);
+  const contourLayer = useMemo(
+    () => grid
+      ? createContourLayer(contours, grid.length, grid[0].length, resolution, { labels: contourOptions.labels })
+      : null,
+    [grid, contours, resolution, contourOptions.labels]
+  );
+  const gradientLayer = useMemo(
+    () => grid ? createGradientLayer(gradientField, grid.length, grid[0].length, resolution) : null,
+    [grid, gradientField, resolution]
+  );
+  
+  // Trajectories for the 3D view, built from the same engine state as the 2D canvas
+  const surfaceTracks = useMemo(() => {
+    if (!showSurface || !defender || !adversary) return [];
+    if (coupled) {
+      return [{ points: defenderHistory, current: { x: defender.x, y: adversary.y }, rgb: '255, 255, 255' }];
+    }
+    if (populated) {
+      const agents = (trails, positions, colors) => positions.map((position, k) => ({
+        points: trails[k] || [],
+        current: position,
+        rgb: colors[k % colors.length],
+        radius: 4,
+        alpha: 0.6
+      }));
+      return [
+        ...agents(defenderTrails, defenders, DEFENDER_COLORS),
+        ...agents(adversaryTrails, adversaries, ADVERSARY_COLORS)
+      ];
+    }
+    return [
+      { points: defenderHistory, current: defender, rgb: '66, 135, 245' },
+      { points: adversaryHistory, current: adversary, rgb: '245, 81, 66' }
+    ];
+  }, [showSurface, coupled, populated, defender, adversary, defenderHistory, adversaryHistory, defenders, adversaries, defenderTrails, adversaryTrails]);
+  const valueAt = useCallback(point => engine.getValue(point), [engine]);
   
-  // Draw loss graph
+  // Static canvas: the cached layers and the critical point markers
   useEffect(() => {
-    if (!lossGraphRef.current || lossHistory.defender.length < 2) return;
+    if (!landscapeCanvasRef.current || !dimensions.width || !grid) return;
     
-    const canvas = lossGraphRef.current;
+    const canvas = landscapeCanvasRef.current;
     const ctx = canvas.getContext('2d');
     
     if (!ctx) return; // Safety check
     
     try {
-      // Set canvas dimensions (ensure high resolution)
-      canvas.width = canvas.clientWidth * 2;
-      canvas.height = canvas.clientHeight * 2;
-      
-      // Clear canvas
+      canvas.width = dimensions.width;
+      canvas.height = dimensions.height;
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       
-      // Draw background grid
-      ctx.lineWidth = 0.5;
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      // The 3D view draws its own surface over this canvas
+      if (showSurface) return;
       
-      // Horizontal grid lines
-      for (let i = 0; i < 5; i++) {
-        const y = i * (canvas.height / 4);
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(canvas.width, y);
-        ctx.stroke();
+      // Draw loss landscape, one bitmap pixel per cell
+      if (showLoss) {
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(landscapeLayer, 0, 0, grid[0].length * resolution, grid.length * resolution);
+        ctx.drawImage(contourLayer, 0, 0);
+      } else {
+        // If not showing loss landscape, just draw a dark background
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
       }
       
-      // Vertical grid lines
-      for (let i = 0; i < 6; i++) {
-        const x = i * (canvas.width / 5);
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, canvas.height);
-        ctx.stroke();
+      if (showGradients) {
+        ctx.drawImage(gradientLayer, 0, 0);
       }
       
-      // Draw axes labels
-      ctx.font = '12px Inter, sans-serif';
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-      ctx.textAlign = 'left';
-      ctx.fillText('1.0', 5, 15);
-      ctx.fillText('0.0', 5, canvas.height - 5);
-      
-      // Draw loss lines
-      const drawLossLine = (data, color) => {
-        if (data.length < 2) return;
-        
-        const xStep = canvas.width / (data.length - 1);
-        const yScale = canvas.height;
-        
-        ctx.beginPath();
-        ctx.moveTo(0, (1 - data[0]) * yScale);
-        
-        for (let i = 1; i < data.length; i++) {
-          ctx.lineTo(i * xStep, (1 - data[i]) * yScale);
+      // Critical point markers
+      if (showCriticalPoints) {
+        for (const point of criticalPoints) {
+          drawCriticalPoint(ctx, point.type, point.x * resolution, point.y * resolution, point === hoveredPoint ? 7 : 5);
         }
-        
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.stroke();
-      };
-      
-      // Draw defender loss line
-      drawLossLine(lossHistory.defender, 'var(--defender-color)');
-      
-      // Draw adversary loss line
-      drawLossLine(lossHistory.adversary, 'var(--adversary-color)');
+      }
     } catch (error) {
-      console.error("Error rendering loss graph:", error);
+      console.error("Error rendering landscape layers:", error);
     }
-  }, [lossHistory]);
+  }, [dimensions, grid, resolution, landscapeLayer, contourLayer, gradientLayer, showLoss, showGradients, showCriticalPoints, criticalPoints, hoveredPoint, showSurface]);
   
-  // Render main visualization
+  // Dynamic canvas on top: players, trails and everything else that moves, redrawn every frame
   useEffect(() => {
     if (!canvasRef.current || !dimensions.width || !grid || !defender || !adversary) return;
     
@@ -368,11 +625,11 @@ const MinMaxGame = ({
     if (!ctx) return; // Safety check
     
     try {
-      // Set canvas dimensions
-      canvas.width = dimensions.width;
-      canvas.height = dimensions.height;
-      
-      // Clear canvas
+      // Resizing clears the canvas anyway, so only do it when the size changed
+      if (canvas.width !== dimensions.width || canvas.height !== dimensions.height) {
+        canvas.width = dimensions.width;
+        canvas.height = dimensions.height;
+      }
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       
       // Check if adversary has advantage
@@ -391,89 +648,198 @@ const MinMaxGame = ({
         ctx.fillRect(0, 0, canvas.width, canvas.height);
       }
       
-      // Draw loss landscape
-      if (showLoss) {
-        const resolution = 5;
-        const rows = grid.length;
-        const cols = grid[0].length;
-        
-        for (let i = 0; i < rows; i++) {
-          for (let j = 0; j < cols; j++) {
-            const value = grid[i][j];
-            ctx.fillStyle = getLossColor(value);
-            ctx.fillRect(j * resolution, i * resolution, resolution, resolution);
-          }
-        }
+      // The contour nearest to the landscape value under the defender (the joint point when coupled)
+      if (showLoss && contourOptions.highlight && contours.length > 0) {
+        const value = engine.getValue(coupled ? { x: defender.x, y: adversary.y } : defender);
+        const nearest = contours.reduce((best, contour) =>
+          Math.abs(contour.level - value) < Math.abs(best.level - value) ? contour : best
+        );
         
-        // Draw contour lines
-        ctx.lineWidth = 0.5;
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.beginPath();
+        traceContour(ctx, nearest, resolution);
+        ctx.strokeStyle = 'rgba(66, 135, 245, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+      
+      // Ensemble: a faint cloud of every replay's recent trajectory and current position
+      if (ensembleState) {
+        const cloud = coupled
+          ? [{ key: 'defenderHistory', position: member => ({ x: member.defender.x, y: member.adversary.y }), rgb: '255, 255, 255' }]
+          : [
+              { key: 'defenderHistory', position: member => member.defender, rgb: '66, 135, 245' },
+              { key: 'adversaryHistory', position: member => member.adversary, rgb: '245, 81, 66' }
+            ];
         
-        for (const contour of contours) {
-          const { points } = contour;
-          
-          for (let i = 0; i < points.length; i += 2) {
-            if (i + 1 < points.length) {
+        for (const member of ensembleState.members) {
+          for (const { key, position, rgb } of cloud) {
+            const history = member[key];
+            if (history.length > 1) {
               ctx.beginPath();
-              ctx.moveTo(points[i].x * resolution, points[i].y * resolution);
-              ctx.lineTo(points[i + 1].x * resolution, points[i + 1].y * resolution);
+              ctx.moveTo(history[0].x * resolution, history[0].y * resolution);
+              for (let i = 1; i < history.length; i++) {
+                ctx.lineTo(history[i].x * resolution, history[i].y * resolution);
+              }
+              ctx.strokeStyle = `rgba(${rgb}, 0.15)`;
+              ctx.lineWidth = 1;
               ctx.stroke();
             }
+            
+            const point = position(member);
+            ctx.beginPath();
+            ctx.arc(point.x * resolution, point.y * resolution, 2, 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(${rgb}, 0.5)`;
+            ctx.fill();
           }
         }
-      } else {
-        // If not showing loss landscape, just draw a dark background
-        ctx.fillStyle = '#111827';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
       }
       
-      // Draw gradient vectors
-      if (showGradients) {
-        const resolution = 5;
-        ctx.lineWidth = 1;
+      // Coupled game: a single joint point (θ, δ), with θ read off the x axis and δ off the y axis
+      if (coupled) {
+        const px = defender.x * resolution;
+        const py = adversary.y * resolution;
         
-        for (const grad of gradientField) {
-          const { x, y, dx, dy, magnitude } = grad;
+        // Joint trajectory
+        if (defenderHistory.length > 1) {
+          ctx.beginPath();
+          ctx.moveTo(defenderHistory[0].x * resolution, defenderHistory[0].y * resolution);
           
-          // Scale arrow length by gradient magnitude (with limits)
-          const length = Math.min(Math.max(magnitude * 30, 5), 15);
+          for (let i = 1; i < defenderHistory.length; i++) {
+            ctx.lineTo(defenderHistory[i].x * resolution, defenderHistory[i].y * resolution);
+          }
           
-          // Normalize direction
-          const dirX = dx / magnitude;
-          const dirY = dy / magnitude;
+          ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+          ctx.lineWidth = 2;
+          ctx.stroke();
+        }
+        
+        // Projections onto the defender's (θ) and adversary's (δ) axes
+        ctx.setLineDash([5, 5]);
+        ctx.lineWidth = 1;
+        
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(px, canvas.height);
+        ctx.strokeStyle = 'rgba(66, 135, 245, 0.8)';
+        ctx.stroke();
+        
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(0, py);
+        ctx.strokeStyle = 'rgba(245, 81, 66, 0.8)';
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Joint marker: defender half on the left, adversary half on the right
+        const radius = 9;
+        ctx.beginPath();
+        ctx.arc(px, py, radius, Math.PI / 2, Math.PI * 1.5);
+        ctx.fillStyle = '#4287f5';
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(px, py, radius, -Math.PI / 2, Math.PI / 2);
+        ctx.fillStyle = '#f55142';
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(px, py, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        // Labels
+        ctx.font = '14px Inter, sans-serif';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.fillText('(θ, δ)', px, py - 15);
+        ctx.fillStyle = '#4287f5';
+        ctx.fillText('θ', px, canvas.height - 5);
+        ctx.fillStyle = '#f55142';
+        ctx.textAlign = 'left';
+        ctx.fillText('δ', 5, py - 5);
+        return;
+      }
+      
+      // PGD: the feasible ε-ball and the adversary's inner ascent iterates from the last step
+      if (pgdActive) {
+        const anchor = pgdTrace?.anchor ||
+          (pgd.anchor === 'clean' && cleanPoint ? cleanPoint : defender);
+        const epsilon = pgdTrace?.epsilon ?? pgd.epsilon * attackStrength / 5;
+        const norm = pgdTrace?.norm || pgd.norm;
+        
+        traceBall(ctx, anchor.x * resolution, anchor.y * resolution, epsilon * resolution, norm);
+        ctx.fillStyle = 'rgba(245, 81, 66, 0.08)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(245, 81, 66, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        if (pgdTrace && pgdTrace.path.length > 1) {
+          const { path } = pgdTrace;
           
-          // Draw the arrow
           ctx.beginPath();
-          ctx.moveTo(x * resolution, y * resolution);
-          ctx.lineTo((x + dirX * length) * resolution, (y + dirY * length) * resolution);
-          
-          // Gradient from dark blue to lighter blue
-          const alpha = 0.2 + magnitude * 0.6;
-          ctx.strokeStyle = `rgba(150, 150, 255, ${alpha})`;
+          ctx.moveTo(path[0].x * resolution, path[0].y * resolution);
+          for (let i = 1; i < path.length; i++) {
+            ctx.lineTo(path[i].x * resolution, path[i].y * resolution);
+          }
+          ctx.strokeStyle = 'rgba(255, 200, 190, 0.45)';
+          ctx.lineWidth = 1;
           ctx.stroke();
           
-          // Draw arrowhead
-          const headLength = 3;
-          const angle = Math.atan2(dirY, dirX);
-          
-          ctx.beginPath();
-          ctx.moveTo((x + dirX * length) * resolution, (y + dirY * length) * resolution);
-          ctx.lineTo(
-            (x + dirX * length - headLength * Math.cos(angle - Math.PI / 6)) * resolution,
-            (y + dirY * length - headLength * Math.sin(angle - Math.PI / 6)) * resolution
-          );
-          ctx.lineTo(
-            (x + dirX * length - headLength * Math.cos(angle + Math.PI / 6)) * resolution,
-            (y + dirY * length - headLength * Math.sin(angle + Math.PI / 6)) * resolution
-          );
-          ctx.closePath();
-          ctx.fillStyle = `rgba(150, 150, 255, ${alpha})`;
-          ctx.fill();
+          ctx.fillStyle = 'rgba(255, 200, 190, 0.6)';
+          for (const point of path) {
+            ctx.beginPath();
+            ctx.arc(point.x * resolution, point.y * resolution, 1.5, 0, Math.PI * 2);
+            ctx.fill();
+          }
         }
       }
       
-      // The resolution for player paths and entities
-      const resolution = 5;
+      // Populations: every agent with its own colour and trail, the defenders' centre and the attacked point
+      if (populated) {
+        drawAgents(ctx, defenderTrails, defenders, DEFENDER_COLORS, 'D', resolution);
+        drawAgents(ctx, adversaryTrails, adversaries, ADVERSARY_COLORS, 'A', resolution);
+        
+        if (defenders.length > 1) {
+          ctx.beginPath();
+          ctx.arc(defender.x * resolution, defender.y * resolution, 10, 0, Math.PI * 2);
+          ctx.strokeStyle = `rgba(${DEFENDER_COLORS[0]}, 0.9)`;
+          ctx.lineWidth = 2;
+          ctx.setLineDash([3, 3]);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+        
+        // Crosshair on the target, joined to every adversary
+        const tx = target.x * resolution;
+        const ty = target.y * resolution;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        for (const point of adversaries) {
+          ctx.beginPath();
+          ctx.moveTo(point.x * resolution, point.y * resolution);
+          ctx.lineTo(tx, ty);
+          ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        
+        ctx.beginPath();
+        ctx.moveTo(tx - 14, ty);
+        ctx.lineTo(tx + 14, ty);
+        ctx.moveTo(tx, ty - 14);
+        ctx.lineTo(tx, ty + 14);
+        ctx.strokeStyle = `rgba(${ADVERSARY_COLORS[0]}, 0.9)`;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        
+        ctx.font = '12px Inter, sans-serif';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'left';
+        ctx.fillText('Target', tx + 8, ty + 16);
+        return;
+      }
       
       // Defender path
       if (defenderHistory.length > 1) {
@@ -624,51 +990,234 @@ const MinMaxGame = ({
     } catch (error) {
       console.error("Error in main rendering:", error);
     }
-  }, [dimensions, grid, contours, gradientField, defender, adversary, defenderHistory, adversaryHistory, showLoss, showGradients, iteration, defenderLoss, adversaryLoss, attackStrength, defenseStrength]);
+  }, [engine, dimensions, grid, resolution, showLoss, contourOptions.highlight, contours, defender, adversary, defenderHistory, adversaryHistory, iteration, defenderLoss, adversaryLoss, attackStrength, defenseStrength, coupled, pgdActive, pgd, pgdTrace, cleanPoint, ensembleState, populated, defenders, adversaries, defenderTrails, adversaryTrails, target, showSurface]);
+  
+  // Show the loss and Hessian eigenvalues of the critical point under the cursor
+  const handleMouseMove = (e) => {
+    if (!showCriticalPoints || criticalPoints.length === 0) {
+      if (hoveredPoint) setHoveredPoint(null);
+      return;
+    }
+    
+    const rect = canvasRef.current.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left;
+    const mouseY = e.clientY - rect.top;
+    
+    let nearest = null;
+    let nearestDistance = HOVER_RADIUS;
+    for (const point of criticalPoints) {
+      const distance = Math.hypot(point.x * resolution - mouseX, point.y * resolution - mouseY);
+      if (distance <= nearestDistance) {
+        nearest = point;
+        nearestDistance = distance;
+      }
+    }
+    
+    if (nearest !== hoveredPoint) setHoveredPoint(nearest);
+  };
+  
+  // Drag-and-drop import of external landscapes (CSV, JSON, .npy, PNG)
+  const handleDragOver = (e) => {
+    if (!onImportFile || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFile(true);
+  };
+  
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDraggingFile(false);
+    }
+  };
+  
+  const handleDrop = (e) => {
+    if (!onImportFile) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+    
+    const file = e.dataTransfer.files[0];
+    if (file) onImportFile(file);
+  };
+  
+  // Exports (see ExportPanel) composite the view as it is on screen: the landscape,
+  // every canvas layered over it (the 2D layer or the 3D view's) and, optionally,
+  // the stats panel and the loss graph
+  useImperativeHandle(ref, () => ({
+    captureFrame: (target, { scale, overlays }) => {
+      const lossGraph = lossGraphContainerRef.current;
+      const layers = [...containerRef.current.querySelectorAll('canvas')]
+        .filter(canvas => canvas !== landscapeCanvasRef.current && !lossGraph.contains(canvas));
+      return composeFrame(target, {
+        view: landscapeCanvasRef.current,
+        layers,
+        overlays: overlays ? [statsRef.current, lossGraph] : []
+      }, scale);
+    }
+  }), []);
   
   return (
-    <GameContainer ref={containerRef}>
-      <Canvas ref={canvasRef} />
+    <GameContainer
+      ref={containerRef}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <Canvas
+        ref={landscapeCanvasRef}
+        style={{ opacity: generating ? 0.5 : 1 }}
+      />
+      {showSurface ? (
+        <SurfaceView
+          grid={grid}
+          contours={contours}
+          tracks={surfaceTracks}
+          valueAt={valueAt}
+          width={dimensions.width}
+          height={dimensions.height}
+          dimmed={generating}
+        />
+      ) : (
+        <DynamicCanvas
+          ref={canvasRef}
+          style={{ opacity: generating ? 0.5 : 1 }}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoveredPoint(null)}
+        />
+      )}
+      
+      {!showSurface && showCriticalPoints && hoveredPoint && canvasRef.current && (
+        <Tooltip
+          x={canvasRef.current.offsetLeft + hoveredPoint.x * resolution + (hoveredPoint.x * resolution > dimensions.width - 240 ? -240 : 12)}
+          y={canvasRef.current.offsetTop + hoveredPoint.y * resolution + 12}
+        >
+          <div style={{ color: CRITICAL_POINT_COLORS[hoveredPoint.type], fontWeight: 600 }}>
+            {CRITICAL_POINT_TYPES.find(type => type.id === hoveredPoint.type).name}
+          </div>
+          <div>Loss: {hoveredPoint.value.toFixed(4)}</div>
+          <div>
+            Hessian eigenvalues: {hoveredPoint.eigenvalues.map(value => value.toExponential(2)).join(', ')}
+          </div>
+        </Tooltip>
+      )}
+      
+      {workerStatus.busy && (
+        <BusyIndicator>
+          {workerStatus.tasks[0].label}
+          {workerStatus.tasks.length > 1 && ` (+${workerStatus.tasks.length - 1} more)`}
+          {workerStatus.tasks[0].progress !== null && ` ${Math.round(workerStatus.tasks[0].progress * 100)}%`}
+          <BusyBar progress={workerStatus.tasks[0].progress}><div /></BusyBar>
+        </BusyIndicator>
+      )}
+      
+      {error && !isDraggingFile && (
+        <ErrorOverlay>Could not generate the landscape: {error.message}</ErrorOverlay>
+      )}
+      
+      {isDraggingFile && (
+        <DropOverlay>Drop a CSV, JSON, .npy or PNG file to import it as the loss landscape</DropOverlay>
+      )}
       
       <AdversaryAdvantage show={attackStrength > defenseStrength}>
         Adversary Has Advantage
       </AdversaryAdvantage>
       
-      <StatsDisplay>
-        <StatItem>
+      <StatsDisplay ref={statsRef}>
+        {activeBreakpoint && (
+          <StatItem style={BREAKPOINT_HIGHLIGHT}>
+            <StatLabel style={{ color: '#facc15' }}>Breakpoint:</StatLabel>
+            <StatValue>{activeBreakpoint.message}</StatValue>
+          </StatItem>
+        )}
+        <StatItem style={breakpointStyle('iteration')}>
           <StatLabel>Iterations:</StatLabel>
           <StatValue>{iteration}</StatValue>
         </StatItem>
         <StatItem>
-          <StatLabel>Defender Loss:</StatLabel>
-          <StatValue 
-            style={{ 
-              color: defenderLoss > adversaryLoss ? 'var(--adversary-color)' : 'white'
-            }}
-          >
-            {defenderLoss.toFixed(3)}
-          </StatValue>
-        </StatItem>
-        <StatItem>
-          <StatLabel>Adversary Loss:</StatLabel>
-          <StatValue 
-            style={{ 
-              color: adversaryLoss < defenderLoss ? 'var(--adversary-color)' : 'white'
-            }}
-          >
-            {adversaryLoss.toFixed(3)}
-          </StatValue>
-        </StatItem>
-        <StatItem>
-          <StatLabel>Attack/Defense Ratio:</StatLabel>
-          <StatValue
-            style={{
-              color: attackStrength > defenseStrength ? 'var(--adversary-color)' : 'white'
-            }}
-          >
-            {defenderLoss > 0 ? (adversaryLoss / defenderLoss).toFixed(2) : 'N/A'}
-          </StatValue>
+          <StatLabel>Seed:</StatLabel>
+          <StatValue>{seed}</StatValue>
         </StatItem>
+        {ensembleState && (
+          <StatItem>
+            <StatLabel>Ensemble:</StatLabel>
+            <StatValue title="Replays with other noise seeds; the loss graph shows their mean and percentile bands">
+              {ensembleState.size} runs{ensembleState.synced ? '' : ` (at ${ensembleState.iteration})`}
+            </StatValue>
+          </StatItem>
+        )}
+        {samplingMode && (
+          <StatItem>
+            <StatLabel>Sampling:</StatLabel>
+            <StatValue>{SAMPLING_MODES.find(mode => mode.id === samplingMode).name}</StatValue>
+          </StatItem>
+        )}
+        {pgdActive ? (
+          <StatItem>
+            <StatLabel>Attack:</StatLabel>
+            <StatValue title="The adversary runs K projected ascent steps inside the ε-ball before each defender step">
+              PGD-{pgd.steps}, {PGD_NORMS.find(norm => norm.id === pgd.norm)?.name.split(' ')[0]}
+            </StatValue>
+          </StatItem>
+        ) : (
+          <StatItem>
+            <StatLabel>Update Rule:</StatLabel>
+            <StatValue title={resolveUpdateRule(updateRule, gameMode).description}>
+              {resolveUpdateRule(updateRule, gameMode).name}
+            </StatValue>
+          </StatItem>
+        )}
+        {populated && (
+          <StatItem>
+            <StatLabel>Population:</StatLabel>
+            <StatValue>
+              {defenders.length} defender{defenders.length > 1 ? 's' : ''} × {adversaries.length} adversar{adversaries.length > 1 ? 'ies' : 'y'}
+            </StatValue>
+          </StatItem>
+        )}
+        {coupled ? (
+          <StatItem style={breakpointStyle('defenderLoss')}>
+            <StatLabel>f(θ, δ):</StatLabel>
+            <StatValue>{defenderLoss.toFixed(3)}</StatValue>
+          </StatItem>
+        ) : (
+          <>
+            <StatItem style={breakpointStyle('defenderLoss')}>
+              <StatLabel
+                title={populated
+                  ? (population.defenderTarget === 'loss' && defenders.length > 1
+                    ? 'Mean of the defenders\' losses, each the worst case over the adversaries'
+                    : 'Loss at the defenders\' mean position under the strongest attack')
+                  : undefined}
+              >
+                {populated ? (population.defenderTarget === 'loss' && defenders.length > 1 ? 'Ensemble Loss:' : 'Defender Loss (worst):') : 'Defender Loss:'}
+              </StatLabel>
+              <StatValue 
+                style={{ 
+                  color: defenderLoss > adversaryLoss ? 'var(--adversary-color)' : 'white'
+                }}
+              >
+                {defenderLoss.toFixed(3)}
+              </StatValue>
+            </StatItem>
+            <StatItem>
+              <StatLabel>{populated ? 'Adversary Loss (mean):' : 'Adversary Loss:'}</StatLabel>
+              <StatValue 
+                style={{ 
+                  color: adversaryLoss < defenderLoss ? 'var(--adversary-color)' : 'white'
+                }}
+              >
+                {adversaryLoss.toFixed(3)}
+              </StatValue>
+            </StatItem>
+            <StatItem>
+              <StatLabel title="Adversary loss divided by defender loss; a ratio of losses, not of strengths (see Strength Balance)">
+                Loss Ratio (A/D):
+              </StatLabel>
+              <StatValue>
+                {defenderLoss > 0 ? (adversaryLoss / defenderLoss).toFixed(2) : 'N/A'}
+              </StatValue>
+            </StatItem>
+          </>
+        )}
         <StatItem>
           <StatLabel>Strength Balance:</StatLabel>
           <StatValue
@@ -684,9 +1233,16 @@ const MinMaxGame = ({
         </StatItem>
       </StatsDisplay>
       
-      <LossGraphContainer>
+      <LossGraphContainer ref={lossGraphContainerRef}>
         <LossGraphTitle>Loss Values Over Time</LossGraphTitle>
-        <LossGraphCanvas ref={lossGraphRef} />
+        <LossChart
+          engine={engine}
+          recorder={recorder}
+          coupled={coupled}
+          populated={populated}
+          ensembleState={ensembleState}
+          options={lossChart}
+        />
       </LossGraphContainer>
       
       <Legend>
@@ -702,9 +1258,17 @@ const MinMaxGame = ({
           <LegendGradient />
           <LegendLabel>Loss Value</LegendLabel>
         </LegendItem>
+        {showCriticalPoints && CRITICAL_POINT_TYPES.map(type => (
+          <LegendItem key={type.id}>
+            <CriticalPointIcon type={type.id} />
+            <LegendLabel>
+              {type.name} ({criticalPoints.filter(point => point.type === type.id).length})
+            </LegendLabel>
+          </LegendItem>
+        ))}
       </Legend>
     </GameContainer>
   );
-};
+});
 
 export default MinMaxGame; 
\ No newline at end of file
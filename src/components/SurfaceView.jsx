@@ -0,0 +1,176 @@
+import React, { useRef, useEffect, useState, useMemo } from 'react';
+import styled from 'styled-components';
+import {
+  createProjection,
+  createSurfaceMesh,
+  drawSurface,
+  drawTrajectory3d,
+  DEFAULT_CAMERA,
+  PITCH_RANGE,
+  ZOOM_RANGE
+} from '../utils/surface3d';
+
+const ViewContainer = styled.div`
+  position: absolute;
+  top: 1rem;
+  left: 1rem;
+  width: calc(100% - 2rem);
+  height: calc(100% - 2rem);
+  border-radius: 4px;
+  overflow: hidden;
+  cursor: ${props => props.dragging ? 'grabbing' : 'grab'};
+  touch-action: none;
+`;
+
+const Layer = styled.canvas`
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+`;
+
+const Hint = styled.div`
+  position: absolute;
+  bottom: 8px;
+  left: 50%;
+  transform: translateX(-50%);
+  font-size: 0.75rem;
+  color: rgba(255, 255, 255, 0.5);
+  pointer-events: none;
+  white-space: nowrap;
+`;
+
+// Radians per pixel dragged, and zoom factor per pixel scrolled
+const ROTATE_SPEED = 0.008;
+const ZOOM_SPEED = 0.0015;
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+
+/**
+ * Rotatable, zoomable 3D view of the loss landscape
+ *
+ * The surface and its floor contours are repainted only when the landscape or
+ * the camera changes; the trajectories sit on a canvas of their own that
+ * follows the simulation every frame. They are drawn over the surface rather
+ * than depth-sorted into it, so a trajectory behind a peak stays visible.
+ *
+ * @param {Object} props - { grid, contours, tracks: [{ points, current, rgb, radius, alpha }],
+ *   valueAt(point), width, height, dimmed }
+ */
+const SurfaceView = ({ grid, contours, tracks, valueAt, width, height, dimmed }) => {
+  const surfaceCanvasRef = useRef(null);
+  const trackCanvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [camera, setCamera] = useState(DEFAULT_CAMERA);
+  const [dragging, setDragging] = useState(false);
+
+  const mesh = useMemo(() => grid ? createSurfaceMesh(grid) : null, [grid]);
+  const project = useMemo(
+    () => grid ? createProjection(grid.length, grid[0].length, camera, width, height) : null,
+    [grid, camera, width, height]
+  );
+
+  // Surface and floor: only when the landscape, its contours or the camera change
+  useEffect(() => {
+    if (!surfaceCanvasRef.current || !mesh || !project) return;
+
+    const canvas = surfaceCanvasRef.current;
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) return; // Safety check
+
+    try {
+      canvas.width = width;
+      canvas.height = height;
+      ctx.clearRect(0, 0, width, height);
+      drawSurface(ctx, mesh, contours, project);
+    } catch (error) {
+      console.error("Error rendering 3D surface:", error);
+    }
+  }, [mesh, contours, project, width, height]);
+
+  // Trajectories: every frame
+  useEffect(() => {
+    if (!trackCanvasRef.current || !project) return;
+
+    const canvas = trackCanvasRef.current;
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) return; // Safety check
+
+    try {
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      ctx.clearRect(0, 0, width, height);
+
+      for (const { points, current, rgb, radius, alpha } of tracks) {
+        drawTrajectory3d(ctx, points, current, valueAt, project, rgb, { radius, alpha });
+      }
+    } catch (error) {
+      console.error("Error rendering 3D trajectories:", error);
+    }
+  }, [tracks, valueAt, project, width, height]);
+
+  // The wheel has to be a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      setCamera(current => ({ ...current, zoom: clamp(current.zoom * Math.exp(-e.deltaY * ZOOM_SPEED), ZOOM_RANGE) }));
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY };
+    setDragging(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+
+    const dx = e.clientX - dragRef.current.x;
+    const dy = e.clientY - dragRef.current.y;
+    dragRef.current = { x: e.clientX, y: e.clientY };
+    setCamera(current => ({
+      ...current,
+      yaw: current.yaw - dx * ROTATE_SPEED,
+      pitch: clamp(current.pitch + dy * ROTATE_SPEED, PITCH_RANGE)
+    }));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragRef.current) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    dragRef.current = null;
+    setDragging(false);
+  };
+
+  return (
+    <ViewContainer
+      ref={containerRef}
+      dragging={dragging}
+      style={{ opacity: dimmed ? 0.5 : 1 }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={() => setCamera(DEFAULT_CAMERA)}
+    >
+      <Layer ref={surfaceCanvasRef} />
+      <Layer ref={trackCanvasRef} />
+      <Hint>Drag to rotate · scroll to zoom · double-click to reset the view</Hint>
+    </ViewContainer>
+  );
+};
+
+export default SurfaceView;
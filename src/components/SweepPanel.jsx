@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import styled from 'styled-components';
+import * as d3 from 'd3';
+import { sweepValues, SWEEP_METRICS, DEFAULT_SWEEP_CONFIG } from '../utils/sweep';
+
+const PanelContainer = styled.div`
+  background-color: var(--card-bg);
+  border-radius: 8px;
+  padding: 1.5rem;
+  margin-bottom: 2rem;
+  border: 1px solid var(--border-color);
+`;
+
+const PanelTitle = styled.h3`
+  font-size: 1.2rem;
+  margin-bottom: 1rem;
+  border-bottom: 1px solid var(--border-color);
+  padding-bottom: 0.5rem;
+  color: #fff;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  margin-bottom: 0.5rem;
+  font-size: 0.9rem;
+  color: #f0f0f0;
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 1rem;
+  margin-bottom: 1rem;
+`;
+
+const Field = styled.div`
+  display: flex;
+  flex-direction: column;
+  width: ${props => props.width || '80px'};
+`;
+
+const RangeGroup = styled.fieldset`
+  display: flex;
+  gap: 0.5rem;
+  border: none;
+  padding: 0;
+  margin: 0;
+
+  legend {
+    margin-bottom: 0.5rem;
+    font-size: 0.9rem;
+    color: ${props => props.color};
+  }
+`;
+
+const NumberInput = styled.input`
+  width: 100%;
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+`;
+
+const Select = styled.select`
+  width: 100%;
+  padding: 0.4rem 0.6rem;
+  border-radius: 4px;
+  border: 1px solid var(--border-color);
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  font-family: inherit;
+  font-size: 0.9rem;
+
+  option {
+    background-color: var(--bg-color);
+  }
+`;
+
+const RunButton = styled.button`
+  padding: 0.6rem 1.25rem;
+  border-radius: 6px;
+  font-weight: 600;
+  font-size: 0.95rem;
+  background-color: ${props => props.running ? 'var(--adversary-color)' : 'var(--defender-color)'};
+  color: white;
+  transition: all 0.2s ease;
+
+  &:hover:enabled {
+    opacity: 0.9;
+    transform: translateY(-2px);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const ProgressBar = styled.div`
+  height: 6px;
+  margin-bottom: 1rem;
+  border-radius: 3px;
+  background: rgba(255, 255, 255, 0.1);
+  overflow: hidden;
+
+  div {
+    height: 100%;
+    width: ${props => props.value * 100}%;
+    background: var(--gradient-end);
+    transition: width 0.1s linear;
+  }
+`;
+
+const HeatmapContainer = styled.div`
+  position: relative;
+`;
+
+const HeatmapCanvas = styled.canvas`
+  display: block;
+  width: 100%;
+  cursor: pointer;
+`;
+
+const Tooltip = styled.div`
+  position: absolute;
+  left: ${props => props.x}px;
+  top: ${props => props.y}px;
+  background-color: rgba(0, 0, 0, 0.85);
+  border: 1px solid var(--border-color);
+  padding: 6px 10px;
+  border-radius: 4px;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: white;
+  pointer-events: none;
+  white-space: nowrap;
+  z-index: 15;
+`;
+
+const ScaleRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-top: 0.5rem;
+  font-size: 0.8rem;
+  color: #ddd;
+`;
+
+const ScaleBar = styled.div`
+  flex: 1;
+  max-width: 240px;
+  height: 10px;
+  border-radius: 2px;
+  background: linear-gradient(90deg, ${props => props.stops});
+`;
+
+const HintText = styled.p`
+  margin: 0.5rem 0 0;
+  font-size: 0.8rem;
+  line-height: 1.4;
+  color: #aaa;
+`;
+
+const WarningMessage = styled.div`
+  margin-top: 0.5rem;
+  font-size: 0.85rem;
+  color: var(--gradient-start);
+`;
+
+// Heatmap drawing area (canvas pixels) and the margins reserved for the axes
+const HEATMAP_WIDTH = 640;
+const HEATMAP_HEIGHT = 400;
+const MARGIN = { top: 10, right: 10, bottom: 40, left: 50 };
+
+// Color of cells without a value (e.g. no run converged)
+const EMPTY_CELL_COLOR = 'rgba(255, 255, 255, 0.08)';
+
+// Settings a sweep varies itself, or that only size the grid
+const SWEPT_SETTINGS = ['attackStrength', 'defenseStrength', 'seed', 'width', 'height'];
+
+const formatMetric = (id, value) => SWEEP_METRICS.find(option => option.id === id).format(value);
+
+const RANGE_FIELDS = [
+  { key: 'min', label: 'from' },
+  { key: 'max', label: 'to' },
+  { key: 'step', label: 'step' }
+];
+
+/**
+ * Cell under a canvas position, in sweep indices
+ *
+ * @returns {Object|null} - { row, col } (row 0 = lowest defense), or null outside the map
+ */
+const cellAt = (result, x, y) => {
+  const plotWidth = HEATMAP_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEATMAP_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const col = Math.floor((x - MARGIN.left) / plotWidth * result.attackValues.length);
+  const fromTop = Math.floor((y - MARGIN.top) / plotHeight * result.defenseValues.length);
+  const row = result.defenseValues.length - 1 - fromTop;
+  if (col < 0 || col >= result.attackValues.length || row < 0 || row >= result.defenseValues.length) return null;
+  return { row, col };
+};
+
+/**
+ * Draws the heatmap of one metric, with axes and the live configuration outlined
+ */
+const drawHeatmap = (ctx, result, metric, colorScale, live) => {
+  const { attackValues, defenseValues, cells } = result;
+  const plotWidth = HEATMAP_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEATMAP_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const cellWidth = plotWidth / attackValues.length;
+  const cellHeight = plotHeight / defenseValues.length;
+
+  ctx.clearRect(0, 0, HEATMAP_WIDTH, HEATMAP_HEIGHT);
+
+  // Defense increases upwards, like the y axis of a phase diagram
+  const cellX = (col) => MARGIN.left + col * cellWidth;
+  const cellY = (row) => MARGIN.top + (defenseValues.length - 1 - row) * cellHeight;
+
+  cells.forEach((cellRow, row) => {
+    cellRow.forEach((cell, col) => {
+      const value = cell[metric.id];
+      ctx.fillStyle = value === null ? EMPTY_CELL_COLOR : colorScale(value);
+      ctx.fillRect(cellX(col), cellY(row), cellWidth + 0.5, cellHeight + 0.5);
+    });
+  });
+
+  ctx.fillStyle = '#ddd';
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const labelEvery = Math.ceil(attackValues.length / 12);
+  attackValues.forEach((value, col) => {
+    if (col % labelEvery === 0) ctx.fillText(String(value), cellX(col) + cellWidth / 2, MARGIN.top + plotHeight + 4);
+  });
+  ctx.fillText('Attack strength', MARGIN.left + plotWidth / 2, HEATMAP_HEIGHT - 16);
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  const labelEveryRow = Math.ceil(defenseValues.length / 12);
+  defenseValues.forEach((value, row) => {
+    if (row % labelEveryRow === 0) ctx.fillText(String(value), MARGIN.left - 6, cellY(row) + cellHeight / 2);
+  });
+  ctx.save();
+  ctx.translate(12, MARGIN.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = 'center';
+  ctx.fillText('Defense strength', 0, 0);
+  ctx.restore();
+
+  // Outline the cell matching the live attack and defense strengths
+  const liveCol = attackValues.indexOf(live.attackStrength);
+  const liveRow = defenseValues.indexOf(live.defenseStrength);
+  if (liveCol !== -1 && liveRow !== -1) {
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(cellX(liveCol) + 1, cellY(liveRow) + 1, cellWidth - 2, cellHeight - 2);
+  }
+};
+
+const SweepPanel = ({ engine, worker, onSelect }) => {
+  const [config, setConfig] = useState(DEFAULT_SWEEP_CONFIG);
+  const [metricId, setMetricId] = useState(SWEEP_METRICS[0].id);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [hover, setHover] = useState(null);
+  const canvasRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const subscribe = useCallback((onChange) => engine.on('change', onChange), [engine]);
+  const settings = useSyncExternalStore(subscribe, () => engine.getSettings());
+
+  const metric = SWEEP_METRICS.find(option => option.id === metricId);
+  const totalRuns = sweepValues(config.attack).length * sweepValues(config.defense).length * Math.max(1, config.seeds);
+
+  // Cancel a running sweep when the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const values = result ? result.cells.flat().map(cell => cell[metricId]).filter(value => value !== null) : [];
+  const extent = values.length > 0 ? d3.extent(values) : [0, 1];
+  const colorScale = d3.scaleSequential(d3.interpolateViridis)
+    .domain(extent[0] === extent[1] ? [extent[0] - 0.5, extent[1] + 0.5] : extent);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !result) return;
+    drawHeatmap(canvas.getContext('2d'), result, metric, colorScale, settings);
+  });
+
+  const handleRun = async () => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(0);
+
+    try {
+      const sweep = await worker.runSweep(engine.getSettings(), config, {
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      if (sweep) setResult(sweep);
+    } catch (error) {
+      console.error("Error running sweep:", error);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const updateRange = (axis, key, text) => {
+    // Whole numbers, like the strength sliders
+    const value = parseInt(text);
+    if (!Number.isFinite(value)) return;
+    setConfig(prev => ({ ...prev, [axis]: { ...prev[axis], [key]: value } }));
+  };
+
+  const toCanvas = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * HEATMAP_WIDTH / rect.width,
+      y: (e.clientY - rect.top) * HEATMAP_HEIGHT / rect.height,
+      offsetX: e.clientX - rect.left,
+      offsetY: e.clientY - rect.top
+    };
+  };
+
+  const handleMouseMove = (e) => {
+    const { x, y, offsetX, offsetY } = toCanvas(e);
+    const index = cellAt(result, x, y);
+    setHover(index && { ...index, x: offsetX + 12, y: offsetY + 12 });
+  };
+
+  const handleClick = (e) => {
+    const { x, y } = toCanvas(e);
+    const index = cellAt(result, x, y);
+    if (!index) return;
+    const cell = result.cells[index.row][index.col];
+    onSelect({ attackStrength: cell.attackStrength, defenseStrength: cell.defenseStrength, seed: result.seeds[0] });
+  };
+
+  // Loading a cell only sets attack, defense and seed, so warn if anything else changed since the sweep
+  const isStale = result && Object.keys(result.settings).some(key =>
+    !SWEPT_SETTINGS.includes(key) && result.settings[key] !== settings[key]
+  );
+
+  const hoverCell = result && hover && result.cells[hover.row][hover.col];
+
+  return (
+    <PanelContainer>
+      <PanelTitle>Parameter Sweep</PanelTitle>
+
+      <OptionsRow>
+        {[
+          { axis: 'attack', label: 'Attack strength', color: 'var(--adversary-color)' },
+          { axis: 'defense', label: 'Defense strength', color: 'var(--defender-color)' }
+        ].map(({ axis, label, color }) => (
+          <RangeGroup key={axis} color={color}>
+            <legend>{label}</legend>
+            {RANGE_FIELDS.map(({ key, label: fieldLabel }) => (
+              <Field key={key} width="64px">
+                <FieldLabel htmlFor={`sweep-${axis}-${key}`}>{fieldLabel}</FieldLabel>
+                <NumberInput
+                  id={`sweep-${axis}-${key}`}
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={config[axis][key]}
+                  onChange={(e) => updateRange(axis, key, e.target.value)}
+                />
+              </Field>
+            ))}
+          </RangeGroup>
+        ))}
+
+        <Field>
+          <FieldLabel htmlFor="sweepSeeds">Seeds/cell</FieldLabel>
+          <NumberInput
+            id="sweepSeeds"
+            type="number"
+            min="1"
+            max="20"
+            value={config.seeds}
+            onChange={(e) => setConfig(prev => ({ ...prev, seeds: Math.min(Math.max(parseInt(e.target.value) || 1, 1), 20) }))}
+          />
+        </Field>
+
+        <Field>
+          <FieldLabel htmlFor="sweepSteps">Iterations</FieldLabel>
+          <NumberInput
+            id="sweepSteps"
+            type="number"
+            min="10"
+            max="5000"
+            step="50"
+            value={config.steps}
+            onChange={(e) => setConfig(prev => ({ ...prev, steps: Math.min(Math.max(parseInt(e.target.value) || 10, 10), 5000) }))}
+          />
+        </Field>
+
+        <Field width="180px">
+          <FieldLabel htmlFor="sweepMetric">Outcome</FieldLabel>
+          <Select id="sweepMetric" value={metricId} onChange={(e) => setMetricId(e.target.value)}>
+            {SWEEP_METRICS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </Select>
+        </Field>
+
+        <RunButton running={progress !== null} disabled={totalRuns === 0} onClick={handleRun}>
+          {progress !== null ? 'Cancel' : `Run Sweep (${totalRuns} runs)`}
+        </RunButton>
+      </OptionsRow>
+
+      {progress !== null && (
+        <ProgressBar value={progress}><div /></ProgressBar>
+      )}
+
+      {result && (
+        <>
+          <HeatmapContainer>
+            <HeatmapCanvas
+              ref={canvasRef}
+              width={HEATMAP_WIDTH}
+              height={HEATMAP_HEIGHT}
+              onMouseMove={handleMouseMove}
+              onMouseLeave={() => setHover(null)}
+              onClick={handleClick}
+            />
+            {hoverCell && (
+              <Tooltip x={hover.x} y={hover.y}>
+                Attack {hoverCell.attackStrength} · Defense {hoverCell.defenseStrength}<br />
+                Final loss: {formatMetric('finalLoss', hoverCell.finalLoss)}<br />
+                Convergence: {hoverCell.convergenceTime === null
+                  ? 'not converged'
+                  : `${formatMetric('convergenceTime', hoverCell.convergenceTime)} (${Math.round(hoverCell.convergedFraction * 100)}% of runs)`}<br />
+                Adversary dominates: {formatMetric('dominance', hoverCell.dominance)}
+              </Tooltip>
+            )}
+          </HeatmapContainer>
+
+          <ScaleRow>
+            <span>{values.length > 0 ? metric.format(extent[0]) : '–'}</span>
+            <ScaleBar stops={d3.range(0, 1.01, 0.25).map(t => d3.interpolateViridis(t)).join(', ')} />
+            <span>{values.length > 0 ? metric.format(extent[1]) : '–'}</span>
+          </ScaleRow>
+
+          <HintText>
+            {metric.description} {result.seeds.length} seed{result.seeds.length > 1 ? 's' : ''} per
+            cell, {result.steps} iterations each. Click a cell to load its attack, defense and seed into the live view.
+          </HintText>
+
+          {isStale && (
+            <WarningMessage>
+              Other settings have changed since this sweep ran; loading a cell keeps the current ones.
+            </WarningMessage>
+          )}
+        </>
+      )}
+    </PanelContainer>
+  );
+};
+
+export default SweepPanel;
@@ -0,0 +1,141 @@
+import React, { useCallback, useSyncExternalStore } from 'react';
+import styled from 'styled-components';
+
+const TimelineContainer = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+  margin-top: 1rem;
+  padding: 0.75rem 1rem;
+  background-color: var(--card-bg);
+  border-radius: 8px;
+  border: 1px solid var(--border-color);
+`;
+
+const StepButton = styled.button`
+  padding: 0.4rem 0.75rem;
+  border-radius: 4px;
+  font-size: 0.85rem;
+  background-color: rgba(255, 255, 255, 0.1);
+  color: white;
+  white-space: nowrap;
+
+  &:hover:not(:disabled) {
+    background-color: rgba(255, 255, 255, 0.2);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const Scrubber = styled.input`
+  flex: 1;
+  min-width: 0;
+  height: 8px;
+  -webkit-appearance: none;
+  appearance: none;
+  background: rgba(255, 255, 255, 0.2);
+  outline: none;
+  border-radius: 4px;
+
+  &::-webkit-slider-thumb {
+    -webkit-appearance: none;
+    appearance: none;
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    background: ${props => props.live ? 'var(--gradient-end)' : 'var(--adversary-color)'};
+    cursor: pointer;
+  }
+
+  &::-moz-range-thumb {
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    background: ${props => props.live ? 'var(--gradient-end)' : 'var(--adversary-color)'};
+    cursor: pointer;
+    border: none;
+  }
+`;
+
+const Position = styled.div`
+  min-width: 9rem;
+  text-align: right;
+  font-size: 0.85rem;
+  font-variant-numeric: tabular-nums;
+  color: #f0f0f0;
+`;
+
+const ForkHint = styled.div`
+  font-size: 0.75rem;
+  color: var(--adversary-color);
+`;
+
+/**
+ * Scrubber over every recorded iteration (see HistoryRecorder)
+ * Moving it pauses the run; resuming from an earlier iteration forks the run there
+ *
+ * @param {Object} props - { recorder, setIsRunning }
+ */
+const Timeline = ({ recorder, setIsRunning }) => {
+  const subscribe = useCallback(listener => recorder.subscribe(listener), [recorder]);
+  const { length, iteration, live } = useSyncExternalStore(subscribe, () => recorder.getState());
+  const last = Math.max(length - 1, 0);
+
+  const seek = (target) => {
+    setIsRunning(false);
+    recorder.seek(target);
+  };
+
+  return (
+    <div>
+      <TimelineContainer>
+        <StepButton
+          onClick={() => {
+            setIsRunning(false);
+            recorder.stepBack();
+          }}
+          disabled={length === 0 || iteration === 0}
+          title="Step back one iteration"
+        >
+          ◀ Back
+        </StepButton>
+        <StepButton
+          onClick={() => {
+            setIsRunning(false);
+            recorder.stepForward();
+          }}
+          disabled={length === 0}
+          title={live ? 'Simulate the next iteration' : 'Step forward one recorded iteration'}
+        >
+          Forward ▶
+        </StepButton>
+        <Scrubber
+          type="range"
+          min="0"
+          max={last}
+          step="1"
+          value={Math.min(iteration, last)}
+          live={live}
+          disabled={length < 2}
+          onChange={(e) => seek(parseInt(e.target.value))}
+          aria-label="Recorded iteration"
+        />
+        <Position>Iteration {iteration} / {last}</Position>
+        <StepButton onClick={() => seek(last)} disabled={live} title="Jump to the latest recorded iteration">
+          Latest
+        </StepButton>
+      </TimelineContainer>
+      {!live && (
+        <ForkHint style={{ marginTop: '0.4rem' }}>
+          Viewing a recorded iteration. Starting or stepping on from here forks the run and
+          discards the {last - iteration} later iteration{last - iteration === 1 ? '' : 's'}.
+        </ForkHint>
+      )}
+    </div>
+  );
+};
+
+export default Timeline;
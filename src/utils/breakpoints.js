@@ -0,0 +1,79 @@
+/**
+ * Conditional breakpoints that pause a running game
+ *
+ * Each breakpoint watches one condition of the engine's state and fires on
+ * the step where it starts to hold, so a run it paused can be resumed
+ * without it firing again straight away. A targeted jump is an event rather
+ * than a lasting condition and fires on every step it happens.
+ */
+
+export const BREAKPOINTS = [
+  { id: 'defenderLoss', name: 'Defender loss above', min: 0, step: 0.05, defaultValue: 0.8 },
+  { id: 'distance', name: 'Players closer than', unit: 'cells', min: 0, step: 0.5, defaultValue: 3 },
+  { id: 'targetedJump', name: 'Targeted adversary jump' },
+  { id: 'iteration', name: 'Iteration reached', min: 1, step: 1, defaultValue: 500 }
+];
+
+export const DEFAULT_BREAKPOINTS = Object.fromEntries(
+  BREAKPOINTS.map(({ id, defaultValue }) => [id, { enabled: false, value: defaultValue ?? null }])
+);
+
+/**
+ * Shortest distance between any defender and any adversary
+ *
+ * @param {Object} state - Engine state or snapshot with defenders and adversaries
+ * @returns {number} - Distance in grid cells
+ */
+export const closestDistance = ({ defenders, adversaries }) => {
+  let closest = Infinity;
+  for (const defender of defenders) {
+    for (const adversary of adversaries) {
+      closest = Math.min(closest, Math.hypot(defender.x - adversary.x, defender.y - adversary.y));
+    }
+  }
+  return closest;
+};
+
+// Whether each condition holds for a state, and how to describe it when it fires
+const CONDITIONS = {
+  defenderLoss: {
+    holds: (state, value) => state.defenderLoss > value,
+    describe: (state, value) => `Defender loss ${state.defenderLoss.toFixed(3)} > ${value}`
+  },
+  distance: {
+    // Both players share one point in the coupled game, so they are never "close"
+    holds: (state, value) => state.settings.gameMode !== 'coupled' && closestDistance(state) < value,
+    describe: (state, value) => `Players ${closestDistance(state).toFixed(1)} cells apart (< ${value})`
+  },
+  targetedJump: {
+    holds: state => Boolean(state.targetedJump),
+    describe: () => 'Targeted adversary jump',
+    event: true
+  },
+  iteration: {
+    holds: (state, value) => state.iteration >= value,
+    describe: state => `Iteration ${state.iteration} reached`
+  }
+};
+
+/**
+ * The first enabled breakpoint that fires on a step
+ *
+ * @param {Object} breakpoints - { [id]: { enabled, value } } (see DEFAULT_BREAKPOINTS)
+ * @param {Object} previous - Engine state before the step
+ * @param {Object} state - Engine state after the step
+ * @returns {Object|null} - { id, iteration, message }, or null if none fired
+ */
+export const findBreakpoint = (breakpoints, previous, state) => {
+  for (const { id } of BREAKPOINTS) {
+    const { enabled, value } = breakpoints[id] || {};
+    if (!enabled) continue;
+
+    const condition = CONDITIONS[id];
+    const fires = condition.holds(state, value) && (condition.event || !condition.holds(previous, value));
+    if (fires) {
+      return { id, iteration: state.iteration, message: condition.describe(state, value) };
+    }
+  }
+  return null;
+};
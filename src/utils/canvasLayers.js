@@ -0,0 +1,207 @@
+import { getLossRgb } from './gameUtils.js';
+import { GRADIENT_FIELD_STRIDE } from './simulationJobs.js';
+import { packGrid } from './grid.js';
+
+/**
+ * Cached canvas layers for the static parts of the visualization
+ *
+ * The landscape, its contours and its gradient arrows only change with the
+ * grid, so each is painted once into an offscreen canvas and composited with
+ * drawImage; only the players and trails are redrawn every frame.
+ */
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width));
+  canvas.height = Math.max(1, Math.ceil(height));
+  return canvas;
+};
+
+/**
+ * Landscape bitmap with one pixel per grid cell
+ * Draw it scaled by the resolution with image smoothing off to get crisp cells
+ *
+ * @param {Array} grid - 2D array of loss values in [0, 1]
+ * @returns {HTMLCanvasElement} - cols × rows canvas
+ */
+export const createLandscapeLayer = (grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  // A packed grid is read in place; a flat array keeps the pixel loop tight
+  const { data: values } = packGrid(grid);
+
+  const canvas = createCanvas(cols, rows);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(cols, rows);
+  const pixels = image.data;
+
+  for (let k = 0; k < values.length; k++) {
+    const { r, g, b } = getLossRgb(values[k]);
+    pixels[4 * k] = r;
+    pixels[4 * k + 1] = g;
+    pixels[4 * k + 2] = b;
+    pixels[4 * k + 3] = 255;
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
+
+// Distance between value labels along a contour line, and the shortest line that gets one (canvas pixels)
+const LABEL_SPACING = 220;
+const MIN_LABELLED_LENGTH = 90;
+
+/**
+ * Adds every polyline of one contour level to the current path
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} contour - { level, points, starts } (see packContour)
+ * @param {number} resolution - Pixels per grid cell
+ */
+export const traceContour = (ctx, { points, starts }, resolution) => {
+  for (let k = 0; k + 1 < starts.length; k++) {
+    for (let p = starts[k]; p < starts[k + 1]; p++) {
+      const x = points[2 * p] * resolution;
+      const y = points[2 * p + 1] * resolution;
+      if (p === starts[k]) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+  }
+};
+
+/**
+ * Positions for value labels along one polyline: every LABEL_SPACING pixels,
+ * starting half a spacing in, with the angle of the line there
+ */
+const labelPositions = (points, from, to, resolution) => {
+  const positions = [];
+  let length = 0;
+  for (let p = from + 1; p < to; p++) {
+    length += Math.hypot(points[2 * p] - points[2 * p - 2], points[2 * p + 1] - points[2 * p - 1]) * resolution;
+  }
+  if (length < MIN_LABELLED_LENGTH) return positions;
+
+  let next = Math.min(LABEL_SPACING, length) / 2;
+  let travelled = 0;
+  for (let p = from + 1; p < to && next < length; p++) {
+    const x0 = points[2 * p - 2] * resolution;
+    const y0 = points[2 * p - 1] * resolution;
+    const x1 = points[2 * p] * resolution;
+    const y1 = points[2 * p + 1] * resolution;
+    const segment = Math.hypot(x1 - x0, y1 - y0);
+
+    while (segment > 0 && next <= travelled + segment) {
+      const t = (next - travelled) / segment;
+      positions.push({ x: x0 + t * (x1 - x0), y: y0 + t * (y1 - y0), angle: Math.atan2(y1 - y0, x1 - x0) });
+      next += LABEL_SPACING;
+    }
+    travelled += segment;
+  }
+  return positions;
+};
+
+/**
+ * Contour lines at canvas scale, optionally labelled with their values
+ *
+ * @param {Array} contours - [{ level, points, starts }] (see packContour)
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @param {number} resolution - Pixels per grid cell
+ * @param {Object} options - { labels: write each level's value along its lines }
+ * @returns {HTMLCanvasElement} - Transparent canvas covering the grid
+ */
+export const createContourLayer = (contours, rows, cols, resolution, { labels = false } = {}) => {
+  const canvas = createCanvas(cols * resolution, rows * resolution);
+  const ctx = canvas.getContext('2d');
+
+  ctx.lineWidth = 0.5;
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  ctx.beginPath();
+  for (const contour of contours) {
+    traceContour(ctx, contour, resolution);
+  }
+  ctx.stroke();
+
+  if (labels) {
+    ctx.font = '10px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+
+    for (const { level, points, starts } of contours) {
+      const text = level.toFixed(2);
+      for (let k = 0; k + 1 < starts.length; k++) {
+        for (const { x, y, angle } of labelPositions(points, starts[k], starts[k + 1], resolution)) {
+          ctx.save();
+          ctx.translate(x, y);
+          // Keep the text upright
+          ctx.rotate(angle > Math.PI / 2 || angle < -Math.PI / 2 ? angle + Math.PI : angle);
+          ctx.strokeText(text, 0, 0);
+          ctx.fillText(text, 0, 0);
+          ctx.restore();
+        }
+      }
+    }
+  }
+
+  return canvas;
+};
+
+/**
+ * Gradient arrows at canvas scale
+ *
+ * @param {Float32Array} gradientField - GRADIENT_FIELD_STRIDE values per arrow (see simulationJobs.js)
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @param {number} resolution - Pixels per grid cell
+ * @returns {HTMLCanvasElement} - Transparent canvas covering the grid
+ */
+export const createGradientLayer = (gradientField, rows, cols, resolution) => {
+  const canvas = createCanvas(cols * resolution, rows * resolution);
+  const ctx = canvas.getContext('2d');
+  ctx.lineWidth = 1;
+
+  for (let k = 0; k < gradientField.length; k += GRADIENT_FIELD_STRIDE) {
+    const [x, y, dx, dy, magnitude] = gradientField.subarray(k, k + GRADIENT_FIELD_STRIDE);
+
+    // Scale arrow length by gradient magnitude (with limits)
+    const length = Math.min(Math.max(magnitude * 30, 5), 15);
+
+    // Normalize direction
+    const dirX = dx / magnitude;
+    const dirY = dy / magnitude;
+
+    // Draw the arrow
+    ctx.beginPath();
+    ctx.moveTo(x * resolution, y * resolution);
+    ctx.lineTo((x + dirX * length) * resolution, (y + dirY * length) * resolution);
+
+    // Gradient from dark blue to lighter blue
+    const alpha = 0.2 + magnitude * 0.6;
+    ctx.strokeStyle = `rgba(150, 150, 255, ${alpha})`;
+    ctx.stroke();
+
+    // Draw arrowhead
+    const headLength = 3;
+    const angle = Math.atan2(dirY, dirX);
+
+    ctx.beginPath();
+    ctx.moveTo((x + dirX * length) * resolution, (y + dirY * length) * resolution);
+    ctx.lineTo(
+      (x + dirX * length - headLength * Math.cos(angle - Math.PI / 6)) * resolution,
+      (y + dirY * length - headLength * Math.sin(angle - Math.PI / 6)) * resolution
+    );
+    ctx.lineTo(
+      (x + dirX * length - headLength * Math.cos(angle + Math.PI / 6)) * resolution,
+      (y + dirY * length - headLength * Math.sin(angle + Math.PI / 6)) * resolution
+    );
+    ctx.closePath();
+    ctx.fillStyle = `rgba(150, 150, 255, ${alpha})`;
+    ctx.fill();
+  }
+
+  return canvas;
+};
@@ -0,0 +1,49 @@
+import * as d3 from 'd3';
+
+/**
+ * Helpers shared by the charts of a recorded run (see LossChart and
+ * DiagnosticsPanel): their axis style, and the gradients they plot
+ *
+ * Recorded snapshots never change, so the noise-free gradient at each
+ * player's position is computed once per snapshot. It still depends on the
+ * landscape and on how it is sampled, so gradients are cached per grid and
+ * sampling mode as well: either changing measures the snapshots afresh.
+ */
+
+export const GRID_COLOR = 'rgba(255, 255, 255, 0.1)';
+export const LABEL_COLOR = 'rgba(255, 255, 255, 0.7)';
+export const FONT_FAMILY = 'Inter, sans-serif';
+
+/**
+ * Tick label for a narrow axis: tiny values (gradient norms near a stationary
+ * point) go to exponent form
+ *
+ * @param {number} value - Tick value
+ * @returns {string} - Label
+ */
+export const formatTick = value => d3.format(value === 0 || Math.abs(value) >= 0.01 ? '.2~g' : '.0e')(value);
+
+// grid → sampling mode → snapshot → gradients
+const gradientCache = new WeakMap();
+
+/**
+ * Noise-free gradient at each player's position in a recorded snapshot
+ * In the coupled game both players stand at the joint point (θ, δ).
+ *
+ * @param {Object} frame - Recorded snapshot (see GameEngine.snapshot)
+ * @param {Object} landscape - { grid, samplingMode: as in the engine's state,
+ *   gradientAt(point): see GameEngine.getGradient }
+ * @returns {Object} - { defender: { dx, dy }, adversary: { dx, dy } }, each null before a landscape exists
+ */
+export const frameGradients = (frame, { grid, samplingMode, gradientAt }) => {
+  if (!grid) return { defender: null, adversary: null };
+  if (!gradientCache.has(grid)) gradientCache.set(grid, new Map());
+  const byMode = gradientCache.get(grid);
+  if (!byMode.has(samplingMode)) byMode.set(samplingMode, new WeakMap());
+  const frames = byMode.get(samplingMode);
+
+  if (!frames.has(frame)) {
+    frames.set(frame, { defender: gradientAt(frame.defender), adversary: gradientAt(frame.adversary) });
+  }
+  return frames.get(frame);
+};
@@ -0,0 +1,228 @@
+/**
+ * Isolines of the loss landscape (marching squares)
+ *
+ * Every grid cell is classified by which of its four corners lie at or above
+ * the level, which decides the edges the isoline crosses in that cell. The
+ * crossing points are interpolated linearly along the edges, and since
+ * neighbouring cells share an edge, the segments join up into polylines:
+ * open ones end at the border of the grid, closed ones start and end at the
+ * same point. Saddle cells (two opposite corners above the level) are
+ * resolved with the cell's average value.
+ */
+
+export const DEFAULT_CONTOUR_OPTIONS = {
+  smoothing: false,
+  labels: true,
+  highlight: true
+};
+
+// Chaikin passes applied when smoothing is on
+const SMOOTHING_PASSES = 2;
+
+// Cell edges: 0 top, 1 right, 2 bottom, 3 left
+// Segments per case, indexed by corners at or above the level (top-left 8, top-right 4, bottom-right 2, bottom-left 1)
+const SEGMENTS = [
+  [],
+  [[3, 2]],
+  [[2, 1]],
+  [[3, 1]],
+  [[0, 1]],
+  null, // saddle: top-right and bottom-left
+  [[0, 2]],
+  [[3, 0]],
+  [[3, 0]],
+  [[0, 2]],
+  null, // saddle: top-left and bottom-right
+  [[0, 1]],
+  [[3, 1]],
+  [[2, 1]],
+  [[3, 2]],
+  []
+];
+
+/**
+ * Segments of a saddle cell, which connect differently depending on whether
+ * the cell's centre lies above the level
+ */
+const saddleSegments = (index, centerAbove) => {
+  if (index === 5) return centerAbove ? [[3, 0], [2, 1]] : [[0, 1], [3, 2]];
+  return centerAbove ? [[0, 1], [3, 2]] : [[3, 0], [2, 1]];
+};
+
+/**
+ * Chaikin corner cutting; keeps the end points of open lines and the closure of closed ones
+ *
+ * @param {Array} line - Points {x, y}
+ * @param {number} passes - Number of passes
+ * @returns {Array} - Smoothed points
+ */
+export const smoothLine = (line, passes = SMOOTHING_PASSES) => {
+  let points = line;
+  for (let pass = 0; pass < passes && points.length > 2; pass++) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const closed = first.x === last.x && first.y === last.y;
+
+    const smoothed = closed ? [] : [first];
+    for (let k = 0; k < points.length - 1; k++) {
+      const a = points[k];
+      const b = points[k + 1];
+      smoothed.push(
+        { x: 0.75 * a.x + 0.25 * b.x, y: 0.75 * a.y + 0.25 * b.y },
+        { x: 0.25 * a.x + 0.75 * b.x, y: 0.25 * a.y + 0.75 * b.y }
+      );
+    }
+    smoothed.push(closed ? smoothed[0] : last);
+    points = smoothed;
+  }
+  return points;
+};
+
+/**
+ * Polylines of the landscape at one level
+ *
+ * @param {Array} grid - 2D array of values
+ * @param {number} threshold - Level value
+ * @returns {Array} - Polylines, each an array of points {x, y} in grid coordinates
+ */
+export const traceIsolines = (grid, threshold) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  // Crossing points are keyed by the edge they lie on, which neighbouring cells share:
+  // 2k for the horizontal edge right of vertex k, 2k + 1 for the vertical edge below it
+  const positions = new Map();
+  const neighbours = new Map();
+
+  const crossing = (i, j, edge) => {
+    let key;
+    let a;
+    let b;
+    let from;
+    let to;
+    if (edge === 0 || edge === 2) {
+      const row = edge === 0 ? i : i + 1;
+      key = 2 * (row * cols + j);
+      a = grid[row][j];
+      b = grid[row][j + 1];
+      from = { x: j, y: row };
+      to = { x: j + 1, y: row };
+    } else {
+      const col = edge === 3 ? j : j + 1;
+      key = 2 * (i * cols + col) + 1;
+      a = grid[i][col];
+      b = grid[i + 1][col];
+      from = { x: col, y: i };
+      to = { x: col, y: i + 1 };
+    }
+
+    if (!positions.has(key)) {
+      const t = a === b ? 0.5 : (threshold - a) / (b - a);
+      positions.set(key, { x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) });
+      neighbours.set(key, []);
+    }
+    return key;
+  };
+
+  for (let i = 0; i < rows - 1; i++) {
+    for (let j = 0; j < cols - 1; j++) {
+      const topLeft = grid[i][j];
+      const topRight = grid[i][j + 1];
+      const bottomRight = grid[i + 1][j + 1];
+      const bottomLeft = grid[i + 1][j];
+
+      const index = (topLeft >= threshold ? 8 : 0) |
+        (topRight >= threshold ? 4 : 0) |
+        (bottomRight >= threshold ? 2 : 0) |
+        (bottomLeft >= threshold ? 1 : 0);
+
+      const segments = SEGMENTS[index] ||
+        saddleSegments(index, (topLeft + topRight + bottomRight + bottomLeft) / 4 >= threshold);
+
+      for (const [start, end] of segments) {
+        const a = crossing(i, j, start);
+        const b = crossing(i, j, end);
+        neighbours.get(a).push(b);
+        neighbours.get(b).push(a);
+      }
+    }
+  }
+
+  // Every crossing joins at most two segments, so the polylines are simple chains
+  const visited = new Set();
+  const trace = (start) => {
+    const line = [];
+    let previous = null;
+    let current = start;
+
+    while (current !== undefined) {
+      line.push(positions.get(current));
+      visited.add(current);
+
+      const options = neighbours.get(current);
+      const next = options.find(key => key !== previous && !visited.has(key));
+      if (next === undefined && line.length > 2 && options.includes(start)) {
+        line.push(positions.get(start));
+      }
+      previous = current;
+      current = next;
+    }
+    return line;
+  };
+
+  const lines = [];
+  // Open lines first, from one of their ends on the grid border; what is left are loops
+  for (const [key, options] of neighbours) {
+    if (options.length === 1 && !visited.has(key)) lines.push(trace(key));
+  }
+  for (const key of neighbours.keys()) {
+    if (!visited.has(key)) lines.push(trace(key));
+  }
+  return lines;
+};
+
+/**
+ * Creates contour lines from a grid of values
+ *
+ * @param {Array} grid - 2D array of values in [0, 1]
+ * @param {number} levels - Number of contour levels (at 1/levels, 2/levels, ...)
+ * @param {Object} options - { smoothing: apply Chaikin smoothing to the polylines }
+ * @returns {Array} - [{ level, lines: [[{x, y}, ...], ...] }], one entry per level
+ */
+export const generateContours = (grid, levels = 10, { smoothing = false } = {}) => {
+  const contours = [];
+
+  for (let k = 1; k <= levels; k++) {
+    const level = k / levels;
+    const lines = traceIsolines(grid, level);
+    contours.push({ level, lines: smoothing ? lines.map(line => smoothLine(line)) : lines });
+  }
+
+  return contours;
+};
+
+/**
+ * Packs one level's polylines into typed arrays (for transfer from the worker)
+ *
+ * @param {Object} contour - { level, lines } from generateContours
+ * @returns {Object} - { level, points: Float32Array of x, y pairs, starts: Uint32Array }, where
+ *   line k is made of points starts[k] to starts[k + 1] - 1 (starts has one entry more than lines)
+ */
+export const packContour = ({ level, lines }) => {
+  const total = lines.reduce((sum, line) => sum + line.length, 0);
+  const points = new Float32Array(total * 2);
+  const starts = new Uint32Array(lines.length + 1);
+
+  let offset = 0;
+  lines.forEach((line, k) => {
+    starts[k] = offset;
+    for (const point of line) {
+      points[2 * offset] = point.x;
+      points[2 * offset + 1] = point.y;
+      offset++;
+    }
+  });
+  starts[lines.length] = offset;
+
+  return { level, points, starts };
+};
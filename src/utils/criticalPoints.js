@@ -0,0 +1,293 @@
+import { createSampler } from './sampling.js';
+
+/**
+ * Numerical detection and classification of critical points on a loss grid
+ *
+ * Candidate cells are those whose gradient norm (central differences) is a
+ * local minimum over their 3×3 neighbourhood, and around which both partial
+ * derivatives change sign. A Newton step -H⁻¹∇f from the cell centre locates
+ * the stationary point; it is kept only if it lands within one cell. The
+ * signs of the Hessian eigenvalues then classify it as a minimum, maximum or
+ * saddle. Flat or degenerate points (an eigenvalue ≈ 0, e.g. on clamped
+ * plateaus) are skipped. Coordinates and eigenvalues are in grid units,
+ * matching the player positions.
+ *
+ * The grid alone also has stationary points the landscape does not: small
+ * dips along a narrow valley sampled a few cells across (Rosenbrock), and
+ * bumps from noise (Gaussian Peaks). So candidates are confirmed before they
+ * are reported:
+ * - formula landscapes: Newton iterations on the exact gradient (see
+ *   createAnalyticField) must converge to a true stationary point close to
+ *   the candidate, which is then classified from the exact Hessian;
+ * - grid landscapes: the surface must rise (minimum), fall (maximum) or do
+ *   each along the matching axis (saddle) by a fair share of the grid's value
+ *   range along both principal axes of the Hessian, before turning back.
+ */
+
+export const CRITICAL_POINT_TYPES = [
+  { id: 'minimum', name: 'Minimum' },
+  { id: 'maximum', name: 'Maximum' },
+  { id: 'saddle', name: 'Saddle point' }
+];
+
+// Eigenvalues smaller than this fraction of the grid's value range count as zero
+const EIGENVALUE_TOLERANCE = 1e-5;
+
+// Formula landscapes: Newton iterations, the exact gradient norm that counts as stationary,
+// and how far (cells) the stationary point may be from its candidate
+const REFINE_ITERATIONS = 30;
+const RESIDUAL_TOLERANCE = 1e-9;
+const REFINE_DISTANCE = 2;
+const HESSIAN_STEP = 1e-4;
+
+// Grid landscapes: share of the value range the surface must rise or fall around a point
+const PROMINENCE_TOLERANCE = 0.15;
+
+/**
+ * Gradient and Hessian at an interior cell by central differences
+ *
+ * @param {Array} grid - 2D array of loss values
+ * @param {number} i - Row
+ * @param {number} j - Column
+ * @returns {Object} - { gx, gy, hxx, hxy, hyy }
+ */
+const localDerivatives = (grid, i, j) => {
+  const f = grid[i][j];
+  return {
+    gx: (grid[i][j + 1] - grid[i][j - 1]) / 2,
+    gy: (grid[i + 1][j] - grid[i - 1][j]) / 2,
+    hxx: grid[i][j + 1] - 2 * f + grid[i][j - 1],
+    hyy: grid[i + 1][j] - 2 * f + grid[i - 1][j],
+    hxy: (grid[i + 1][j + 1] - grid[i + 1][j - 1] - grid[i - 1][j + 1] + grid[i - 1][j - 1]) / 4
+  };
+};
+
+/**
+ * Eigenvalues of the symmetric matrix [[a, b], [b, c]], smallest first
+ *
+ * @param {number} a - Top-left entry
+ * @param {number} b - Off-diagonal entry
+ * @param {number} c - Bottom-right entry
+ * @returns {Array} - [λ₁, λ₂] with λ₁ ≤ λ₂
+ */
+export const symmetricEigenvalues = (a, b, c) => {
+  const mean = (a + c) / 2;
+  const radius = Math.sqrt(((a - c) / 2) ** 2 + b * b);
+  return [mean - radius, mean + radius];
+};
+
+/**
+ * Classifies a stationary point from its Hessian eigenvalues
+ *
+ * @param {Array} eigenvalues - [λ₁, λ₂]
+ * @param {number} tolerance - Magnitude below which an eigenvalue counts as zero
+ * @returns {string|null} - 'minimum', 'maximum', 'saddle', or null when degenerate
+ */
+export const classifyCriticalPoint = ([lambda1, lambda2], tolerance = 0) => {
+  if (Math.abs(lambda1) <= tolerance || Math.abs(lambda2) <= tolerance) return null;
+  if (lambda1 > 0) return 'minimum';
+  if (lambda2 < 0) return 'maximum';
+  return 'saddle';
+};
+
+// Hessian of an analytic field by central differences of its exact gradient
+const fieldHessian = (field, x, y) => {
+  const right = field.gradient(x + HESSIAN_STEP, y);
+  const left = field.gradient(x - HESSIAN_STEP, y);
+  const down = field.gradient(x, y + HESSIAN_STEP);
+  const up = field.gradient(x, y - HESSIAN_STEP);
+  return {
+    hxx: (right.dx - left.dx) / (2 * HESSIAN_STEP),
+    hyy: (down.dy - up.dy) / (2 * HESSIAN_STEP),
+    hxy: (right.dy - left.dy + down.dx - up.dx) / (4 * HESSIAN_STEP)
+  };
+};
+
+/**
+ * Newton iterations on a formula's exact gradient from a grid candidate
+ *
+ * @param {Object} field - Analytic field (see createAnalyticField)
+ * @param {Object} start - Candidate {x, y} in grid coordinates
+ * @returns {Object|null} - { x, y, hxx, hxy, hyy, residual }, or null if the iterations do not
+ *   converge within REFINE_DISTANCE of the candidate
+ */
+const refineStationaryPoint = (field, start) => {
+  let { x, y } = start;
+  for (let k = 0; k < REFINE_ITERATIONS; k++) {
+    const { dx, dy } = field.gradient(x, y);
+    const { hxx, hxy, hyy } = fieldHessian(field, x, y);
+    const residual = Math.hypot(dx, dy);
+    if (residual <= RESIDUAL_TOLERANCE) return { x, y, hxx, hxy, hyy, residual };
+
+    const det = hxx * hyy - hxy * hxy;
+    if (!det) return null;
+    x -= (hyy * dx - hxy * dy) / det;
+    y -= (hxx * dy - hxy * dx) / det;
+    if (!(Math.hypot(x - start.x, y - start.y) <= REFINE_DISTANCE)) return null;
+  }
+  return null;
+};
+
+/**
+ * How far the surface rises or falls around a grid candidate, as its type calls for
+ * Walks both ways along each principal axis of the Hessian, following the sign of
+ * that axis' eigenvalue, until the surface has moved by the tolerance or turns back
+ * by as much (or the grid ends); the smallest of the four excursions is returned.
+ *
+ * @param {Object} sampler - Bilinear sampler of the grid (see createSampler)
+ * @param {Object} point - Candidate {x, y}
+ * @param {Object} hessian - { hxx, hxy, hyy } at the candidate
+ * @param {number} tolerance - Excursion that is enough
+ * @param {Object} size - { rows, cols }
+ * @returns {number} - Smallest excursion, at most about the tolerance
+ */
+const prominence = (sampler, point, { hxx, hxy, hyy }, tolerance, { rows, cols }) => {
+  const [lambda1, lambda2] = symmetricEigenvalues(hxx, hxy, hyy);
+  // The larger eigenvalue's axis, then the smaller's
+  const angle = Math.atan2(2 * hxy, hxx - hyy) / 2;
+  const axes = [
+    { ux: Math.cos(angle), uy: Math.sin(angle), sign: Math.sign(lambda2) },
+    { ux: -Math.sin(angle), uy: Math.cos(angle), sign: Math.sign(lambda1) }
+  ];
+
+  const base = sampler.value(point.x, point.y);
+  let smallest = Infinity;
+  for (const { ux, uy, sign } of axes) {
+    for (const direction of [1, -1]) {
+      let best = 0;
+      for (let t = 1; best < tolerance; t++) {
+        const x = point.x + direction * t * ux;
+        const y = point.y + direction * t * uy;
+        if (x < 0 || y < 0 || x > cols - 1 || y > rows - 1) break;
+        const excursion = sign * (sampler.value(x, y) - base);
+        best = Math.max(best, excursion);
+        if (excursion < best - tolerance) break;
+      }
+      smallest = Math.min(smallest, best);
+    }
+  }
+  return smallest;
+};
+
+/**
+ * Finds and classifies the critical points of a loss grid
+ *
+ * @param {Array} grid - 2D array of loss values (e.g. from generateLossLandscape)
+ * @param {Object} options - { analyticField: exact field of a formula landscape (see createAnalyticField),
+ *   minDistance: cells between two reported points, maxPoints }
+ * @returns {Array} - Points { x, y, type, value, eigenvalues: [λ₁, λ₂], gradientNorm }
+ */
+export const findCriticalPoints = (grid, { analyticField = null, minDistance = 3, maxPoints = 500 } = {}) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  if (rows < 3 || cols < 3) return [];
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const row of grid) {
+    for (const value of row) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+  const tolerance = (max - min) * EIGENVALUE_TOLERANCE;
+  const sampler = analyticField ? null : createSampler(grid, 'bilinear');
+
+  // Gradient at every interior cell (norm Infinity on the border)
+  const gradients = grid.map(() => new Array(cols).fill(null));
+  const norms = grid.map(() => new Array(cols).fill(Infinity));
+  for (let i = 1; i < rows - 1; i++) {
+    for (let j = 1; j < cols - 1; j++) {
+      const { gx, gy } = localDerivatives(grid, i, j);
+      gradients[i][j] = { gx, gy };
+      norms[i][j] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+
+  const changesSign = (i, j, component) => {
+    let low = Infinity;
+    let high = -Infinity;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        const gradient = gradients[i + di][j + dj];
+        if (!gradient) continue;
+        low = Math.min(low, gradient[component]);
+        high = Math.max(high, gradient[component]);
+      }
+    }
+    return low <= 0 && high >= 0;
+  };
+
+  const candidates = [];
+  for (let i = 1; i < rows - 1; i++) {
+    for (let j = 1; j < cols - 1; j++) {
+      const norm = norms[i][j];
+
+      let isLocalMinimum = true;
+      for (let di = -1; di <= 1 && isLocalMinimum; di++) {
+        for (let dj = -1; dj <= 1; dj++) {
+          if ((di || dj) && norms[i + di][j + dj] < norm) {
+            isLocalMinimum = false;
+            break;
+          }
+        }
+      }
+      if (!isLocalMinimum || !changesSign(i, j, 'gx') || !changesSign(i, j, 'gy')) continue;
+
+      const { gx, gy, hxx, hxy, hyy } = localDerivatives(grid, i, j);
+      const eigenvalues = symmetricEigenvalues(hxx, hxy, hyy);
+      const type = classifyCriticalPoint(eigenvalues, tolerance);
+      if (!type) continue;
+
+      // Newton step to the stationary point of the local quadratic model
+      const det = hxx * hyy - hxy * hxy;
+      const offsetX = -(hyy * gx - hxy * gy) / det;
+      const offsetY = -(hxx * gy - hxy * gx) / det;
+      if (!(Math.abs(offsetX) <= 1 && Math.abs(offsetY) <= 1)) continue;
+      const candidate = { x: j + offsetX, y: i + offsetY };
+
+      if (analyticField) {
+        const refined = refineStationaryPoint(analyticField, candidate);
+        if (!refined) continue;
+        const exactEigenvalues = symmetricEigenvalues(refined.hxx, refined.hxy, refined.hyy);
+        const exactType = classifyCriticalPoint(exactEigenvalues, tolerance);
+        if (!exactType) continue;
+
+        candidates.push({
+          x: refined.x,
+          y: refined.y,
+          type: exactType,
+          value: analyticField.value(refined.x, refined.y),
+          eigenvalues: exactEigenvalues,
+          gradientNorm: refined.residual
+        });
+        continue;
+      }
+
+      const range = max - min;
+      if (prominence(sampler, candidate, { hxx, hxy, hyy }, range * PROMINENCE_TOLERANCE, { rows, cols }) <
+        range * PROMINENCE_TOLERANCE) continue;
+
+      candidates.push({
+        ...candidate,
+        type,
+        value: grid[i][j] + 0.5 * (gx * offsetX + gy * offsetY),
+        eigenvalues,
+        gradientNorm: norm
+      });
+    }
+  }
+
+  // Keep the most stationary candidate among any that are closer than minDistance
+  candidates.sort((a, b) => a.gradientNorm - b.gradientNorm);
+  const points = [];
+  for (const candidate of candidates) {
+    const tooClose = points.some(point =>
+      Math.hypot(point.x - candidate.x, point.y - candidate.y) < minDistance
+    );
+    if (!tooClose) points.push(candidate);
+    if (points.length >= maxPoints) break;
+  }
+
+  return points;
+};
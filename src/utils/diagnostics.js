@@ -0,0 +1,189 @@
+import { closestDistance } from './breakpoints.js';
+import { CONVERGENCE_TOLERANCE, CONVERGENCE_WINDOW } from './sweep.js';
+import { DEFENDER_COLORS, ADVERSARY_COLORS } from './populations.js';
+
+/**
+ * Training diagnostics over a recorded run (see HistoryRecorder)
+ *
+ * The per-iteration measurements (gradient norms, step sizes, separation,
+ * duality gap) depend only on an iteration and the one before it, so they
+ * can be computed once per recorded snapshot; the windowed ones (loss
+ * variance, convergence) are derived from those over the whole run.
+ * Populations are measured at the defenders' and the adversaries' mean positions.
+ */
+
+// Iterations in the rolling loss variance
+export const VARIANCE_WINDOW = 20;
+
+const PLAYER_SERIES = [
+  { key: 'defender', name: 'Defender', rgb: DEFENDER_COLORS[0] },
+  { key: 'adversary', name: 'Adversary', rgb: ADVERSARY_COLORS[0] }
+];
+
+const formatNumber = (value) => value !== 0 && Math.abs(value) < 0.001 ? value.toExponential(1) : value.toFixed(3);
+
+export const DIAGNOSTICS = [
+  {
+    id: 'gradientNorm',
+    name: 'Gradient norm',
+    description: 'Length of the noise-free landscape gradient where each player stands. Coupled game: |∂f/∂θ| for the defender and |∂f/∂δ| for the adversary at the joint point. Near zero at stationary points.',
+    series: PLAYER_SERIES,
+    format: formatNumber
+  },
+  {
+    id: 'stepSize',
+    name: 'Step size',
+    description: 'Distance each player moved in the last iteration, in grid cells. Coupled game: the change in θ for the defender and in δ for the adversary.',
+    series: PLAYER_SERIES,
+    format: formatNumber
+  },
+  {
+    id: 'separation',
+    name: 'Player separation',
+    description: 'Distance between the closest defender and adversary, in grid cells. Not defined in the coupled game, where the two players set the coordinates of one point.',
+    series: [{ key: 'value', name: 'Separation', rgb: '200, 200, 200' }],
+    format: value => value.toFixed(1),
+    independentOnly: true
+  },
+  {
+    id: 'dualityGap',
+    name: 'Duality gap',
+    description: 'How much the players could still gain by best-responding: max over δ of f(θ, δ) minus min over θ of f(θ, δ), over the whole grid. Zero at a saddle-point equilibrium. Only defined in the coupled game, where the players share one objective.',
+    series: [{ key: 'value', name: 'Gap', rgb: '250, 204, 21' }],
+    format: formatNumber,
+    coupledOnly: true
+  },
+  {
+    id: 'lossVariance',
+    name: 'Rolling loss variance',
+    description: `Variance of the defender loss (coupled game: f) over the last ${VARIANCE_WINDOW} iterations. High values mean the loss oscillates or is noisy.`,
+    series: [{ key: 'value', name: 'Variance', rgb: '167, 139, 250' }],
+    format: formatNumber
+  },
+  {
+    id: 'convergence',
+    name: 'Convergence',
+    description: `Share of the last ${CONVERGENCE_WINDOW} iterations in which both players moved less than ${CONVERGENCE_TOLERANCE} cells. 100% means converged, by the same test as the parameter sweep.`,
+    series: [{ key: 'value', name: 'Settled', rgb: '52, 211, 153' }],
+    format: value => `${Math.round(value * 100)}%`,
+    range: [0, 1]
+  }
+];
+
+/**
+ * Word for a convergence indicator value
+ *
+ * @param {number|null} value - Share of settled iterations (see DIAGNOSTICS)
+ * @returns {string} - 'Converged', 'Settling' or 'Moving'
+ */
+export const describeConvergence = (value) => {
+  if (value >= 1) return 'Converged';
+  if (value >= 0.5) return 'Settling';
+  return 'Moving';
+};
+
+/**
+ * Duality gap of one iteration of the coupled game
+ * The grid is f(θ = column, δ = row), so the adversary's best response is
+ * the maximum of θ's column and the defender's the minimum of δ's row. The
+ * independent game has no shared objective to take the gap of.
+ */
+const dualityGap = (frame, { coupled, grid }) => {
+  if (!coupled) return null;
+
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const col = Math.min(Math.max(Math.floor(frame.defender.x), 0), cols - 1);
+  const row = Math.min(Math.max(Math.floor(frame.adversary.y), 0), rows - 1);
+  let max = -Infinity;
+  for (let r = 0; r < rows; r++) max = Math.max(max, grid[r][col]);
+  let min = Infinity;
+  for (let c = 0; c < cols; c++) min = Math.min(min, grid[row][c]);
+  return max - min;
+};
+
+/**
+ * Measurements of one recorded iteration
+ *
+ * @param {Object} frame - Recorded snapshot
+ * @param {Object|null} previous - Snapshot of the iteration before, if any
+ * @param {Object} context - { coupled, grid, gradientsOf(frame): the players' noise-free gradients, see frameGradients }
+ * @returns {Object} - { gradientNorm: { defender, adversary }, stepSize: { defender, adversary },
+ *   separation, dualityGap, settled: whether both players moved less than CONVERGENCE_TOLERANCE }
+ */
+export const diagnoseFrame = (frame, previous, context) => {
+  const { coupled, gradientsOf } = context;
+  const { defender, adversary } = frame;
+
+  const { defender: defenderGradient, adversary: adversaryGradient } = gradientsOf(frame);
+  let gradientNorm;
+  if (coupled) {
+    // Both players stand at the joint point, each moving along its own coordinate
+    gradientNorm = { defender: Math.abs(defenderGradient.dx), adversary: Math.abs(adversaryGradient.dy) };
+  } else {
+    gradientNorm = {
+      defender: Math.hypot(defenderGradient.dx, defenderGradient.dy),
+      adversary: Math.hypot(adversaryGradient.dx, adversaryGradient.dy)
+    };
+  }
+
+  let stepSize = { defender: null, adversary: null };
+  if (previous && coupled) {
+    stepSize = {
+      defender: Math.abs(defender.x - previous.defender.x),
+      adversary: Math.abs(adversary.y - previous.adversary.y)
+    };
+  } else if (previous) {
+    stepSize = {
+      defender: Math.hypot(defender.x - previous.defender.x, defender.y - previous.defender.y),
+      adversary: Math.hypot(adversary.x - previous.adversary.x, adversary.y - previous.adversary.y)
+    };
+  }
+
+  return {
+    gradientNorm,
+    stepSize,
+    separation: coupled ? null : closestDistance(frame),
+    dualityGap: dualityGap(frame, context),
+    settled: previous ? Math.max(stepSize.defender, stepSize.adversary) < CONVERGENCE_TOLERANCE : false
+  };
+};
+
+/**
+ * Every diagnostic over a recording, ready to chart
+ *
+ * @param {Array} measurements - diagnoseFrame results, indexed by iteration
+ * @param {Array} losses - Defender loss (coupled game: f) per iteration
+ * @returns {Object} - { [diagnostic id]: { [series key]: values by iteration (null where undefined) } }
+ */
+export const collectDiagnostics = (measurements, losses) => {
+  const lossVariance = losses.map((_, k) => {
+    if (k === 0) return null;
+    const window = losses.slice(Math.max(0, k - VARIANCE_WINDOW + 1), k + 1);
+    const mean = window.reduce((sum, value) => sum + value, 0) / window.length;
+    return window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / window.length;
+  });
+
+  // Settled iterations in a sliding window, out of the whole window
+  let settledCount = 0;
+  const convergence = measurements.map((measurement, k) => {
+    if (measurement.settled) settledCount++;
+    if (k >= CONVERGENCE_WINDOW && measurements[k - CONVERGENCE_WINDOW].settled) settledCount--;
+    return k === 0 ? null : settledCount / CONVERGENCE_WINDOW;
+  });
+
+  return {
+    gradientNorm: {
+      defender: measurements.map(measurement => measurement.gradientNorm.defender),
+      adversary: measurements.map(measurement => measurement.gradientNorm.adversary)
+    },
+    stepSize: {
+      defender: measurements.map(measurement => measurement.stepSize.defender),
+      adversary: measurements.map(measurement => measurement.stepSize.adversary)
+    },
+    separation: { value: measurements.map(measurement => measurement.separation) },
+    dualityGap: { value: measurements.map(measurement => measurement.dualityGap) },
+    lossVariance: { value: lossVariance },
+    convergence: { value: convergence }
+  };
+};
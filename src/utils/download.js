@@ -0,0 +1,18 @@
+/**
+ * Saves a blob as a file through the browser's download mechanism
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,195 @@
+import { LOSS_HISTORY_LENGTH } from './gameEngine.js';
+import { normalizeSeed } from './random.js';
+
+/**
+ * Monte Carlo ensembles of the live game
+ *
+ * An ensemble follows a GameEngine: it replays the engine's game with N
+ * independent noise seeds on the same landscape, and summarizes the members'
+ * losses at every iteration as a mean and percentile bands. Members catch up
+ * with the engine in short background slices, so a large ensemble or a long
+ * run never blocks a frame; the summary lags behind until they have caught up.
+ */
+
+export const DEFAULT_ENSEMBLE_CONFIG = {
+  enabled: false,
+  size: 20
+};
+
+export const MAX_ENSEMBLE_SIZE = 100;
+
+// Percentile bands drawn around the mean, outermost first
+export const ENSEMBLE_BANDS = [
+  [10, 90],
+  [25, 75]
+];
+
+// Milliseconds of member stepping per background slice
+const SLICE_BUDGET = 8;
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ *
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} percentile - Percentile in [0, 100]
+ * @returns {number} - Interpolated value
+ */
+const percentileOf = (sorted, percentile) => {
+  const position = (sorted.length - 1) * percentile / 100;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Mean and percentile bands of one iteration's losses
+ *
+ * @param {Array} values - One loss per member
+ * @returns {Object} - { mean, bands: [[low, high], ...] } matching ENSEMBLE_BANDS
+ */
+export const summarizeLosses = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    bands: ENSEMBLE_BANDS.map(([low, high]) => [percentileOf(sorted, low), percentileOf(sorted, high)])
+  };
+};
+
+const appendLimited = (history, value, limit) => {
+  const updated = [...history, value];
+  return updated.length > limit ? updated.slice(-limit) : updated;
+};
+
+export class Ensemble {
+  #engine;
+  #size;
+  #members = [];
+  #state;
+  #listeners = new Set();
+  #unsubscribe;
+  #timer = null;
+
+  /**
+   * @param {GameEngine} engine - Engine whose game the ensemble replays
+   * @param {number} size - Number of members (noise seeds)
+   */
+  constructor(engine, size = DEFAULT_ENSEMBLE_CONFIG.size) {
+    this.#engine = engine;
+    this.#size = Math.min(Math.max(Math.round(size), 1), MAX_ENSEMBLE_SIZE);
+
+    const offReset = engine.on('reset', () => this.#rebuild());
+    // After a jump back through the recording the members replay up to the new iteration
+    const offRestore = engine.on('restore', () => this.#rebuild());
+    const offStep = engine.on('step', () => this.#schedule());
+    // Strengths, optimizers and the like apply to the members from their next step on
+    const offChange = engine.on('change', state => {
+      for (const member of this.#members) member.configure(state.settings);
+    });
+    this.#unsubscribe = () => {
+      offReset();
+      offRestore();
+      offStep();
+      offChange();
+    };
+
+    this.#rebuild();
+  }
+
+  /**
+   * Current summary; a new object whenever it changes
+   *
+   * @returns {Object} - { size, iteration (members'), synced, members: member states,
+   *   loss: { defender: [summary], adversary: [summary] } } with one summary per iteration
+   *   (see summarizeLosses) for the last LOSS_HISTORY_LENGTH iterations
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Subscribes to summary changes
+   *
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} - Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Stops following the engine and cancels pending background work
+   */
+  dispose() {
+    this.#unsubscribe();
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#members = [];
+    this.#listeners.clear();
+  }
+
+  // New members at iteration 0, seeded from the engine's seed
+  #rebuild() {
+    const { seed } = this.#engine.getSettings();
+    this.#members = this.#engine.getState().grid
+      ? Array.from({ length: this.#size }, (_, k) => this.#engine.replicate(normalizeSeed(seed + k + 1)))
+      : [];
+
+    const states = this.#members.map(member => member.getState());
+    this.#state = {
+      size: this.#members.length,
+      iteration: 0,
+      synced: this.#engine.getState().iteration === 0,
+      members: states,
+      loss: states.length > 0
+        ? {
+            defender: [summarizeLosses(states.map(state => state.defenderLoss))],
+            adversary: [summarizeLosses(states.map(state => state.adversaryLoss))]
+          }
+        : { defender: [], adversary: [] }
+    };
+    this.#emit();
+    this.#schedule();
+  }
+
+  #schedule() {
+    if (this.#timer !== null || this.#members.length === 0) return;
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.#catchUp();
+    }, 0);
+  }
+
+  // Steps the members towards the engine's iteration for at most SLICE_BUDGET milliseconds
+  #catchUp() {
+    const target = this.#engine.getState().iteration;
+    const started = performance.now();
+    let { iteration, loss } = this.#state;
+    let states = this.#state.members;
+
+    while (iteration < target && performance.now() - started < SLICE_BUDGET) {
+      states = this.#members.map(member => member.step());
+      iteration++;
+      loss = {
+        defender: appendLimited(loss.defender, summarizeLosses(states.map(state => state.defenderLoss)), LOSS_HISTORY_LENGTH),
+        adversary: appendLimited(loss.adversary, summarizeLosses(states.map(state => state.adversaryLoss)), LOSS_HISTORY_LENGTH)
+      };
+    }
+
+    if (iteration === this.#state.iteration) return;
+
+    this.#state = { ...this.#state, iteration, synced: iteration === target, members: states, loss };
+    this.#emit();
+    if (iteration < target) this.#schedule();
+  }
+
+  #emit() {
+    for (const listener of [...this.#listeners]) {
+      try {
+        listener(this.#state);
+      } catch (error) {
+        console.error("Error in Ensemble listener:", error);
+      }
+    }
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * Safe arithmetic expression parser for user-defined loss functions
+ *
+ * Formulas in x and y (e.g. "sin(3x)*cos(2y) + 0.1*(x^2+y^2)") are tokenized
+ * and parsed by a small recursive-descent parser into an AST, which is then
+ * compiled into a plain JavaScript closure. Nothing is ever passed to eval()
+ * or the Function constructor, and only the whitelisted functions and
+ * constants below can be referenced.
+ *
+ * Grammar (highest precedence last):
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary | <implicit> unary)*
+ *   unary      := ('+' | '-') unary | power
+ *   power      := primary (('^' | '**') unary)?
+ *   primary    := number | constant | variable | function '(' args ')' | '(' expression ')'
+ */
+
+/**
+ * Error raised for malformed expressions
+ * `position` is the character offset where the problem was detected
+ */
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+export const VARIABLES = ['x', 'y'];
+
+export const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Whitelisted functions and their accepted argument counts [min, max]
+ */
+export const FUNCTIONS = {
+  sin: { fn: Math.sin, arity: [1, 1] },
+  cos: { fn: Math.cos, arity: [1, 1] },
+  tan: { fn: Math.tan, arity: [1, 1] },
+  asin: { fn: Math.asin, arity: [1, 1] },
+  acos: { fn: Math.acos, arity: [1, 1] },
+  atan: { fn: Math.atan, arity: [1, 1] },
+  sinh: { fn: Math.sinh, arity: [1, 1] },
+  cosh: { fn: Math.cosh, arity: [1, 1] },
+  tanh: { fn: Math.tanh, arity: [1, 1] },
+  exp: { fn: Math.exp, arity: [1, 1] },
+  log: { fn: Math.log, arity: [1, 1] },
+  ln: { fn: Math.log, arity: [1, 1] },
+  log10: { fn: Math.log10, arity: [1, 1] },
+  sqrt: { fn: Math.sqrt, arity: [1, 1] },
+  abs: { fn: Math.abs, arity: [1, 1] },
+  sign: { fn: Math.sign, arity: [1, 1] },
+  floor: { fn: Math.floor, arity: [1, 1] },
+  ceil: { fn: Math.ceil, arity: [1, 1] },
+  pow: { fn: Math.pow, arity: [2, 2] },
+  atan2: { fn: Math.atan2, arity: [2, 2] },
+  min: { fn: Math.min, arity: [1, Infinity] },
+  max: { fn: Math.max, arity: [1, Infinity] }
+};
+
+/**
+ * Splits an expression string into tokens
+ *
+ * @param {string} source - Expression text
+ * @returns {Array} - Tokens { type, value, position }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) {
+        throw new ExpressionError(`Invalid number at position ${i + 1}`, i);
+      }
+      // "1.2.3" or "1e5.2" would otherwise read as two numbers multiplied together
+      const end = i + match[0].length;
+      if (/[0-9.]/.test(source[end] || '')) {
+        throw new ExpressionError(`Unexpected '${source[end]}' in number at position ${end + 1}`, end);
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[a-zA-Z_]/.test(char)) {
+      const match = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(source.slice(i));
+      tokens.push({ type: 'identifier', value: match[0].toLowerCase(), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '*' && source[i + 1] === '*') {
+      tokens.push({ type: 'operator', value: '^', position: i });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/^'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if ('(),'.includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${char}' at position ${i + 1}`, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+};
+
+/**
+ * Parses an expression into an AST
+ *
+ * @param {string} source - Expression text
+ * @returns {Object} - AST root node
+ * @throws {ExpressionError} - When the expression is malformed
+ */
+export const parseExpression = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression is empty', 0);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const describe = (token) => token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionError(
+        `Expected '${type}' but found ${describe(token)} at position ${token.position + 1}`,
+        token.position
+      );
+    }
+    return token;
+  };
+
+  const startsOperand = (token) =>
+    token.type === 'number' || token.type === 'identifier' || token.type === '(';
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+
+    while (peek().type === 'operator' && (peek().value === '+' || peek().value === '-')) {
+      const op = next().value;
+      node = { type: 'binary', op, left: node, right: parseMultiplicative() };
+    }
+
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+
+    for (;;) {
+      const token = peek();
+
+      if (token.type === 'operator' && (token.value === '*' || token.value === '/')) {
+        next();
+        node = { type: 'binary', op: token.value, left: node, right: parseUnary() };
+      } else if (startsOperand(token)) {
+        // Implicit multiplication: "3x", "2(x + 1)", "x sin(y)", but never of two numbers ("2 3")
+        if (token.type === 'number' && tokens[index - 1].type === 'number') {
+          throw new ExpressionError(
+            `Unexpected number '${token.value}' at position ${token.position + 1}`,
+            token.position
+          );
+        }
+        node = { type: 'binary', op: '*', left: node, right: parseUnary() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+
+    if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+      next();
+      const arg = parseUnary();
+      return token.value === '-' ? { type: 'unary', op: '-', arg } : arg;
+    }
+
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+
+    if (peek().type === 'operator' && peek().value === '^') {
+      next();
+      // Right-associative, and binds tighter than unary minus on its left: -x^2 = -(x^2)
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === '(') {
+      const node = parseAdditive();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'identifier') {
+      const name = token.value;
+
+      if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+        if (peek().type !== '(') {
+          throw new ExpressionError(
+            `Function '${name}' must be followed by '(' at position ${peek().position + 1}`,
+            peek().position
+          );
+        }
+        next();
+
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseAdditive());
+          while (peek().type === ',') {
+            next();
+            args.push(parseAdditive());
+          }
+        }
+        expect(')');
+
+        const [minArgs, maxArgs] = FUNCTIONS[name].arity;
+        if (args.length < minArgs || args.length > maxArgs) {
+          throw new ExpressionError(
+            `Function '${name}' takes ${minArgs === maxArgs ? minArgs : `at least ${minArgs}`} argument(s), got ${args.length}`,
+            token.position
+          );
+        }
+
+        return { type: 'call', name, args };
+      }
+
+      if (VARIABLES.includes(name)) {
+        return { type: 'variable', name };
+      }
+
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+        return { type: 'number', value: CONSTANTS[name] };
+      }
+
+      const hint = /^[xy]+$/.test(name) ? ' (write products explicitly, e.g. x*y rather than xy)' : '';
+      throw new ExpressionError(
+        `Unknown identifier '${name}' at position ${token.position + 1}${hint}`,
+        token.position
+      );
+    }
+
+    throw new ExpressionError(
+      `Unexpected ${describe(token)} at position ${token.position + 1}`,
+      token.position
+    );
+  };
+
+  const ast = parseAdditive();
+
+  if (peek().type !== 'end') {
+    throw new ExpressionError(
+      `Unexpected ${describe(peek())} at position ${peek().position + 1}`,
+      peek().position
+    );
+  }
+
+  return ast;
+};
+
+/**
+ * Compiles an AST into a function of (x, y)
+ *
+ * @param {Object} node - AST node produced by parseExpression
+ * @returns {Function} - (x, y) => number
+ */
+export const compileExpression = (node) => {
+  switch (node.type) {
+    case 'number': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'variable':
+      return node.name === 'x' ? (x) => x : (x, y) => y;
+    case 'unary': {
+      const arg = compileExpression(node.arg);
+      return (x, y) => -arg(x, y);
+    }
+    case 'binary': {
+      const left = compileExpression(node.left);
+      const right = compileExpression(node.right);
+      switch (node.op) {
+        case '+': return (x, y) => left(x, y) + right(x, y);
+        case '-': return (x, y) => left(x, y) - right(x, y);
+        case '*': return (x, y) => left(x, y) * right(x, y);
+        case '/': return (x, y) => left(x, y) / right(x, y);
+        case '^': return (x, y) => Math.pow(left(x, y), right(x, y));
+        default: throw new ExpressionError(`Unknown operator '${node.op}'`, 0);
+      }
+    }
+    case 'call': {
+      const { fn } = FUNCTIONS[node.name];
+      const args = node.args.map(compileExpression);
+      if (args.length === 1) {
+        const [arg] = args;
+        return (x, y) => fn(arg(x, y));
+      }
+      return (x, y) => fn(...args.map(arg => arg(x, y)));
+    }
+    default:
+      throw new ExpressionError(`Unknown node type '${node.type}'`, 0);
+  }
+};
+
+/**
+ * Derivatives of the whitelisted functions, as f'(args) for unary functions
+ * or [∂f/∂a, ∂f/∂b] for binary ones. min and max are handled separately.
+ */
+const DERIVATIVES = {
+  sin: (a) => Math.cos(a),
+  cos: (a) => -Math.sin(a),
+  tan: (a) => 1 / (Math.cos(a) ** 2),
+  asin: (a) => 1 / Math.sqrt(1 - a * a),
+  acos: (a) => -1 / Math.sqrt(1 - a * a),
+  atan: (a) => 1 / (1 + a * a),
+  sinh: (a) => Math.cosh(a),
+  cosh: (a) => Math.sinh(a),
+  tanh: (a) => 1 - Math.tanh(a) ** 2,
+  exp: (a) => Math.exp(a),
+  log: (a) => 1 / a,
+  ln: (a) => 1 / a,
+  log10: (a) => 1 / (a * Math.LN10),
+  sqrt: (a) => 0.5 / Math.sqrt(a),
+  abs: (a) => Math.sign(a),
+  sign: () => 0,
+  floor: () => 0,
+  ceil: () => 0,
+  pow: (a, b) => powPartials(a, b),
+  atan2: (a, b) => [b / (a * a + b * b), -a / (a * a + b * b)]
+};
+
+/**
+ * Partial derivatives of a^b with respect to a and b
+ * The ∂/∂b term is dropped when it is not defined (a ≤ 0), as for integer powers
+ */
+const powPartials = (a, b) => [
+  b === 0 ? 0 : b * Math.pow(a, b - 1),
+  a > 0 ? Math.pow(a, b) * Math.log(a) : 0
+];
+
+/**
+ * Compiles an AST into a function returning its value and exact gradient
+ * Uses forward-mode automatic differentiation: every node evaluates to the
+ * triple [value, ∂/∂x, ∂/∂y]
+ *
+ * @param {Object} node - AST node produced by parseExpression
+ * @returns {Function} - (x, y) => [value, dx, dy]
+ */
+export const compileGradient = (node) => {
+  switch (node.type) {
+    case 'number': {
+      const { value } = node;
+      return () => [value, 0, 0];
+    }
+    case 'variable':
+      return node.name === 'x' ? (x) => [x, 1, 0] : (x, y) => [y, 0, 1];
+    case 'unary': {
+      const arg = compileGradient(node.arg);
+      return (x, y) => {
+        const [v, dx, dy] = arg(x, y);
+        return [-v, -dx, -dy];
+      };
+    }
+    case 'binary': {
+      const left = compileGradient(node.left);
+      const right = compileGradient(node.right);
+      const combine = {
+        '+': (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]],
+        '-': (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]],
+        '*': (a, b) => [a[0] * b[0], a[1] * b[0] + a[0] * b[1], a[2] * b[0] + a[0] * b[2]],
+        '/': (a, b) => [
+          a[0] / b[0],
+          (a[1] * b[0] - a[0] * b[1]) / (b[0] * b[0]),
+          (a[2] * b[0] - a[0] * b[2]) / (b[0] * b[0])
+        ],
+        '^': (a, b) => {
+          const [da, db] = powPartials(a[0], b[0]);
+          return [Math.pow(a[0], b[0]), da * a[1] + db * b[1], da * a[2] + db * b[2]];
+        }
+      }[node.op];
+      if (!combine) throw new ExpressionError(`Unknown operator '${node.op}'`, 0);
+      return (x, y) => combine(left(x, y), right(x, y));
+    }
+    case 'call': {
+      const { fn } = FUNCTIONS[node.name];
+      const args = node.args.map(compileGradient);
+
+      // min/max: the gradient is that of the selected argument
+      if (node.name === 'min' || node.name === 'max') {
+        return (x, y) => {
+          const values = args.map(arg => arg(x, y));
+          const chosen = fn(...values.map(value => value[0]));
+          return values.find(value => value[0] === chosen) || [chosen, 0, 0];
+        };
+      }
+
+      const derivative = DERIVATIVES[node.name];
+      if (args.length === 1) {
+        const [arg] = args;
+        return (x, y) => {
+          const [v, dx, dy] = arg(x, y);
+          const slope = derivative(v);
+          return [fn(v), slope * dx, slope * dy];
+        };
+      }
+      return (x, y) => {
+        const [a, b] = args.map(arg => arg(x, y));
+        const [da, db] = derivative(a[0], b[0]);
+        return [fn(a[0], b[0]), da * a[1] + db * b[1], da * a[2] + db * b[2]];
+      };
+    }
+    default:
+      throw new ExpressionError(`Unknown node type '${node.type}'`, 0);
+  }
+};
+
+/**
+ * Parses and compiles an expression in one go
+ *
+ * @param {string} source - Expression text
+ * @returns {Function} - (x, y) => number
+ * @throws {ExpressionError} - When the expression is malformed
+ */
+export const createExpressionFunction = (source) => compileExpression(parseExpression(source));
+
+/**
+ * Parses an expression and compiles its exact gradient
+ *
+ * @param {string} source - Expression text
+ * @returns {Function} - (x, y) => [value, dx, dy]
+ * @throws {ExpressionError} - When the expression is malformed
+ */
+export const createExpressionGradient = (source) => compileGradient(parseExpression(source));
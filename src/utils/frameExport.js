@@ -0,0 +1,202 @@
+/**
+ * Exporting what the game view shows: PNG snapshots, and the frames of GIF
+ * and WebM animations
+ *
+ * A frame is composited from the page rather than redrawn: the landscape
+ * canvas and the canvases layered over it are copied as they are, and the
+ * overlays (the stats panel and the loss graph) are painted from their
+ * elements' computed styles, so an export matches the screen whatever the
+ * view currently shows.
+ */
+
+export const EXPORT_SCALES = [
+  { value: 0.5, name: '50%' },
+  { value: 1, name: '100% (screen size)' },
+  { value: 2, name: '200%' }
+];
+
+export const EXPORT_FRAME_RATES = [5, 10, 15, 24, 30];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  overlays: true,
+  scale: 1,
+  frameRate: 10,
+  every: 1
+};
+
+// WebM codecs to try, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const isTransparent = color => !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+
+const fillBox = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  if (radius > 0 && ctx.roundRect) {
+    ctx.roundRect(x, y, width, height, radius);
+  } else {
+    ctx.rect(x, y, width, height);
+  }
+  ctx.fill();
+};
+
+/**
+ * Paints an element and its children: backgrounds, left borders, canvases
+ * and text (enough for the overlays, which are boxes of labelled values)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Frame being composited
+ * @param {Element} element - Element to paint
+ * @param {DOMRect} origin - Page position of the frame's top left corner
+ */
+const drawElement = (ctx, element, origin) => {
+  const style = getComputedStyle(element);
+  if (style.display === 'none' || style.visibility === 'hidden') return;
+
+  const rect = element.getBoundingClientRect();
+  const x = rect.left - origin.left;
+  const y = rect.top - origin.top;
+
+  if (!isTransparent(style.backgroundColor)) {
+    ctx.fillStyle = style.backgroundColor;
+    fillBox(ctx, x, y, rect.width, rect.height, parseFloat(style.borderTopLeftRadius) || 0);
+  }
+  const borderWidth = parseFloat(style.borderLeftWidth) || 0;
+  if (borderWidth > 0 && style.borderLeftStyle !== 'none') {
+    ctx.fillStyle = style.borderLeftColor;
+    ctx.fillRect(x, y, borderWidth, rect.height);
+  }
+
+  if (element instanceof HTMLCanvasElement) {
+    if (element.width > 0 && element.height > 0) ctx.drawImage(element, x, y, rect.width, rect.height);
+    return;
+  }
+
+  const text = [...element.childNodes]
+    .filter(node => node.nodeType === Node.TEXT_NODE)
+    .map(node => node.textContent)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text) {
+    ctx.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    ctx.fillStyle = style.color;
+    ctx.textBaseline = 'middle';
+    if (style.textAlign === 'center') {
+      ctx.textAlign = 'center';
+      ctx.fillText(text, x + rect.width / 2, y + rect.height / 2);
+    } else {
+      ctx.textAlign = 'left';
+      ctx.fillText(text, x + (parseFloat(style.paddingLeft) || 0) + borderWidth, y + rect.height / 2);
+    }
+  }
+
+  for (const child of element.children) {
+    drawElement(ctx, child, origin);
+  }
+};
+
+// Backgrounds behind an element, from the first opaque one inwards, so translucent canvases export as they look
+const backgroundsBehind = (element) => {
+  const colors = [];
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    const color = getComputedStyle(node).backgroundColor;
+    if (isTransparent(color)) continue;
+    colors.unshift(color);
+    if (color.startsWith('rgb(')) break;
+  }
+  return colors;
+};
+
+/**
+ * Composites the game view into a canvas
+ *
+ * @param {HTMLCanvasElement} target - Canvas to draw into; resized to the view × scale
+ * @param {Object} sources - { view: the landscape canvas, which sets the frame's size and position,
+ *   layers: canvases drawn over it, overlays: elements painted on top }
+ * @param {number} scale - Output pixels per screen pixel
+ * @returns {HTMLCanvasElement} - The target
+ */
+export const composeFrame = (target, { view, layers = [], overlays = [] }, scale = 1) => {
+  const origin = view.getBoundingClientRect();
+  const width = Math.max(Math.round(origin.width * scale), 1);
+  const height = Math.max(Math.round(origin.height * scale), 1);
+  if (target.width !== width || target.height !== height) {
+    target.width = width;
+    target.height = height;
+  }
+
+  const ctx = target.getContext('2d');
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  for (const color of backgroundsBehind(view)) {
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, origin.width, origin.height);
+  }
+
+  drawElement(ctx, view, origin);
+  for (const layer of layers) {
+    drawElement(ctx, layer, origin);
+  }
+  for (const overlay of overlays) {
+    if (overlay) drawElement(ctx, overlay, origin);
+  }
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  return target;
+};
+
+/**
+ * A canvas's contents as a PNG file
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} - The PNG file
+ */
+export const canvasToPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the PNG')), 'image/png');
+});
+
+/**
+ * Whether this browser can record a canvas stream as WebM
+ *
+ * @returns {boolean} - True if MediaRecorder supports a WebM type
+ */
+export const canRecordWebm = () =>
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+  WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+
+/**
+ * Records a canvas's stream as WebM
+ * Where the browser allows it, a frame is captured only when frame() is
+ * called, once the canvas has been redrawn; otherwise the stream samples the
+ * canvas at the frame rate.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to record
+ * @param {number} frameRate - Frames per second
+ * @returns {Object} - { frame(): captures the canvas now, stop(): resolves to the WebM Blob }
+ */
+export const recordCanvas = (canvas, frameRate) => {
+  const manual = typeof CanvasCaptureMediaStreamTrack !== 'undefined' &&
+    'requestFrame' in CanvasCaptureMediaStreamTrack.prototype;
+  const stream = canvas.captureStream(manual ? 0 : frameRate);
+  const [track] = stream.getVideoTracks();
+
+  const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  recorder.start();
+
+  return {
+    frame: () => {
+      if (manual) track.requestFrame();
+    },
+    stop: () => new Promise((resolve) => {
+      recorder.onstop = () => {
+        stream.getTracks().forEach(streamTrack => streamTrack.stop());
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.stop();
+    })
+  };
+};
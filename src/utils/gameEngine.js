@@ -0,0 +1,738 @@
+import {
+  simulateStep,
+  simulateDefenderStep,
+  calculateGradient,
+  calculateDynamicLoss,
+  calculateCoupledLoss,
+  DEFAULT_GAME_MODE
+} from './gameUtils.js';
+import { createRng, restoreRng, DEFAULT_SEED } from './random.js';
+import {
+  resolveLandscape,
+  generatePresetLandscape,
+  getPresetStart,
+  createAnalyticField,
+  DEFAULT_LANDSCAPE,
+  DEFAULT_CUSTOM_LANDSCAPE
+} from './landscapes.js';
+import { createOptimizerConfig } from './optimizers.js';
+import { DEFAULT_UPDATE_RULE } from './updateRules.js';
+import { DEFAULT_PGD_CONFIG } from './pgd.js';
+import { createSampler, DEFAULT_SAMPLING_MODE } from './sampling.js';
+import {
+  DEFAULT_POPULATION_CONFIG,
+  isPopulated,
+  sameLayout,
+  placePopulation,
+  centroid
+} from './populations.js';
+
+/**
+ * Headless simulation of the min-max game
+ *
+ * The engine owns the landscape grid, both players, the iteration counter,
+ * the position and loss histories and the optimizer buffers. It has no
+ * dependency on React or the DOM, so it can be stepped from a component, a
+ * script or the command line. Every change replaces the state object
+ * returned by getState(), which makes it usable as an external store.
+ *
+ * With a population of several defenders or adversaries (see populations.js),
+ * `defenders` and `adversaries` hold every agent, while `defender` and
+ * `adversary` are each group's mean position and the losses are aggregates.
+ *
+ * Landscapes are generated in place unless the engine is given a
+ * `generateLandscape` source (e.g. a SimulationWorker); reset() then returns
+ * at once with `generating` set, the players are placed when the grid
+ * arrives, and step() does nothing in the meantime.
+ *
+ * snapshot() captures an iteration compactly and restore() returns to it, so
+ * a recorder (see recorder.js) can keep every iteration and step back
+ * through them.
+ *
+ * Events (see on()):
+ * - 'reset': a new landscape was generated and the players were placed
+ * - 'step': one iteration was simulated
+ * - 'restore': the engine returned to an earlier snapshot
+ * - 'change': anything in the state changed (emitted once per run())
+ * - 'error': the landscape could not be generated; the state is empty, with
+ *   the cause in `error`
+ */
+
+// Canvas pixels per grid cell; finer grids show more detail but cost more per step
+export const GRID_RESOLUTIONS = [8, 5, 4, 3, 2];
+export const DEFAULT_RESOLUTION = 5;
+
+// Number of recent positions and loss values kept in the histories (a HistoryRecorder keeps every iteration)
+export const POSITION_HISTORY_LENGTH = 50;
+export const LOSS_HISTORY_LENGTH = 100;
+
+/**
+ * Default simulation settings
+ *
+ * @returns {Object} - Settings accepted by GameEngine
+ */
+export const createDefaultSettings = () => ({
+  width: 0,
+  height: 0,
+  resolution: DEFAULT_RESOLUTION,
+  seed: DEFAULT_SEED,
+  landscape: DEFAULT_LANDSCAPE,
+  customLandscape: DEFAULT_CUSTOM_LANDSCAPE,
+  importedLandscape: null,
+  attackStrength: 5,
+  defenseStrength: 5,
+  defenderOptimizer: createOptimizerConfig(),
+  adversaryOptimizer: createOptimizerConfig(),
+  updateRule: DEFAULT_UPDATE_RULE,
+  gameMode: DEFAULT_GAME_MODE,
+  pgd: DEFAULT_PGD_CONFIG,
+  samplingMode: DEFAULT_SAMPLING_MODE,
+  population: DEFAULT_POPULATION_CONFIG
+});
+
+// Settings that require a new landscape and fresh players when they change
+const RESET_SETTINGS = ['width', 'height', 'resolution', 'seed', 'landscape', 'customLandscape', 'importedLandscape', 'gameMode'];
+
+// Settings that restart the optimizers' velocity and moment buffers
+const OPTIMIZER_SETTINGS = ['defenderOptimizer', 'adversaryOptimizer', 'updateRule'];
+
+const appendLimited = (history, value, limit) => {
+  const updated = [...history, value];
+  return updated.length > limit ? updated.slice(-limit) : updated;
+};
+
+// Appends one value per agent to that agent's history
+const appendEach = (histories, values, limit) =>
+  values.map((value, k) => appendLimited(histories[k] || [], value, limit));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export class GameEngine {
+  #settings;
+  #state;
+  #rng = Math.random;
+  #optimizerState = {};
+  #sampler = null;
+  #analyticField = null;
+  #listeners = new Map();
+  #batching = false;
+  #generateLandscape = null;
+  #landscapeRequest = null;
+  #throwErrors = false;
+
+  /**
+   * @param {Object} settings - Initial settings (see createDefaultSettings); the
+   *   landscape is generated as soon as width and height are known
+   * @param {Object} options - { generateLandscape(settings, signal): optional async landscape source
+   *   resolving to { grid, rngState } (the random stream's state after generation), or null if cancelled,
+   *   throwErrors: throw landscape errors from reset() (and so from the constructor) rather than
+   *   reporting them through the 'error' event; only for engines without a landscape source }
+   */
+  constructor(settings = {}, { generateLandscape = null, throwErrors = false } = {}) {
+    this.#settings = { ...createDefaultSettings(), ...settings };
+    this.#generateLandscape = generateLandscape;
+    this.#throwErrors = throwErrors;
+    this.#state = this.#emptyState();
+    this.reset();
+  }
+
+  /**
+   * Current settings
+   *
+   * @returns {Object} - Settings object (treat as read-only)
+   */
+  getSettings() {
+    return this.#settings;
+  }
+
+  /**
+   * Current simulation state; a new object after every change
+   *
+   * @returns {Object} - { settings, preset, grid, generating, defender, adversary, iteration, defenderLoss,
+   *   adversaryLoss, defenderHistory, adversaryHistory, lossHistory, pgdTrace, cleanPoint, samplingMode,
+   *   and per agent: defenders, adversaries, defenderLosses, adversaryLosses, defenderTrails,
+   *   adversaryTrails, agentLossHistory: { defenders, adversaries }, cleanPoints;
+   *   target is the point the adversaries attack, and targetedJump whether an adversary made a
+   *   targeted jump in the last step; error is why the landscape could not be generated, or null }
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Noise-free gradient of the landscape at a point, read through the active sampler
+   *
+   * @param {Object} point - Position {x, y} in grid coordinates
+   * @returns {Object|null} - Gradient { dx, dy }, or null before a landscape exists
+   */
+  getGradient(point) {
+    const { grid } = this.#state;
+    if (!grid) return null;
+    return calculateGradient(grid, point.x, point.y, 0, this.#rng, this.#sampler);
+  }
+
+  /**
+   * Landscape value at a point, read through the active sampler
+   *
+   * @param {Object} point - Position {x, y} in grid coordinates
+   * @returns {number|null} - Loss value, or null before a landscape exists
+   */
+  getValue(point) {
+    if (!this.#state.grid) return null;
+    return this.#sampler.value(point.x, point.y);
+  }
+
+  /**
+   * Updates settings, regenerating the landscape or restarting optimizers as needed
+   *
+   * @param {Object} changes - Subset of the settings
+   * @returns {GameEngine} - this
+   */
+  configure(changes) {
+    const changed = Object.keys(changes).filter(key => changes[key] !== this.#settings[key]);
+    if (changed.length === 0) return this;
+
+    // Adding, removing or moving agents restarts the game; strengths and the target apply from the next step
+    const layoutChanged = changed.includes('population') &&
+      !sameLayout(this.#settings.population, changes.population);
+
+    this.#settings = { ...this.#settings, ...changes };
+
+    if (layoutChanged || changed.some(key => RESET_SETTINGS.includes(key))) {
+      this.reset();
+      return this;
+    }
+
+    if (changed.some(key => OPTIMIZER_SETTINGS.includes(key))) {
+      this.#optimizerState = {};
+    }
+
+    const updates = { settings: this.#settings };
+    if (changed.includes('pgd')) {
+      updates.pgdTrace = null;
+    }
+    if (changed.includes('samplingMode') && this.#state.grid) {
+      this.#sampler = createSampler(this.#state.grid, this.#settings.samplingMode, this.#analyticField);
+      updates.samplingMode = this.#sampler.mode;
+    }
+
+    this.#update(updates);
+    return this;
+  }
+
+  /**
+   * Generates the landscape for the current settings and puts both players at their start
+   * Restarts the random stream, so the same seed always replays the same run
+   *
+   * @returns {Object} - The new state
+   * @throws {Error} - When the landscape cannot be generated and the engine was made with throwErrors
+   */
+  reset() {
+    const { width, height, resolution, seed, landscape, customLandscape, importedLandscape } = this.#settings;
+
+    // A newer landscape supersedes any that is still being generated
+    this.#landscapeRequest?.abort();
+    this.#landscapeRequest = null;
+
+    if (!width || !height) {
+      this.#optimizerState = {};
+      this.#state = { ...this.#emptyState(), settings: this.#settings };
+      this.#emit('reset');
+      this.#emit('change');
+      return this.#state;
+    }
+
+    try {
+      const preset = resolveLandscape(landscape, { custom: customLandscape, imported: importedLandscape });
+      if (this.#generateLandscape) {
+        this.#requestLandscape(preset);
+        return this.#state;
+      }
+
+      const rng = createRng(seed);
+      const grid = generatePresetLandscape(preset, width, height, resolution, rng);
+      this.#start(preset, grid, createAnalyticField(preset, grid.length, grid[0].length), rng);
+    } catch (error) {
+      if (this.#throwErrors) throw error;
+      this.#fail(error);
+    }
+    return this.#state;
+  }
+
+  /**
+   * Creates an engine that plays the same game on the same landscape with its own random stream
+   * The replica starts from the players' start positions and reuses this engine's grid
+   * instead of generating it again; it has no listeners of its own
+   *
+   * @param {number} noiseSeed - Seed for the replica's gradient and loss noise
+   * @returns {GameEngine} - The replica, at iteration 0
+   */
+  replicate(noiseSeed) {
+    const replica = new GameEngine({ ...this.#settings, width: 0, height: 0 });
+    replica.#settings = this.#settings;
+    if (this.#state.grid) {
+      replica.#start(this.#state.preset, this.#state.grid, this.#analyticField, createRng(noiseSeed));
+    }
+    return replica;
+  }
+
+  /**
+   * Everything needed to return to the current iteration later (see restore()):
+   * positions, losses, the random stream and the optimizer buffers, but not the
+   * grid or the windowed histories
+   *
+   * @returns {Object|null} - Snapshot, or null before a landscape exists
+   */
+  snapshot() {
+    const state = this.#state;
+    if (!state.grid) return null;
+
+    return {
+      iteration: state.iteration,
+      defender: state.defender,
+      adversary: state.adversary,
+      defenders: state.defenders,
+      adversaries: state.adversaries,
+      target: state.target,
+      defenderLoss: state.defenderLoss,
+      adversaryLoss: state.adversaryLoss,
+      defenderLosses: state.defenderLosses,
+      adversaryLosses: state.adversaryLosses,
+      pgdTrace: state.pgdTrace,
+      targetedJump: state.targetedJump,
+      rngState: this.#rng.getState(),
+      optimizerState: this.#optimizerState
+    };
+  }
+
+  /**
+   * Returns to a snapshot taken on the current landscape; stepping on from
+   * there forks the run. The current settings stay in force, and the windowed
+   * histories are rebuilt from the snapshots leading up to it
+   *
+   * @param {Array} snapshots - Snapshots of consecutive iterations from 0 (see snapshot())
+   * @param {number} index - Iteration to return to
+   * @returns {Object} - The new state
+   */
+  restore(snapshots, index = snapshots.length - 1) {
+    const state = this.#state;
+    const frame = snapshots[index];
+    if (!state.grid || state.generating || !frame) return state;
+
+    // Positions are recorded from iteration 1 on, losses from iteration 0
+    const positions = snapshots.slice(Math.max(1, index - POSITION_HISTORY_LENGTH + 1), index + 1);
+    const losses = snapshots.slice(Math.max(0, index - LOSS_HISTORY_LENGTH + 1), index + 1);
+
+    this.#rng = restoreRng(frame.rngState);
+    this.#optimizerState = frame.optimizerState;
+
+    this.#update({
+      defender: frame.defender,
+      adversary: frame.adversary,
+      defenders: frame.defenders,
+      adversaries: frame.adversaries,
+      target: frame.target,
+      iteration: frame.iteration,
+      defenderLoss: frame.defenderLoss,
+      adversaryLoss: frame.adversaryLoss,
+      defenderLosses: frame.defenderLosses,
+      adversaryLosses: frame.adversaryLosses,
+      defenderHistory: positions.map(snapshot => snapshot.defender),
+      adversaryHistory: positions.map(snapshot => snapshot.adversary),
+      defenderTrails: frame.defenders.map((_, k) => positions.map(snapshot => snapshot.defenders[k])),
+      adversaryTrails: frame.adversaries.map((_, k) => positions.map(snapshot => snapshot.adversaries[k])),
+      lossHistory: {
+        defender: losses.map(snapshot => snapshot.defenderLoss),
+        adversary: losses.map(snapshot => snapshot.adversaryLoss)
+      },
+      agentLossHistory: {
+        defenders: frame.defenderLosses.map((_, k) => losses.map(snapshot => snapshot.defenderLosses[k])),
+        adversaries: frame.adversaryLosses.map((_, k) => losses.map(snapshot => snapshot.adversaryLosses[k]))
+      },
+      pgdTrace: frame.pgdTrace,
+      targetedJump: Boolean(frame.targetedJump)
+    }, 'restore');
+
+    return this.#state;
+  }
+
+  /**
+   * Simulates one iteration
+   *
+   * @returns {Object} - The new state
+   */
+  step() {
+    const state = this.#state;
+    if (!state.grid || state.generating) return state;
+
+    const settings = this.#settings;
+    const nextIteration = state.iteration + 1;
+    const populated = this.#isPopulated();
+
+    let defenders;
+    let adversaries;
+    let pgdTrace;
+    let targetedJump;
+    if (populated) {
+      ({ defenders, adversaries, pgdTrace, targetedJump } = this.#stepPopulation(state));
+    } else {
+      const result = simulateStep(
+        state.defender,
+        state.adversary,
+        state.grid,
+        settings.defenseStrength,
+        settings.attackStrength,
+        this.#rng,
+        {
+          ...this.#stepOptions(),
+          optimizerState: this.#optimizerState,
+          pgd: settings.pgd && { ...settings.pgd, cleanPoint: state.cleanPoint }
+        }
+      );
+      this.#optimizerState = result.optimizerState;
+      defenders = [result.defender];
+      adversaries = [result.adversary];
+      pgdTrace = result.pgd;
+      targetedJump = Boolean(result.targetedJump);
+    }
+
+    // Computed once per step, so the random stream stays in lockstep with the run
+    const loss = this.#computeLosses(state.grid, defenders, adversaries, nextIteration);
+    const defender = populated ? centroid(defenders) : defenders[0];
+    const adversary = populated ? centroid(adversaries) : adversaries[0];
+
+    this.#update({
+      defender,
+      adversary,
+      defenders,
+      adversaries,
+      target: loss.target,
+      iteration: nextIteration,
+      defenderLoss: loss.defenderLoss,
+      adversaryLoss: loss.adversaryLoss,
+      defenderLosses: loss.defenderLosses,
+      adversaryLosses: loss.adversaryLosses,
+      defenderHistory: appendLimited(state.defenderHistory, defender, POSITION_HISTORY_LENGTH),
+      adversaryHistory: appendLimited(state.adversaryHistory, adversary, POSITION_HISTORY_LENGTH),
+      defenderTrails: appendEach(state.defenderTrails, defenders, POSITION_HISTORY_LENGTH),
+      adversaryTrails: appendEach(state.adversaryTrails, adversaries, POSITION_HISTORY_LENGTH),
+      lossHistory: {
+        defender: appendLimited(state.lossHistory.defender, loss.defenderLoss, LOSS_HISTORY_LENGTH),
+        adversary: appendLimited(state.lossHistory.adversary, loss.adversaryLoss, LOSS_HISTORY_LENGTH)
+      },
+      agentLossHistory: {
+        defenders: appendEach(state.agentLossHistory.defenders, loss.defenderLosses, LOSS_HISTORY_LENGTH),
+        adversaries: appendEach(state.agentLossHistory.adversaries, loss.adversaryLosses, LOSS_HISTORY_LENGTH)
+      },
+      pgdTrace: pgdTrace || null,
+      targetedJump
+    }, 'step');
+
+    return this.#state;
+  }
+
+  /**
+   * Simulates several iterations, notifying 'change' listeners once at the end
+   *
+   * @param {number} n - Number of iterations
+   * @returns {Object} - The final state
+   */
+  run(n) {
+    this.#batching = true;
+    try {
+      for (let i = 0; i < n; i++) {
+        this.step();
+      }
+    } finally {
+      this.#batching = false;
+    }
+    this.#emit('change');
+    return this.#state;
+  }
+
+  /**
+   * Subscribes to an engine event
+   *
+   * @param {string} event - 'reset', 'step', 'restore', 'change' or 'error'
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} - Unsubscribes the listener
+   */
+  on(event, listener) {
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, new Set());
+    }
+    this.#listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Removes an event listener
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(event, listener) {
+    this.#listeners.get(event)?.delete(listener);
+  }
+
+  // Asks the landscape source for a grid, falling back to generating it here if the source fails;
+  // never rejects, a landscape that cannot be generated at all ends in #fail
+  async #requestLandscape(preset) {
+    const request = new AbortController();
+    this.#landscapeRequest = request;
+    this.#update({ settings: this.#settings, generating: true });
+
+    const { width, height, resolution, seed } = this.#settings;
+    let grid;
+    let rng;
+    try {
+      const result = await this.#generateLandscape(this.#settings, request.signal);
+      if (request.signal.aborted || !result) return;
+      grid = result.grid;
+      rng = restoreRng(result.rngState);
+    } catch (error) {
+      if (request.signal.aborted) return;
+      console.error("Error generating landscape in the background:", error);
+    }
+
+    this.#landscapeRequest = null;
+    try {
+      if (!grid) {
+        rng = createRng(seed);
+        grid = generatePresetLandscape(preset, width, height, resolution, rng);
+      }
+      this.#start(preset, grid, createAnalyticField(preset, grid.length, grid[0].length), rng);
+    } catch (error) {
+      this.#fail(error);
+    }
+  }
+
+  // A landscape that cannot be generated leaves the engine without one, and the error in the state
+  #fail(error) {
+    console.error("Error generating landscape:", error);
+    this.#optimizerState = {};
+    this.#state = { ...this.#emptyState(), error };
+    this.#emit('reset');
+    this.#emit('error');
+    this.#emit('change');
+  }
+
+  // Places both players at their start on a generated landscape, with a fresh random stream
+  #start(preset, grid, analyticField, rng) {
+    this.#rng = rng;
+    this.#optimizerState = {};
+    this.#analyticField = analyticField;
+    this.#sampler = createSampler(grid, this.#settings.samplingMode, analyticField);
+
+    // In coupled mode both players share the joint point (θ, δ), starting from the defender's suggestion
+    const start = getPresetStart(preset, grid);
+    const coupled = this.#settings.gameMode === 'coupled';
+    const { defenders, adversaries } = this.#isPopulated()
+      ? placePopulation(start, this.#settings.population, grid.length, grid[0].length)
+      : { defenders: [start.defender], adversaries: [coupled ? { ...start.defender } : start.adversary] };
+
+    const loss = this.#computeLosses(grid, defenders, adversaries, 0);
+    const defender = defenders.length > 1 ? centroid(defenders) : defenders[0];
+    const adversary = adversaries.length > 1 ? centroid(adversaries) : adversaries[0];
+
+    // Each adversary's starting point doubles as its fixed clean point for PGD
+    const cleanPoints = coupled ? [{ ...start.adversary }] : adversaries.map(point => ({ ...point }));
+
+    this.#state = {
+      settings: this.#settings,
+      preset,
+      grid,
+      generating: false,
+      defender,
+      adversary,
+      defenders,
+      adversaries,
+      target: loss.target,
+      iteration: 0,
+      defenderLoss: loss.defenderLoss,
+      adversaryLoss: loss.adversaryLoss,
+      defenderLosses: loss.defenderLosses,
+      adversaryLosses: loss.adversaryLosses,
+      defenderHistory: [],
+      adversaryHistory: [],
+      defenderTrails: defenders.map(() => []),
+      adversaryTrails: adversaries.map(() => []),
+      lossHistory: { defender: [loss.defenderLoss], adversary: [loss.adversaryLoss] },
+      agentLossHistory: {
+        defenders: loss.defenderLosses.map(value => [value]),
+        adversaries: loss.adversaryLosses.map(value => [value])
+      },
+      pgdTrace: null,
+      targetedJump: false,
+      cleanPoint: cleanPoints[0],
+      cleanPoints,
+      samplingMode: this.#sampler.mode,
+      error: null
+    };
+
+    this.#emit('reset');
+    this.#emit('change');
+  }
+
+  #emptyState() {
+    return {
+      settings: this.#settings,
+      preset: null,
+      grid: null,
+      generating: false,
+      defender: null,
+      adversary: null,
+      defenders: [],
+      adversaries: [],
+      target: null,
+      iteration: 0,
+      defenderLoss: 0,
+      adversaryLoss: 0,
+      defenderLosses: [],
+      adversaryLosses: [],
+      defenderHistory: [],
+      adversaryHistory: [],
+      defenderTrails: [],
+      adversaryTrails: [],
+      lossHistory: { defender: [], adversary: [] },
+      agentLossHistory: { defenders: [], adversaries: [] },
+      pgdTrace: null,
+      targetedJump: false,
+      cleanPoint: null,
+      cleanPoints: [],
+      samplingMode: null,
+      error: null
+    };
+  }
+
+  #isPopulated() {
+    return this.#settings.gameMode !== 'coupled' && isPopulated(this.#settings.population);
+  }
+
+  // Each adversary's own strength, or the global attack strength
+  #adversaryStrengths() {
+    const { population, attackStrength } = this.#settings;
+    return population.adversaries.map(adversary => adversary.strength ?? attackStrength);
+  }
+
+  #stepOptions() {
+    const settings = this.#settings;
+    return {
+      mode: settings.gameMode,
+      updateRule: settings.updateRule,
+      optimizers: { defender: settings.defenderOptimizer, adversary: settings.adversaryOptimizer },
+      sampler: this.#sampler
+    };
+  }
+
+  // One iteration for a population: every adversary attacks the target once, every defender descends
+  // the landscape on its own (facing the strongest adversary's strength); moves are simultaneous
+  #stepPopulation(state) {
+    const settings = this.#settings;
+    const strengths = this.#adversaryStrengths();
+    const strongest = strengths.indexOf(Math.max(...strengths));
+    const previous = this.#optimizerState;
+    const pgdFor = (j) => settings.pgd && { ...settings.pgd, cleanPoint: state.cleanPoints[j] };
+
+    const adversaryStates = [];
+    let pgdTrace = null;
+    let targetedJump = false;
+    const adversaries = state.adversaries.map((adversary, j) => {
+      const result = simulateStep(state.target, adversary, state.grid, settings.defenseStrength, strengths[j], this.#rng, {
+        ...this.#stepOptions(),
+        optimizerState: { adversary: previous.adversaries?.[j] },
+        pgd: pgdFor(j)
+      });
+      adversaryStates.push(result.optimizerState.adversary);
+      if (j === 0) pgdTrace = result.pgd;
+      if (result.targetedJump) targetedJump = true;
+      return result.adversary;
+    });
+
+    const defenderStates = [];
+    const defenders = state.defenders.map((defender, i) => {
+      const result = simulateDefenderStep(defender, state.grid, settings.defenseStrength, strengths[strongest], this.#rng, {
+        ...this.#stepOptions(),
+        optimizerState: { defender: previous.defenders?.[i] },
+        pgd: settings.pgd
+      });
+      defenderStates.push(result.optimizerState.defender);
+      return result.defender;
+    });
+
+    this.#optimizerState = { defenders: defenderStates, adversaries: adversaryStates };
+    return { defenders, adversaries, pgdTrace, targetedJump };
+  }
+
+  // Per-agent and aggregate losses, and the point the adversaries attack next
+  #computeLosses(grid, defenders, adversaries, iteration) {
+    if (!this.#isPopulated()) {
+      const { defenderLoss, adversaryLoss } = this.#computeLoss(grid, defenders[0], adversaries[0], iteration);
+      return {
+        defenderLoss,
+        adversaryLoss,
+        defenderLosses: [defenderLoss],
+        adversaryLosses: [adversaryLoss],
+        target: defenders[0]
+      };
+    }
+
+    const { defenseStrength, population } = this.#settings;
+    const strengths = this.#adversaryStrengths();
+    const pairLoss = (defender, adversary, j) =>
+      calculateDynamicLoss(grid, defender, adversary, iteration, defenseStrength, strengths[j], this.#rng, this.#sampler);
+
+    // Each defender's loss is the worst case over the adversaries
+    const matrix = defenders.map(defender => adversaries.map((adversary, j) => pairLoss(defender, adversary, j)));
+    const defenderLosses = matrix.map(row => Math.max(...row.map(loss => loss.defenderLoss)));
+
+    if (population.defenderTarget === 'loss') {
+      const adversaryLosses = adversaries.map((_, j) => mean(matrix.map(row => row[j].adversaryLoss)));
+      return {
+        defenderLoss: mean(defenderLosses),
+        adversaryLoss: mean(adversaryLosses),
+        defenderLosses,
+        adversaryLosses,
+        target: defenders[defenderLosses.indexOf(Math.max(...defenderLosses))]
+      };
+    }
+
+    // The ensemble as one model at its mean position
+    const target = centroid(defenders);
+    const attacks = adversaries.map((adversary, j) => pairLoss(target, adversary, j));
+    const adversaryLosses = attacks.map(loss => loss.adversaryLoss);
+    return {
+      defenderLoss: Math.max(...attacks.map(loss => loss.defenderLoss)),
+      adversaryLoss: mean(adversaryLosses),
+      defenderLosses,
+      adversaryLosses,
+      target
+    };
+  }
+
+  // Loss for the current game mode: the joint objective f(θ, δ), or the heuristic dynamic loss
+  #computeLoss(grid, defender, adversary, iteration) {
+    const { gameMode, defenseStrength, attackStrength } = this.#settings;
+    return gameMode === 'coupled'
+      ? calculateCoupledLoss(grid, defender, adversary, this.#sampler)
+      : calculateDynamicLoss(grid, defender, adversary, iteration, defenseStrength, attackStrength, this.#rng, this.#sampler);
+  }
+
+  #update(changes, event) {
+    this.#state = { ...this.#state, ...changes };
+    if (event) this.#emit(event);
+    if (!this.#batching) this.#emit('change');
+  }
+
+  #emit(event) {
+    const listeners = this.#listeners.get(event);
+    if (!listeners) return;
+    for (const listener of [...listeners]) {
+      try {
+        listener(this.#state);
+      } catch (error) {
+        console.error(`Error in GameEngine '${event}' listener:`, error);
+      }
+    }
+  }
+}
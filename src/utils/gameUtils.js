@@ -1,3 +1,33 @@
+import { applyUpdateRule, resolveUpdateRule } from './updateRules.js';
+import { optimizerStep, createOptimizerConfig, createOptimizerState } from './optimizers.js';
+import { runPgd } from './pgd.js';
+import { createGrid, copyGrid } from './grid.js';
+
+/**
+ * How the two players are coupled
+ * - independent: each player descends/ascends the landscape at its own 2D position
+ * - coupled: the landscape is one joint function f(θ, δ); θ (defender) is the x coordinate
+ *   and δ (adversary) the y coordinate of a single game point
+ */
+export const GAME_MODES = [
+  {
+    id: 'independent',
+    name: 'Independent Players',
+    description: 'Each player moves on the landscape at its own position, coupled by heuristic effects.'
+  },
+  {
+    id: 'coupled',
+    name: 'Coupled f(θ, δ)',
+    description: 'One joint objective: the defender controls θ (x axis) and minimizes f, the adversary controls δ (y axis) and maximizes it.'
+  }
+];
+
+export const DEFAULT_GAME_MODE = 'independent';
+
+// Partial derivatives of the joint objective are taken per 1/20 of an axis rather than per
+// grid cell, so the rotational dynamics of min-max games play out in tens of iterations
+const COUPLED_GRADIENT_SCALE = 20;
+
 /**
  * Generates a loss landscape based on a superposition of Gaussian functions
  * with additional Monte Carlo perturbations for realism
@@ -5,17 +35,15 @@
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} resolution - Grid resolution (lower = higher quality but slower)
- * @returns {Array} - 2D array of loss values
+ * @param {Function} rng - Uniform random generator in [0, 1) (see createRng)
+ * @returns {Array} - 2D array of loss values (rows of Float32Array, see grid.js)
  */
-export const generateLossLandscape = (width, height, resolution = 5) => {
+export const generateLossLandscape = (width, height, resolution = 5, rng = Math.random) => {
   const cols = Math.floor(width / resolution);
   const rows = Math.floor(height / resolution);
   
   // Initialize the grid
-  const grid = new Array(rows);
-  for (let i = 0; i < rows; i++) {
-    grid[i] = new Array(cols);
-  }
+  const grid = createGrid(rows, cols);
   
   // Create multiple Gaussian peaks for a complex landscape
   const peaks = [
@@ -63,10 +91,10 @@ export const generateLossLandscape = (width, height, resolution = 5) => {
       
       // Monte Carlo noise (adds realistic stochasticity to the landscape)
       // This simulates the randomness in gradient estimation during adversarial training
-      const mcNoise = boxMullerTransform() * 0.08;
+      const mcNoise = boxMullerTransform(rng) * 0.08;
       
       // Combine values and add small uniform noise for variation
-      let value = gaussianValue + saddleValue * 0.2 + mcNoise + Math.random() * 0.02;
+      let value = gaussianValue + saddleValue * 0.2 + mcNoise + rng() * 0.02;
       
       // Ensure value is within bounds [0, 1]
       grid[i][j] = Math.min(Math.max(value, 0), 1);
@@ -81,11 +109,12 @@ export const generateLossLandscape = (width, height, resolution = 5) => {
  * Box-Muller transform for generating normally distributed random numbers
  * Used to create more realistic noise patterns in the loss landscape
  * 
+ * @param {Function} rng - Uniform random generator in [0, 1)
  * @returns {number} - Standard normally distributed random number
  */
-const boxMullerTransform = () => {
-  const u1 = Math.random();
-  const u2 = Math.random();
+const boxMullerTransform = (rng = Math.random) => {
+  const u1 = 1 - rng(); // (0, 1] so the logarithm stays finite
+  const u2 = rng();
   
   const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
   return z0;
@@ -102,7 +131,7 @@ const boxMullerTransform = () => {
 const gibbsSmoothingPass = (grid, iterations = 1) => {
   const rows = grid.length;
   const cols = grid[0].length;
-  const smoothedGrid = JSON.parse(JSON.stringify(grid)); // Deep copy
+  const smoothedGrid = copyGrid(grid);
   
   for (let iter = 0; iter < iterations; iter++) {
     // For Gibbs sampling, we update each cell based on its neighbors
@@ -128,55 +157,6 @@ const gibbsSmoothingPass = (grid, iterations = 1) => {
   return smoothedGrid;
 };
 
-/**
- * Creates contour lines from a grid of values
- * 
- * @param {Array} grid - 2D array of values
- * @param {number} levels - Number of contour levels
- * @returns {Array} - Array of contour lines at different levels
- */
-export const generateContours = (grid, levels = 10) => {
-  const rows = grid.length;
-  const cols = grid[0].length;
-  const contours = [];
-  
-  for (let k = 1; k <= levels; k++) {
-    const threshold = k / levels;
-    const lines = [];
-    
-    // Check each cell for contour line segments
-    for (let i = 0; i < rows - 1; i++) {
-      for (let j = 0; j < cols - 1; j++) {
-        const cell = [
-          { x: j, y: i, value: grid[i][j] },
-          { x: j + 1, y: i, value: grid[i][j + 1] },
-          { x: j + 1, y: i + 1, value: grid[i + 1][j + 1] },
-          { x: j, y: i + 1, value: grid[i + 1][j] }
-        ];
-        
-        // Find line segments where the value crosses the threshold
-        for (let m = 0; m < 4; m++) {
-          const n = (m + 1) % 4;
-          
-          if ((cell[m].value < threshold && cell[n].value >= threshold) ||
-              (cell[m].value >= threshold && cell[n].value < threshold)) {
-            // Linear interpolation to find exact crossing point
-            const t = (threshold - cell[m].value) / (cell[n].value - cell[m].value);
-            const x = cell[m].x + t * (cell[n].x - cell[m].x);
-            const y = cell[m].y + t * (cell[n].y - cell[m].y);
-            
-            lines.push({ x, y });
-          }
-        }
-      }
-    }
-    
-    contours.push({ level: threshold, points: lines });
-  }
-  
-  return contours;
-};
-
 /**
  * Calculates gradient of the loss landscape at a specific point
  * Enhanced with Monte Carlo perturbation for more realistic training dynamics
@@ -185,24 +165,33 @@ export const generateContours = (grid, levels = 10) => {
  * @param {number} x - X coordinate (col)
  * @param {number} y - Y coordinate (row)
  * @param {number} noiseLevel - Level of gradient noise (0-1)
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @param {Object} sampler - Optional sub-cell sampler (see sampling.js); defaults to the cell's central difference
  * @returns {Object} - Gradient vector { dx, dy }
  */
-export const calculateGradient = (grid, x, y, noiseLevel = 0.1) => {
-  const rows = grid.length;
-  const cols = grid[0].length;
-  
-  // Ensure coordinates are within bounds
-  const row = Math.min(Math.max(Math.floor(y), 1), rows - 2);
-  const col = Math.min(Math.max(Math.floor(x), 1), cols - 2);
-  
-  // Calculate partial derivatives using central difference
-  let dx = (grid[row][col + 1] - grid[row][col - 1]) / 2;
-  let dy = (grid[row + 1][col] - grid[row - 1][col]) / 2;
+export const calculateGradient = (grid, x, y, noiseLevel = 0.1, rng = Math.random, sampler = null) => {
+  let dx;
+  let dy;
+  
+  if (sampler) {
+    ({ dx, dy } = sampler.gradient(x, y));
+  } else {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    
+    // Ensure coordinates are within bounds
+    const row = Math.min(Math.max(Math.floor(y), 1), rows - 2);
+    const col = Math.min(Math.max(Math.floor(x), 1), cols - 2);
+    
+    // Calculate partial derivatives using central difference
+    dx = (grid[row][col + 1] - grid[row][col - 1]) / 2;
+    dy = (grid[row + 1][col] - grid[row - 1][col]) / 2;
+  }
   
   // Add Monte Carlo noise to gradient (simulates minibatch stochasticity in SGD)
   if (noiseLevel > 0) {
-    dx += boxMullerTransform() * noiseLevel * Math.abs(dx);
-    dy += boxMullerTransform() * noiseLevel * Math.abs(dy);
+    dx += boxMullerTransform(rng) * noiseLevel * Math.abs(dx);
+    dy += boxMullerTransform(rng) * noiseLevel * Math.abs(dy);
   }
   
   // Return gradient vector (negative for descending, positive for ascending)
@@ -241,50 +230,123 @@ export const generateGradientField = (grid, spacing = 10) => {
   return gradients;
 };
 
+// Gradient noise of each player: the adversary gets less noise when it's stronger
+// (better optimization), the defender more when it's weaker
+const noiseLevels = (strengthRatio) => ({
+  adversaryNoiseLevel: strengthRatio > 1 ? 0.04 : 0.08,
+  defenderNoiseLevel: strengthRatio > 1 ? 0.08 : 0.05
+});
+
 /**
  * Simulates one step in adversarial training with realistic dynamics
+ * Each player moves with its own optimizer (see optimizers.js), whose
+ * buffers are carried between steps through `options.optimizerState`.
+ * The update rule (see updateRules.js) decides where gradients are taken;
+ * coupled-only rules fall back to simultaneous GDA in the independent game
+ * 
+ * With `options.pgd.enabled` (independent mode only) the adversary instead runs
+ * a PGD inner loop inside an ε-ball around the defender or `options.pgd.cleanPoint`
+ * (see pgd.js), and the defender then takes a plain optimizer step
  * 
  * @param {Object} defender - Current defender position {x, y}
  * @param {Object} adversary - Current adversary position {x, y}
  * @param {Array} grid - 2D loss landscape
  * @param {number} defenseStrength - How strong the defender's updates are
  * @param {number} attackStrength - How strong the adversary's updates are
- * @returns {Object} - Updated positions for both players and adjusted loss values
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @param {Object} options - { mode, updateRule, optimizers: { defender, adversary }, optimizerState: { defender, adversary }, pgd, sampler }
+ * @returns {Object} - Updated positions for both players, the next optimizer state, whether the
+ *   adversary made a targeted jump and, in PGD mode, the inner iterates { path, anchor, epsilon, norm }
  */
-export const simulateStep = (defender, adversary, grid, defenseStrength, attackStrength) => {
+export const simulateStep = (defender, adversary, grid, defenseStrength, attackStrength, rng = Math.random, options = {}) => {
+  const coupled = options.mode === 'coupled';
+  const updateRule = resolveUpdateRule(options.updateRule, options.mode).id;
+  const sampler = options.sampler || null;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
   // Calculate gradients at current positions with Monte Carlo noise
-  // Adversary gets less noise when it's stronger (better optimization)
   const strengthRatio = attackStrength / defenseStrength;
-  const adversaryNoiseLevel = strengthRatio > 1 ? 0.04 : 0.08; // Reduced noise when adversary is stronger
-  const defenderNoiseLevel = strengthRatio > 1 ? 0.08 : 0.05; // Increased noise when defender is weaker
-  
-  const defenderGradient = calculateGradient(grid, defender.x, defender.y, defenderNoiseLevel);
-  const adversaryGradient = calculateGradient(grid, adversary.x, adversary.y, adversaryNoiseLevel);
-  
-  // Adaptive step sizes based on gradient magnitudes and strengths
-  const defMagnitude = Math.sqrt(defenderGradient.dx * defenderGradient.dx + defenderGradient.dy * defenderGradient.dy);
-  const advMagnitude = Math.sqrt(adversaryGradient.dx * adversaryGradient.dx + adversaryGradient.dy * adversaryGradient.dy);
-  
-  // Adaptive scaling (larger steps in flat regions, smaller in steep regions)
-  const defScale = 0.02 * defenseStrength / (0.1 + defMagnitude);
-  
-  // Adversary gets better step size adaptation when it's stronger
-  const advScale = strengthRatio > 1 
-    ? 0.025 * attackStrength / (0.05 + advMagnitude) // More aggressive steps when stronger
-    : 0.02 * attackStrength / (0.1 + advMagnitude);  // Normal steps otherwise
-  
-  // Update positions (defender descends, adversary ascends)
-  // Add momentum for more realistic optimization paths
-  const defenderMomentum = 0.2;
-  const adversaryMomentum = strengthRatio > 1 ? 0.3 : 0.2; // More momentum when stronger
-  
-  // Calculate defense vector with momentum (if history exists)
-  let defDx = -defenderGradient.dx * defScale;
-  let defDy = -defenderGradient.dy * defScale;
+  const { adversaryNoiseLevel, defenderNoiseLevel } = noiseLevels(strengthRatio);
+  
+  // Defender descends the loss; the adversary ascends it, so its optimizer minimizes the negated loss
+  // In coupled mode both read the same joint point (θ, δ) and only see their own partial derivative
+  const defenderField = coupled
+    ? (def, adv, noisy) => {
+      const gradient = calculateGradient(grid, def.x, adv.y, noisy ? defenderNoiseLevel : 0, rng, sampler);
+      return { dx: gradient.dx * COUPLED_GRADIENT_SCALE, dy: 0 }; // ∂f/∂θ
+    }
+    : (def, adv, noisy) => calculateGradient(grid, def.x, def.y, noisy ? defenderNoiseLevel : 0, rng, sampler);
+  const adversaryField = coupled
+    ? (def, adv, noisy) => {
+      const gradient = calculateGradient(grid, def.x, adv.y, noisy ? adversaryNoiseLevel : 0, rng, sampler);
+      return { dx: 0, dy: -gradient.dy * COUPLED_GRADIENT_SCALE }; // -∂f/∂δ
+    }
+    : (def, adv, noisy) => {
+      const gradient = calculateGradient(grid, adv.x, adv.y, noisy ? adversaryNoiseLevel : 0, rng, sampler);
+      return { dx: -gradient.dx, dy: -gradient.dy };
+    };
+  
+  // PGD: K projected ascent steps for the adversary, then one defender step
+  if (options.pgd?.enabled && !coupled) {
+    const anchor = options.pgd.anchor === 'clean' && options.pgd.cleanPoint
+      ? options.pgd.cleanPoint
+      : defender;
+    const attack = runPgd(
+      options.pgd,
+      adversary,
+      anchor,
+      (point) => calculateGradient(grid, point.x, point.y, adversaryNoiseLevel, rng, sampler),
+      { rows, cols },
+      attackStrength,
+      rng
+    );
+    
+    const defenderUpdate = optimizerStep(
+      options.optimizers?.defender || createOptimizerConfig(),
+      options.optimizerState?.defender || createOptimizerState(),
+      defenderField(defender, attack.adversary, true),
+      defenseStrength
+    );
+    
+    return {
+      defender: {
+        x: Math.min(Math.max(defender.x + defenderUpdate.step.dx, 0), cols - 1),
+        y: Math.min(Math.max(defender.y + defenderUpdate.step.dy, 0), rows - 1)
+      },
+      adversary: attack.adversary,
+      optimizerState: { ...options.optimizerState, defender: defenderUpdate.state },
+      pgd: {
+        path: attack.path,
+        anchor: attack.anchor,
+        epsilon: attack.epsilon,
+        norm: attack.norm
+      }
+    };
+  }
   
-  // Calculate attack vector with momentum (if history exists)
-  let advDx = adversaryGradient.dx * advScale;
-  let advDy = adversaryGradient.dy * advScale;
+  const { defenderStep, adversaryStep, optimizerState } = applyUpdateRule(updateRule, {
+    defender,
+    adversary,
+    defenderField,
+    adversaryField,
+    optimizers: options.optimizers,
+    optimizerState: options.optimizerState,
+    defenseStrength,
+    attackStrength
+  });
+  
+  const { dx: defDx, dy: defDy } = defenderStep;
+  const { dx: advDx, dy: advDy } = adversaryStep;
+  
+  // Coupled game: the defender moves θ, the adversary moves δ, and there are no scripted effects
+  if (coupled) {
+    const point = {
+      x: Math.min(Math.max(defender.x + defDx, 0), cols - 1),
+      y: Math.min(Math.max(adversary.y + advDy, 0), rows - 1)
+    };
+    return { defender: point, adversary: { ...point }, optimizerState };
+  }
   
   // Apply the updates
   const newDefender = {
@@ -311,7 +373,8 @@ export const simulateStep = (defender, adversary, grid, defenseStrength, attackS
   
   // If adversary is stronger, occasionally make it jump toward the defender
   // This simulates targeted attacks that efficiently find the defender's weaknesses
-  if (strengthRatio > 1 && Math.random() < 0.08) { // 8% chance of a targeted move
+  const targetedJump = strengthRatio > 1 && rng() < 0.08; // 8% chance of a targeted move
+  if (targetedJump) {
     const targetJump = 0.15; // How far toward the defender to jump
     const dirX = defender.x - adversary.x;
     const dirY = defender.y - adversary.y;
@@ -324,15 +387,76 @@ export const simulateStep = (defender, adversary, grid, defenseStrength, attackS
   }
   
   // Keep within reasonable bounds
-  const rows = grid.length;
-  const cols = grid[0].length;
-  
   newDefender.x = Math.min(Math.max(newDefender.x, 0), cols - 1);
   newDefender.y = Math.min(Math.max(newDefender.y, 0), rows - 1);
   newAdversary.x = Math.min(Math.max(newAdversary.x, 0), cols - 1);
   newAdversary.y = Math.min(Math.max(newAdversary.y, 0), rows - 1);
   
-  return { defender: newDefender, adversary: newAdversary };
+  return {
+    defender: newDefender,
+    adversary: newAdversary,
+    optimizerState,
+    targetedJump
+  };
+};
+
+/**
+ * Moves only the defender, as simulateStep would in the independent game
+ * In that game the defender's gradient is read at its own position, so the
+ * adversary's move does not change it; a population steps each adversary once
+ * with simulateStep and its defenders with this, without replaying the attack.
+ * 
+ * @param {Object} defender - Current defender position {x, y}
+ * @param {Array} grid - 2D loss landscape
+ * @param {number} defenseStrength - How strong the defender's updates are
+ * @param {number} attackStrength - Strength of the adversary it faces (sets the gradient noise)
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @param {Object} options - { updateRule, optimizers: { defender }, optimizerState: { defender }, pgd, sampler }
+ * @returns {Object} - Updated defender position and its next optimizer state { defender }
+ */
+export const simulateDefenderStep = (defender, grid, defenseStrength, attackStrength, rng = Math.random, options = {}) => {
+  const sampler = options.sampler || null;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const { defenderNoiseLevel } = noiseLevels(attackStrength / defenseStrength);
+  const defenderField = (def, adv, noisy) =>
+    calculateGradient(grid, def.x, def.y, noisy ? defenderNoiseLevel : 0, rng, sampler);
+  
+  let defenderStep;
+  let defenderState;
+  if (options.pgd?.enabled) {
+    // Against a PGD adversary the defender takes a plain optimizer step
+    const update = optimizerStep(
+      options.optimizers?.defender || createOptimizerConfig(),
+      options.optimizerState?.defender || createOptimizerState(),
+      defenderField(defender, null, true),
+      defenseStrength
+    );
+    defenderStep = update.step;
+    defenderState = update.state;
+  } else {
+    // The adversary stands still with a zero field, so the rule only spends gradients on the defender
+    const update = applyUpdateRule(resolveUpdateRule(options.updateRule, 'independent').id, {
+      defender,
+      adversary: defender,
+      defenderField,
+      adversaryField: () => ({ dx: 0, dy: 0 }),
+      optimizers: { defender: options.optimizers?.defender },
+      optimizerState: { defender: options.optimizerState?.defender },
+      defenseStrength,
+      attackStrength
+    });
+    defenderStep = update.defenderStep;
+    defenderState = update.optimizerState.defender;
+  }
+  
+  return {
+    defender: {
+      x: Math.min(Math.max(defender.x + defenderStep.dx, 0), cols - 1),
+      y: Math.min(Math.max(defender.y + defenderStep.dy, 0), rows - 1)
+    },
+    optimizerState: { defender: defenderState }
+  };
 };
 
 /**
@@ -345,20 +469,24 @@ export const simulateStep = (defender, adversary, grid, defenseStrength, attackS
  * @param {number} iteration - Current iteration counter
  * @param {number} defenseStrength - Defender's strength parameter
  * @param {number} attackStrength - Adversary's strength parameter
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @param {Object} sampler - Optional sub-cell sampler (see sampling.js); defaults to the cell value
  * @returns {Object} - Updated loss values for defender and adversary
  */
-export const calculateDynamicLoss = (grid, defender, adversary, iteration, defenseStrength = 5, attackStrength = 5) => {
+export const calculateDynamicLoss = (grid, defender, adversary, iteration, defenseStrength = 5, attackStrength = 5, rng = Math.random, sampler = null) => {
   const rows = grid.length;
   const cols = grid[0].length;
   
-  // Ensure coordinates are within bounds
-  const defRow = Math.min(Math.max(Math.floor(defender.y), 0), rows - 1);
-  const defCol = Math.min(Math.max(Math.floor(defender.x), 0), cols - 1);
-  const advRow = Math.min(Math.max(Math.floor(adversary.y), 0), rows - 1);
-  const advCol = Math.min(Math.max(Math.floor(adversary.x), 0), cols - 1);
+  // Loss of the landscape at a position: sampled at sub-cell accuracy, or read from its cell
+  const lossAt = (point) => {
+    if (sampler) return sampler.value(point.x, point.y);
+    const row = Math.min(Math.max(Math.floor(point.y), 0), rows - 1);
+    const col = Math.min(Math.max(Math.floor(point.x), 0), cols - 1);
+    return grid[row][col];
+  };
   
   // Base loss from landscape
-  const baseLoss = grid[defRow][defCol];
+  const baseLoss = lossAt(defender);
   
   // Calculate distance between defender and adversary
   const dx = (defender.x - adversary.x) / cols;
@@ -390,15 +518,15 @@ export const calculateDynamicLoss = (grid, defender, adversary, iteration, defen
     baseLoss * 0.7 + // Base landscape component
     influence * 0.2 + // Adversary influence
     oscillation + // Dynamic component
-    boxMullerTransform() * 0.03 // Small noise
+    boxMullerTransform(rng) * 0.03 // Small noise
   ) * learningFactor;
   
   let adversaryLoss = (
-    grid[advRow][advCol] * 0.3 + // Base landscape at adversary position
+    lossAt(adversary) * 0.3 + // Base landscape at adversary position
     baseLoss * 0.4 + // Component from defender's position
     influence * 0.2 + // Proximity effect
     oscillation + // Dynamic component
-    boxMullerTransform() * 0.05 // Slightly more noise for adversary
+    boxMullerTransform(rng) * 0.05 // Slightly more noise for adversary
   ) * learningFactor;
   
   // Apply strength advantage: If adversary is stronger, increase defender loss and decrease adversary loss
@@ -420,12 +548,34 @@ export const calculateDynamicLoss = (grid, defender, adversary, iteration, defen
 };
 
 /**
- * Maps a value from the range [0,1] to a color in a gradient
+ * Loss of the coupled game: the joint objective f(θ, δ) itself
+ * Both players report f; the defender wants it low, the adversary wants it high
+ * 
+ * @param {Array} grid - Loss landscape grid, read as f(θ = column, δ = row)
+ * @param {Object} defender - Defender position; its x coordinate is θ
+ * @param {Object} adversary - Adversary position; its y coordinate is δ
+ * @param {Object} sampler - Optional sub-cell sampler (see sampling.js); defaults to the cell value
+ * @returns {Object} - { defenderLoss, adversaryLoss }, both equal to f(θ, δ)
+ */
+export const calculateCoupledLoss = (grid, defender, adversary, sampler = null) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
+  const col = Math.min(Math.max(Math.floor(defender.x), 0), cols - 1);
+  const row = Math.min(Math.max(Math.floor(adversary.y), 0), rows - 1);
+  const value = sampler ? sampler.value(defender.x, adversary.y) : grid[row][col];
+  
+  return { defenderLoss: value, adversaryLoss: value };
+};
+
+/**
+ * Maps a value from the range [0,1] to a color in a gradient, as channels
+ * (for writing pixels directly, e.g. into ImageData)
  * 
  * @param {number} value - Value to map [0,1]
- * @returns {string} - RGB color string
+ * @returns {Object} - Color { r, g, b } with channels in 0-255
  */
-export const getLossColor = (value) => {
+export const getLossRgb = (value) => {
   // Define gradient colors (from low to high)
   const colors = [
     { r: 245, g: 167, b: 66 },  // var(--gradient-start)
@@ -440,13 +590,24 @@ export const getLossColor = (value) => {
   const t = position - index;
   
   // Handle edge cases
-  if (index >= numColors - 1) return `rgb(${colors[numColors - 1].r}, ${colors[numColors - 1].g}, ${colors[numColors - 1].b})`;
-  if (index < 0) return `rgb(${colors[0].r}, ${colors[0].g}, ${colors[0].b})`;
+  if (index >= numColors - 1) return colors[numColors - 1];
+  if (index < 0) return colors[0];
   
   // Linear interpolation between two colors
-  const r = Math.round(colors[index].r + t * (colors[index + 1].r - colors[index].r));
-  const g = Math.round(colors[index].g + t * (colors[index + 1].g - colors[index].g));
-  const b = Math.round(colors[index].b + t * (colors[index + 1].b - colors[index].b));
-  
+  return {
+    r: Math.round(colors[index].r + t * (colors[index + 1].r - colors[index].r)),
+    g: Math.round(colors[index].g + t * (colors[index + 1].g - colors[index].g)),
+    b: Math.round(colors[index].b + t * (colors[index + 1].b - colors[index].b))
+  };
+};
+
+/**
+ * Maps a value from the range [0,1] to a color in a gradient
+ * 
+ * @param {number} value - Value to map [0,1]
+ * @returns {string} - RGB color string
+ */
+export const getLossColor = (value) => {
+  const { r, g, b } = getLossRgb(value);
   return `rgb(${r}, ${g}, ${b})`;
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,290 @@
+/**
+ * Animated GIF encoding (GIF89a)
+ *
+ * Frames are encoded as they are added, so an animation can be exported
+ * while it is rendered without keeping every frame in memory. All frames
+ * share one palette of up to 256 colours, chosen by median cut from the
+ * first frame; later frames are mapped to its nearest colours, which suits
+ * an animation over a fixed landscape.
+ */
+
+const PALETTE_SIZE = 256;
+const MIN_CODE_SIZE = 8;
+const MAX_CODES = 4096;
+
+// Colours are bucketed to 5 bits per channel for the histogram and the lookup
+const toKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+const keyChannel = (key, channel) => (key >> (10 - channel * 5)) & 31;
+
+/**
+ * Median cut: splits the colours of a frame into boxes of similar colours,
+ * always the box spanning the widest range of one channel, at the median
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @returns {Array} - Palette, [r, g, b] per colour
+ */
+const createPalette = (data) => {
+  const histogram = new Uint32Array(1 << 15);
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[toKey(data[i], data[i + 1], data[i + 2])]++;
+  }
+
+  const keys = [];
+  histogram.forEach((count, key) => {
+    if (count > 0) keys.push(key);
+  });
+
+  const describe = (boxKeys) => {
+    let widest = 0;
+    let range = -1;
+    for (let channel = 0; channel < 3; channel++) {
+      let min = 31;
+      let max = 0;
+      for (const key of boxKeys) {
+        const value = keyChannel(key, channel);
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+      if (max - min > range) {
+        range = max - min;
+        widest = channel;
+      }
+    }
+    return { keys: boxKeys, channel: widest, range };
+  };
+
+  const boxes = [describe(keys)];
+  while (boxes.length < PALETTE_SIZE) {
+    let index = -1;
+    boxes.forEach((box, k) => {
+      if (box.range > 0 && (index === -1 || box.range > boxes[index].range)) index = k;
+    });
+    if (index === -1) break;
+
+    const { keys: boxKeys, channel } = boxes[index];
+    boxKeys.sort((a, b) => keyChannel(a, channel) - keyChannel(b, channel));
+
+    // Weighted median, so busy colours get boxes of their own
+    const total = boxKeys.reduce((sum, key) => sum + histogram[key], 0);
+    let split = 0;
+    for (let seen = 0; split < boxKeys.length - 1 && seen + histogram[boxKeys[split]] <= total / 2; split++) {
+      seen += histogram[boxKeys[split]];
+    }
+    split = Math.max(split, 1);
+
+    boxes.splice(index, 1, describe(boxKeys.slice(0, split)), describe(boxKeys.slice(split)));
+  }
+
+  return boxes.map(({ keys: boxKeys }) => {
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (const key of boxKeys) {
+      for (let channel = 0; channel < 3; channel++) {
+        sum[channel] += (keyChannel(key, channel) * 8 + 4) * histogram[key];
+      }
+      count += histogram[key];
+    }
+    return sum.map(value => Math.round(value / Math.max(count, 1)));
+  });
+};
+
+/**
+ * LZW compression of palette indices, as GIF image data expects it
+ *
+ * @param {Uint8Array} indices - One palette index per pixel
+ * @returns {Uint8Array} - Compressed codes, packed least significant bit first
+ */
+const compress = (indices) => {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  let bytes = new Uint8Array(Math.max(indices.length, 1024));
+  let length = 0;
+  let buffer = 0;
+  let bits = 0;
+
+  const push = (byte) => {
+    if (length === bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = byte;
+  };
+
+  const write = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      push(buffer & 255);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode === MAX_CODES) {
+      // Table full: start over
+      write(clearCode);
+      table = new Map();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  write(prefix);
+  // The decoder adds one more entry on reading the last code, and may widen its codes for it
+  if (nextCode >= 1 << codeSize && nextCode < MAX_CODES) codeSize++;
+  write(endCode);
+  if (bits > 0) push(buffer & 255);
+
+  return bytes.subarray(0, length);
+};
+
+// Image data is stored in blocks of at most 255 bytes, each prefixed with its length
+const toSubBlocks = (data) => {
+  const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+  let offset = 0;
+  for (let start = 0; start < data.length; start += 255) {
+    const block = data.subarray(start, start + 255);
+    blocks[offset++] = block.length;
+    blocks.set(block, offset);
+    offset += block.length;
+  }
+  blocks[offset] = 0;
+  return blocks;
+};
+
+const uint16 = value => [value & 255, (value >> 8) & 255];
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+export class GifEncoder {
+  #width;
+  #height;
+  #frameRate;
+  #loop;
+  #chunks = [];
+  #frames = 0;
+  #palette = null;
+  #lookup = new Int16Array(1 << 15).fill(-1);
+
+  /**
+   * @param {number} width - Frame width (pixels)
+   * @param {number} height - Frame height (pixels)
+   * @param {Object} options - { frameRate: frames per second, loop: whether the animation repeats }
+   */
+  constructor(width, height, { frameRate = 10, loop = true } = {}) {
+    this.#width = width;
+    this.#height = height;
+    this.#frameRate = frameRate;
+    this.#loop = loop;
+  }
+
+  get width() {
+    return this.#width;
+  }
+
+  get height() {
+    return this.#height;
+  }
+
+  /**
+   * Encodes the next frame
+   *
+   * @param {Uint8ClampedArray} data - RGBA pixels of a width × height frame (e.g. ImageData.data)
+   */
+  addFrame(data) {
+    if (!this.#palette) {
+      this.#palette = createPalette(data);
+      this.#writeHeader();
+    }
+
+    const indices = new Uint8Array(this.#width * this.#height);
+    for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+      indices[p] = this.#nearest(toKey(data[i], data[i + 1], data[i + 2]));
+    }
+
+    // Delays are whole hundredths of a second; spreading the rounding keeps the overall pace
+    const delay = Math.round((this.#frames + 1) * 100 / this.#frameRate) - Math.round(this.#frames * 100 / this.#frameRate);
+    this.#frames++;
+
+    this.#chunks.push(
+      // Graphic control extension: delay, and leave the frame in place for the next one
+      new Uint8Array([0x21, 0xF9, 0x04, 0x04, ...uint16(Math.max(delay, 2)), 0, 0]),
+      // Image descriptor: the whole canvas, global palette
+      new Uint8Array([0x2C, 0, 0, 0, 0, ...uint16(this.#width), ...uint16(this.#height), 0]),
+      new Uint8Array([MIN_CODE_SIZE]),
+      toSubBlocks(compress(indices))
+    );
+  }
+
+  /**
+   * Ends the animation
+   *
+   * @returns {Blob} - The GIF file
+   */
+  finish() {
+    if (!this.#palette) throw new Error('A GIF needs at least one frame');
+    return new Blob([...this.#chunks, new Uint8Array([0x3B])], { type: 'image/gif' });
+  }
+
+  #writeHeader() {
+    const palette = new Uint8Array(PALETTE_SIZE * 3);
+    this.#palette.forEach((color, k) => palette.set(color, k * 3));
+
+    this.#chunks.push(
+      new Uint8Array([
+        ...ascii('GIF89a'),
+        ...uint16(this.#width),
+        ...uint16(this.#height),
+        0xF7, // Global palette of 256 colours, 8 bits per channel
+        0,
+        0
+      ]),
+      palette
+    );
+
+    if (this.#loop) {
+      // Netscape extension: repeat forever
+      this.#chunks.push(new Uint8Array([0x21, 0xFF, 0x0B, ...ascii('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0]));
+    }
+  }
+
+  // Closest palette colour to a bucketed colour, remembered per bucket
+  #nearest(key) {
+    if (this.#lookup[key] !== -1) return this.#lookup[key];
+
+    const r = keyChannel(key, 0) * 8 + 4;
+    const g = keyChannel(key, 1) * 8 + 4;
+    const b = keyChannel(key, 2) * 8 + 4;
+    let best = 0;
+    let bestDistance = Infinity;
+    this.#palette.forEach(([pr, pg, pb], k) => {
+      const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = k;
+      }
+    });
+
+    this.#lookup[key] = best;
+    return best;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Packed loss grids
+ *
+ * A grid is indexed as grid[row][col]. Grids built here keep their rows as
+ * Float32Array views into one contiguous buffer, so a whole landscape can be
+ * handed to or from a Web Worker as a single transferable ArrayBuffer and
+ * unpacked on the other side without copying. Single precision halves the
+ * memory and the transfer, and is plenty for values normalized to [0, 1].
+ */
+
+/**
+ * Creates a zero-filled grid backed by one buffer
+ *
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Array} - Rows of Float32Array views
+ */
+export const createGrid = (rows, cols) => unpackGrid(new Float32Array(rows * cols), rows, cols);
+
+/**
+ * Wraps packed row-major values as a grid, without copying
+ *
+ * @param {Float32Array} data - rows × cols values in row-major order
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Array} - Rows of Float32Array views into data
+ */
+export const unpackGrid = (data, rows, cols) =>
+  Array.from({ length: rows }, (_, i) => data.subarray(i * cols, (i + 1) * cols));
+
+/**
+ * Row-major values of a grid in one Float32Array
+ * A grid from createGrid or unpackGrid returns its own buffer; any other grid is copied
+ *
+ * @param {Array} grid - 2D array of values
+ * @returns {Object} - { data: Float32Array, rows, cols }
+ */
+export const packGrid = (grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const first = grid[0];
+
+  const shared = first instanceof Float32Array &&
+    first.byteOffset === 0 &&
+    first.buffer.byteLength === rows * cols * Float32Array.BYTES_PER_ELEMENT &&
+    grid.every((row, i) => row.buffer === first.buffer && row.byteOffset === i * cols * Float32Array.BYTES_PER_ELEMENT);
+  if (shared) {
+    return { data: new Float32Array(first.buffer), rows, cols };
+  }
+
+  const data = new Float32Array(rows * cols);
+  grid.forEach((row, i) => data.set(row, i * cols));
+  return { data, rows, cols };
+};
+
+/**
+ * Independent copy of a grid, in packed form
+ *
+ * @param {Array} grid - 2D array of values
+ * @returns {Array} - Rows of Float32Array views into a new buffer
+ */
+export const copyGrid = (grid) => {
+  const { data, rows, cols } = packGrid(grid);
+  return unpackGrid(new Float32Array(data), rows, cols);
+};
@@ -0,0 +1,332 @@
+/**
+ * Importers for externally computed loss landscapes
+ *
+ * Supported formats:
+ * - CSV / TSV / whitespace-separated matrices (one row per line)
+ * - JSON: a 2D array, or { shape: [rows, cols], data: [...] } with flat or nested data
+ * - NumPy .npy: 2D float32/float64 arrays in C order (format versions 1.0 - 3.0)
+ * - PNG heightmaps: pixel luminance becomes the loss value
+ *
+ * Every importer returns a plain 2D array of finite numbers (row 0 = top of the canvas),
+ * which resampleGrid then fits to the simulation grid.
+ */
+
+/**
+ * Error raised for files that cannot be read as a loss landscape
+ */
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+export const IMPORT_FORMATS = ['csv', 'json', 'npy', 'png'];
+
+// Smallest matrix that still has a well-defined central-difference gradient
+const MIN_SIZE = 3;
+
+// Largest side of a binary array read by its declared shape, well above any simulation grid
+const MAX_SIZE = 4096;
+
+/**
+ * Checks that a matrix is rectangular, large enough and fully numeric
+ *
+ * @param {Array} matrix - Candidate 2D array
+ * @returns {Array} - The same matrix
+ * @throws {ImportError} - When the data is not a usable landscape
+ */
+export const validateMatrix = (matrix) => {
+  if (!Array.isArray(matrix) || matrix.length === 0 || !Array.isArray(matrix[0])) {
+    throw new ImportError('Expected a 2D matrix of numbers');
+  }
+
+  const cols = matrix[0].length;
+  if (matrix.length < MIN_SIZE || cols < MIN_SIZE) {
+    throw new ImportError(`Matrix is ${matrix.length}×${cols}; it must be at least ${MIN_SIZE}×${MIN_SIZE}`);
+  }
+
+  for (let i = 0; i < matrix.length; i++) {
+    if (!Array.isArray(matrix[i]) || matrix[i].length !== cols) {
+      throw new ImportError(`Row ${i + 1} has ${matrix[i]?.length ?? 0} values, expected ${cols}`);
+    }
+    for (let j = 0; j < cols; j++) {
+      if (typeof matrix[i][j] !== 'number' || !Number.isFinite(matrix[i][j])) {
+        throw new ImportError(`Value at row ${i + 1}, column ${j + 1} is not a finite number`);
+      }
+    }
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const row of matrix) {
+    for (const value of row) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+  if (min === max) {
+    throw new ImportError('All values are identical; the landscape would be flat');
+  }
+
+  return matrix;
+};
+
+/**
+ * Parses a delimited text matrix (comma, semicolon, tab or whitespace)
+ * A single non-numeric header line is skipped
+ *
+ * @param {string} text - File contents
+ * @returns {Array} - 2D array of numbers
+ */
+export const parseCsvMatrix = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+  const rows = lines.map(line => line.split(/[,;\t]|\s+/).filter(cell => cell !== '').map(Number));
+
+  if (rows.length > 0 && rows[0].some(Number.isNaN) && rows.slice(1).every(row => !row.some(Number.isNaN))) {
+    rows.shift();
+  }
+
+  return validateMatrix(rows);
+};
+
+/**
+ * Parses a JSON matrix
+ *
+ * @param {string} text - File contents
+ * @returns {Array} - 2D array of numbers
+ */
+export const parseJsonMatrix = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+
+  if (Array.isArray(data)) {
+    return validateMatrix(data);
+  }
+
+  if (data && Array.isArray(data.data)) {
+    if (Array.isArray(data.data[0])) {
+      return validateMatrix(data.data);
+    }
+
+    const shape = data.shape;
+    if (!Array.isArray(shape) || shape.length !== 2) {
+      throw new ImportError('Flat JSON data needs a two-element "shape" field');
+    }
+
+    const [rows, cols] = shape;
+    if (data.data.length !== rows * cols) {
+      throw new ImportError(`"data" has ${data.data.length} values but shape ${rows}×${cols} needs ${rows * cols}`);
+    }
+
+    const matrix = [];
+    for (let i = 0; i < rows; i++) {
+      matrix.push(data.data.slice(i * cols, (i + 1) * cols));
+    }
+    return validateMatrix(matrix);
+  }
+
+  throw new ImportError('Expected a 2D array, or an object with "data" (and "shape" for flat data)');
+};
+
+/**
+ * Parses a NumPy .npy file
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Array} - 2D array of numbers
+ */
+export const parseNpy = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const magic = [0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59]; // \x93NUMPY
+
+  if (bytes.length < 10 || magic.some((byte, i) => bytes[i] !== byte)) {
+    throw new ImportError('Not a NumPy .npy file (bad magic string)');
+  }
+
+  const view = new DataView(buffer);
+  const major = bytes[6];
+  let headerLength;
+  let headerStart;
+
+  if (major === 1) {
+    headerLength = view.getUint16(8, true);
+    headerStart = 10;
+  } else if (major === 2 || major === 3) {
+    headerLength = view.getUint32(8, true);
+    headerStart = 12;
+  } else {
+    throw new ImportError(`Unsupported .npy format version ${major}.${bytes[7]}`);
+  }
+
+  const header = new TextDecoder(major === 3 ? 'utf-8' : 'latin1')
+    .decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+  const descr = /'descr'\s*:\s*'([^']+)'/.exec(header)?.[1];
+  const fortranOrder = /'fortran_order'\s*:\s*(True|False)/.exec(header)?.[1];
+  const shapeText = /'shape'\s*:\s*\(([^)]*)\)/.exec(header)?.[1];
+
+  if (!descr || !fortranOrder || shapeText === undefined) {
+    throw new ImportError('Malformed .npy header');
+  }
+  if (fortranOrder === 'True') {
+    throw new ImportError('Fortran-ordered arrays are not supported; save with np.ascontiguousarray');
+  }
+
+  const dimensions = shapeText.split(',').map(part => part.trim()).filter(Boolean);
+  if (dimensions.length !== 2) {
+    throw new ImportError(`Expected a 2D array, got shape (${dimensions.join(', ')})`);
+  }
+  // The shape sizes the arrays below, so it must be two plain integers (not e.g. Python 2's 4L)
+  if (!dimensions.every(part => /^\d+$/.test(part))) {
+    throw new ImportError(`Invalid shape (${dimensions.join(', ')}) in the .npy header; expected two integers`);
+  }
+  const shape = dimensions.map(Number);
+  if (shape.some(size => size < MIN_SIZE || size > MAX_SIZE)) {
+    throw new ImportError(`Array is ${shape[0]}×${shape[1]}; each side must be between ${MIN_SIZE} and ${MAX_SIZE}`);
+  }
+
+  const byteOrder = descr[0];
+  const type = descr.slice(1);
+  if (type !== 'f4' && type !== 'f8') {
+    throw new ImportError(`Unsupported dtype '${descr}'; use float32 or float64`);
+  }
+
+  const littleEndian = byteOrder !== '>';
+  const itemSize = type === 'f4' ? 4 : 8;
+  const [rows, cols] = shape;
+  const dataStart = headerStart + headerLength;
+
+  if (buffer.byteLength - dataStart < rows * cols * itemSize) {
+    throw new ImportError('File is shorter than its header says');
+  }
+
+  const matrix = new Array(rows);
+  for (let i = 0; i < rows; i++) {
+    matrix[i] = new Array(cols);
+    for (let j = 0; j < cols; j++) {
+      const offset = dataStart + (i * cols + j) * itemSize;
+      matrix[i][j] = itemSize === 4
+        ? view.getFloat32(offset, littleEndian)
+        : view.getFloat64(offset, littleEndian);
+    }
+  }
+
+  return validateMatrix(matrix);
+};
+
+/**
+ * Decodes a PNG heightmap in the browser; luminance (Rec. 709) becomes the value
+ *
+ * @param {Blob} blob - Image file
+ * @returns {Promise<Array>} - 2D array of numbers in [0, 1]
+ */
+export const parsePngHeightmap = async (blob) => {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch (error) {
+    throw new ImportError('Could not decode the image');
+  }
+
+  const { width, height } = bitmap;
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const matrix = new Array(height);
+
+  for (let i = 0; i < height; i++) {
+    matrix[i] = new Array(width);
+    for (let j = 0; j < width; j++) {
+      const k = (i * width + j) * 4;
+      matrix[i][j] = (0.2126 * data[k] + 0.7152 * data[k + 1] + 0.0722 * data[k + 2]) / 255;
+    }
+  }
+
+  return validateMatrix(matrix);
+};
+
+/**
+ * Works out a file's format from its extension
+ *
+ * @param {string} name - File name
+ * @returns {string|null} - One of IMPORT_FORMATS, or null
+ */
+export const detectFormat = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  if (['csv', 'tsv', 'txt'].includes(extension)) return 'csv';
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  return null;
+};
+
+/**
+ * Reads a dropped or selected file into a matrix
+ *
+ * @param {File} file - File to import
+ * @returns {Promise<Object>} - { name, format, matrix }
+ */
+export const importLandscapeFile = async (file) => {
+  const format = detectFormat(file.name);
+
+  let matrix;
+  switch (format) {
+    case 'csv':
+      matrix = parseCsvMatrix(await file.text());
+      break;
+    case 'json':
+      matrix = parseJsonMatrix(await file.text());
+      break;
+    case 'npy':
+      matrix = parseNpy(await file.arrayBuffer());
+      break;
+    case 'png':
+      matrix = await parsePngHeightmap(file);
+      break;
+    default:
+      throw new ImportError(`Unsupported file type '${file.name}'; use .csv, .json, .npy or .png`);
+  }
+
+  return { name: file.name, format, matrix };
+};
+
+/**
+ * Resamples a matrix to the simulation grid size with bilinear interpolation
+ *
+ * @param {Array} matrix - Source 2D array
+ * @param {number} rows - Target number of rows
+ * @param {number} cols - Target number of columns
+ * @returns {Array} - New 2D array of size rows × cols
+ */
+export const resampleGrid = (matrix, rows, cols) => {
+  const srcRows = matrix.length;
+  const srcCols = matrix[0].length;
+  const grid = new Array(rows);
+
+  for (let i = 0; i < rows; i++) {
+    grid[i] = new Array(cols);
+    const sy = rows > 1 ? i / (rows - 1) * (srcRows - 1) : 0;
+    const i0 = Math.min(Math.floor(sy), srcRows - 2);
+    const ty = sy - i0;
+
+    for (let j = 0; j < cols; j++) {
+      const sx = cols > 1 ? j / (cols - 1) * (srcCols - 1) : 0;
+      const j0 = Math.min(Math.floor(sx), srcCols - 2);
+      const tx = sx - j0;
+
+      const top = matrix[i0][j0] * (1 - tx) + matrix[i0][j0 + 1] * tx;
+      const bottom = matrix[i0 + 1][j0] * (1 - tx) + matrix[i0 + 1][j0 + 1] * tx;
+      grid[i][j] = top * (1 - ty) + bottom * ty;
+    }
+  }
+
+  return grid;
+};
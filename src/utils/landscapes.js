@@ -0,0 +1,427 @@
+import { generateLossLandscape } from './gameUtils.js';
+import { createExpressionFunction, createExpressionGradient } from './expression.js';
+import { resampleGrid } from './importers.js';
+import { packGrid, unpackGrid } from './grid.js';
+
+/**
+ * Catalogue of loss landscapes the simulation can be played on
+ *
+ * Every analytic entry describes a function f(x, y) over a rectangular domain,
+ * its exact gradient (x, y) => [∂f/∂x, ∂f/∂y], its known critical points and a suggested start position for
+ * both players (all in domain coordinates). The grid rows run from the top of
+ * the domain (yMax) to the bottom (yMin), so the canvas shows the usual
+ * mathematical orientation.
+ */
+export const LANDSCAPE_PRESETS = [
+  {
+    id: 'gaussian',
+    name: 'Gaussian Peaks',
+    description: 'Five Gaussian peaks and two saddle points with Monte Carlo noise and Gibbs smoothing.',
+    formula: 'Σ hₖ·exp(-‖p - cₖ‖² / 2σₖ²) + saddles + noise',
+    domain: { xMin: 0, xMax: 1, yMin: 0, yMax: 1 },
+    criticalPoints: [],
+    start: { defender: { x: 0.3, y: 0.3 }, adversary: { x: 0.7, y: 0.7 } }
+  },
+  {
+    id: 'bilinear',
+    name: 'Bilinear',
+    description: 'The simplest min-max game. Its only critical point is a saddle at the origin.',
+    formula: 'f(x, y) = x·y',
+    domain: { xMin: -1, xMax: 1, yMin: -1, yMax: 1 },
+    fn: (x, y) => x * y,
+    gradient: (x, y) => [y, x],
+    normalization: 'linear',
+    criticalPoints: [{ x: 0, y: 0, type: 'saddle' }],
+    start: { defender: { x: 0.5, y: 0.5 }, adversary: { x: -0.5, y: 0.5 } }
+  },
+  {
+    id: 'quadratic-saddle',
+    name: 'Quadratic Saddle',
+    description: 'Convex in x, concave in y: the textbook saddle point.',
+    formula: 'f(x, y) = x² - y²',
+    domain: { xMin: -1, xMax: 1, yMin: -1, yMax: 1 },
+    fn: (x, y) => x * x - y * y,
+    gradient: (x, y) => [2 * x, -2 * y],
+    normalization: 'linear',
+    criticalPoints: [{ x: 0, y: 0, type: 'saddle' }],
+    start: { defender: { x: 0.7, y: 0.1 }, adversary: { x: -0.7, y: -0.1 } }
+  },
+  {
+    id: 'rosenbrock',
+    name: 'Rosenbrock',
+    description: 'A narrow curved valley; the global minimum at (1, 1) is easy to find and hard to reach.',
+    formula: 'f(x, y) = (1 - x)² + 100·(y - x²)²',
+    domain: { xMin: -2, xMax: 2, yMin: -1, yMax: 3 },
+    fn: (x, y) => (1 - x) ** 2 + 100 * (y - x * x) ** 2,
+    gradient: (x, y) => [-2 * (1 - x) - 400 * x * (y - x * x), 200 * (y - x * x)],
+    normalization: 'log',
+    criticalPoints: [{ x: 1, y: 1, type: 'minimum' }],
+    start: { defender: { x: -1.5, y: 2 }, adversary: { x: 1.5, y: 0 } }
+  },
+  {
+    id: 'himmelblau',
+    name: 'Himmelblau',
+    description: 'Four identical minima around one local maximum, separated by saddles.',
+    formula: 'f(x, y) = (x² + y - 11)² + (x + y² - 7)²',
+    domain: { xMin: -5, xMax: 5, yMin: -5, yMax: 5 },
+    fn: (x, y) => (x * x + y - 11) ** 2 + (x + y * y - 7) ** 2,
+    gradient: (x, y) => [
+      4 * x * (x * x + y - 11) + 2 * (x + y * y - 7),
+      2 * (x * x + y - 11) + 4 * y * (x + y * y - 7)
+    ],
+    normalization: 'log',
+    criticalPoints: [
+      { x: 3, y: 2, type: 'minimum' },
+      { x: -2.805118, y: 3.131312, type: 'minimum' },
+      { x: -3.779310, y: -3.283186, type: 'minimum' },
+      { x: 3.584428, y: -1.848126, type: 'minimum' },
+      { x: -0.270845, y: -0.923039, type: 'maximum' },
+      { x: 0.086678, y: 2.884255, type: 'saddle' },
+      { x: -3.073026, y: -0.081353, type: 'saddle' },
+      { x: 3.385154, y: 0.073852, type: 'saddle' },
+      { x: -0.127961, y: -1.953715, type: 'saddle' }
+    ],
+    start: { defender: { x: 0, y: 4 }, adversary: { x: 0, y: -4 } }
+  },
+  {
+    id: 'rastrigin',
+    name: 'Rastrigin',
+    description: 'A regular lattice of local minima, saddles and maxima on a parabolic bowl; only the global minimum at the origin is marked.',
+    formula: 'f(x, y) = 20 + x² - 10·cos(2πx) + y² - 10·cos(2πy)',
+    domain: { xMin: -5.12, xMax: 5.12, yMin: -5.12, yMax: 5.12 },
+    fn: (x, y) => 20 + x * x - 10 * Math.cos(2 * Math.PI * x) + y * y - 10 * Math.cos(2 * Math.PI * y),
+    gradient: (x, y) => [
+      2 * x + 20 * Math.PI * Math.sin(2 * Math.PI * x),
+      2 * y + 20 * Math.PI * Math.sin(2 * Math.PI * y)
+    ],
+    normalization: 'linear',
+    criticalPoints: [{ x: 0, y: 0, type: 'minimum' }],
+    start: { defender: { x: -3.5, y: 3.5 }, adversary: { x: 3.5, y: -3.5 } }
+  },
+  {
+    id: 'cycling',
+    name: 'Almost Bilinear (cycling)',
+    description: 'A bilinear game with a small non-linear term. Gradient descent-ascent orbits the origin in a limit cycle instead of converging.',
+    formula: 'f(x, y) = x·y + ε·(x²/2 - x⁴/4), ε = 0.01',
+    domain: { xMin: -1.5, xMax: 1.5, yMin: -1.5, yMax: 1.5 },
+    fn: (x, y) => x * y + 0.01 * (x * x / 2 - x ** 4 / 4),
+    gradient: (x, y) => [y + 0.01 * (x - x ** 3), x],
+    normalization: 'linear',
+    criticalPoints: [{ x: 0, y: 0, type: 'saddle' }],
+    start: { defender: { x: 1, y: 0 }, adversary: { x: 0, y: 1 } }
+  },
+  {
+    id: 'divergent',
+    name: 'Divergent',
+    description: 'Concave for the minimizer and convex for the maximizer, so the saddle at the origin repels gradient descent-ascent.',
+    formula: 'f(x, y) = x·y - 0.25·x² + 0.25·y²',
+    domain: { xMin: -2, xMax: 2, yMin: -2, yMax: 2 },
+    fn: (x, y) => x * y - 0.25 * x * x + 0.25 * y * y,
+    gradient: (x, y) => [y - 0.5 * x, x + 0.5 * y],
+    normalization: 'linear',
+    criticalPoints: [{ x: 0, y: 0, type: 'saddle' }],
+    start: { defender: { x: 0.2, y: 0.1 }, adversary: { x: -0.1, y: 0.2 } }
+  }
+];
+
+export const DEFAULT_LANDSCAPE = 'gaussian';
+
+export const CUSTOM_LANDSCAPE = 'custom';
+
+export const IMPORTED_LANDSCAPE = 'imported';
+
+/**
+ * Normalizations offered for imported landscapes (see normalizeGrid)
+ */
+export const IMPORT_NORMALIZATIONS = [
+  { id: 'linear', name: 'Min/Max' },
+  { id: 'log', name: 'Log' },
+  { id: 'none', name: 'None (raw values)' }
+];
+
+/**
+ * Starting definition for the formula editor
+ */
+export const DEFAULT_CUSTOM_LANDSCAPE = {
+  expression: 'sin(3x)*cos(2y) + 0.1*(x^2+y^2)',
+  domain: { xMin: -2, xMax: 2, yMin: -2, yMax: 2 },
+  normalize: true
+};
+
+/**
+ * Looks up a landscape preset by id, falling back to the default landscape
+ *
+ * @param {string} id - Preset identifier
+ * @returns {Object} - Landscape preset
+ */
+export const getLandscapePreset = (id) =>
+  LANDSCAPE_PRESETS.find(preset => preset.id === id) ||
+  LANDSCAPE_PRESETS.find(preset => preset.id === DEFAULT_LANDSCAPE);
+
+/**
+ * Builds a landscape preset from a user-defined formula
+ * Non-finite samples (e.g. log of a negative number) are treated as 0, with a zero gradient
+ *
+ * @param {Object} definition - { expression, domain, normalize }
+ * @returns {Object} - Landscape preset with the same shape as LANDSCAPE_PRESETS entries
+ * @throws {ExpressionError} - When the formula cannot be parsed
+ */
+export const createCustomLandscape = ({ expression, domain, normalize = true }) => {
+  const compiled = createExpressionFunction(expression);
+  const compiledGradient = createExpressionGradient(expression);
+  const { xMin, xMax, yMin, yMax } = domain;
+
+  return {
+    id: CUSTOM_LANDSCAPE,
+    name: 'Custom Formula',
+    description: 'User-defined loss surface.',
+    formula: `f(x, y) = ${expression}`,
+    domain: { xMin, xMax, yMin, yMax },
+    fn: (x, y) => {
+      const value = compiled(x, y);
+      return Number.isFinite(value) ? value : 0;
+    },
+    gradient: (x, y) => {
+      const [value, dx, dy] = compiledGradient(x, y);
+      return Number.isFinite(value) && Number.isFinite(dx) && Number.isFinite(dy) ? [dx, dy] : [0, 0];
+    },
+    normalization: normalize ? 'linear' : 'none',
+    criticalPoints: [],
+    start: {
+      defender: { x: xMin + 0.3 * (xMax - xMin), y: yMin + 0.3 * (yMax - yMin) },
+      adversary: { x: xMin + 0.7 * (xMax - xMin), y: yMin + 0.7 * (yMax - yMin) }
+    }
+  };
+};
+
+/**
+ * Builds a landscape preset from an imported matrix (see importers.js)
+ *
+ * @param {Object} definition - { name, matrix, normalization }
+ * @returns {Object} - Landscape preset with the same shape as LANDSCAPE_PRESETS entries
+ */
+export const createImportedLandscape = ({ name, matrix, normalization = 'linear' }) => ({
+  id: IMPORTED_LANDSCAPE,
+  name: `Imported: ${name}`,
+  description: `${matrix.length}×${matrix[0].length} matrix imported from ${name}.`,
+  formula: null,
+  domain: { xMin: 0, xMax: 1, yMin: 0, yMax: 1 },
+  matrix,
+  normalization,
+  criticalPoints: [],
+  start: { defender: { x: 0.3, y: 0.3 }, adversary: { x: 0.7, y: 0.7 } }
+});
+
+/**
+ * Resolves the landscape currently selected in the controls
+ *
+ * @param {string} id - Preset identifier, CUSTOM_LANDSCAPE or IMPORTED_LANDSCAPE
+ * @param {Object} definitions - { custom, imported } definitions for the user-supplied landscapes
+ * @returns {Object} - Landscape preset
+ */
+export const resolveLandscape = (id, { custom, imported } = {}) => {
+  if (id === CUSTOM_LANDSCAPE && custom) {
+    return createCustomLandscape(custom);
+  }
+  if (id === IMPORTED_LANDSCAPE && imported) {
+    return createImportedLandscape(imported);
+  }
+  return getLandscapePreset(id);
+};
+
+/**
+ * Converts a point in a preset's domain coordinates to fractional grid coordinates
+ *
+ * @param {Object} preset - Landscape preset
+ * @param {Object} point - Point {x, y} in domain coordinates
+ * @param {number} rows - Number of grid rows
+ * @param {number} cols - Number of grid columns
+ * @returns {Object} - Point {x, y} in grid coordinates (x = col, y = row)
+ */
+export const domainToGrid = (preset, point, rows, cols) => {
+  const { xMin, xMax, yMin, yMax } = preset.domain;
+  return {
+    x: (point.x - xMin) / (xMax - xMin) * (cols - 1),
+    y: (yMax - point.y) / (yMax - yMin) * (rows - 1)
+  };
+};
+
+/**
+ * Converts fractional grid coordinates back to a preset's domain coordinates
+ *
+ * @param {Object} preset - Landscape preset
+ * @param {Object} point - Point {x, y} in grid coordinates
+ * @param {number} rows - Number of grid rows
+ * @param {number} cols - Number of grid columns
+ * @returns {Object} - Point {x, y} in domain coordinates
+ */
+export const gridToDomain = (preset, point, rows, cols) => {
+  const { xMin, xMax, yMin, yMax } = preset.domain;
+  return {
+    x: xMin + point.x / (cols - 1) * (xMax - xMin),
+    y: yMax - point.y / (rows - 1) * (yMax - yMin)
+  };
+};
+
+/**
+ * Rescales a grid in place to the [0, 1] range expected by getLossColor
+ *
+ * @param {Array} grid - 2D array of raw function values
+ * @param {string} mode - 'linear' (min/max), 'log' (log1p of the shifted values) or 'none'
+ * @returns {Array} - The same grid, normalized
+ */
+export const normalizeGrid = (grid, mode = 'linear') => {
+  if (mode === 'none') return grid;
+
+  const { transform } = getNormalization(grid, mode);
+
+  for (const row of grid) {
+    for (let j = 0; j < row.length; j++) {
+      row[j] = transform(row[j]);
+    }
+  }
+
+  return grid;
+};
+
+/**
+ * Works out the normalization normalizeGrid applies to a grid of raw values
+ *
+ * @param {Array} grid - 2D array of raw function values
+ * @param {string} mode - 'linear', 'log' or 'none'
+ * @returns {Object} - { transform(value), slope(value) }: the normalized value and its derivative
+ */
+export const getNormalization = (grid, mode = 'linear') => {
+  if (mode === 'none') {
+    return { transform: value => value, slope: () => 1 };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (const row of grid) {
+    for (const value of row) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+
+  if (mode === 'log') {
+    const range = Math.log1p(max - min) || 1;
+    return {
+      transform: value => Math.log1p(value - min) / range,
+      slope: value => 1 / ((1 + value - min) * range)
+    };
+  }
+
+  const range = (max - min) || 1;
+  return {
+    transform: value => (value - min) / range,
+    slope: () => 1 / range
+  };
+};
+
+/**
+ * Samples an analytic function f(x, y) over a domain into a grid
+ *
+ * @param {Function} fn - Function of (x, y) returning a loss value
+ * @param {Object} domain - { xMin, xMax, yMin, yMax }
+ * @param {number} rows - Number of grid rows
+ * @param {number} cols - Number of grid columns
+ * @returns {Array} - 2D array of raw function values
+ */
+export const sampleFunction = (fn, domain, rows, cols) => {
+  const { xMin, xMax, yMin, yMax } = domain;
+  const grid = new Array(rows);
+
+  for (let i = 0; i < rows; i++) {
+    grid[i] = new Array(cols);
+    const y = yMax - i / (rows - 1) * (yMax - yMin);
+
+    for (let j = 0; j < cols; j++) {
+      const x = xMin + j / (cols - 1) * (xMax - xMin);
+      grid[i][j] = fn(x, y);
+    }
+  }
+
+  return grid;
+};
+
+/**
+ * Builds the loss grid for a landscape preset
+ * Returns the same grid format as generateLossLandscape
+ *
+ * @param {Object} preset - Landscape preset (see resolveLandscape)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} resolution - Grid resolution
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @returns {Array} - 2D array of loss values in [0, 1]
+ */
+export const generatePresetLandscape = (preset, width, height, resolution = 5, rng = Math.random) => {
+  if (!preset.fn && !preset.matrix) {
+    return generateLossLandscape(width, height, resolution, rng);
+  }
+
+  const cols = Math.floor(width / resolution);
+  const rows = Math.floor(height / resolution);
+
+  const raw = preset.matrix
+    ? resampleGrid(preset.matrix, rows, cols)
+    : sampleFunction(preset.fn, preset.domain, rows, cols);
+
+  // Normalized in double precision, then stored like every other grid
+  const { data } = packGrid(normalizeGrid(raw, preset.normalization));
+  return unpackGrid(data, rows, cols);
+};
+
+/**
+ * Exact loss and gradient of a formula landscape at fractional grid coordinates
+ * The values match the normalized grid from generatePresetLandscape, and the
+ * gradient is expressed per grid cell so it is comparable with central differences
+ *
+ * @param {Object} preset - Landscape preset with `fn` and `gradient`
+ * @param {number} rows - Number of grid rows
+ * @param {number} cols - Number of grid columns
+ * @returns {Object|null} - { value(x, y), gradient(x, y) => {dx, dy} }, or null without a formula
+ */
+export const createAnalyticField = (preset, rows, cols) => {
+  if (!preset.fn || !preset.gradient) return null;
+
+  const { xMin, xMax, yMin, yMax } = preset.domain;
+  const { transform, slope } = getNormalization(sampleFunction(preset.fn, preset.domain, rows, cols), preset.normalization);
+
+  // Domain units per grid cell; rows run from yMax down to yMin
+  const scaleX = (xMax - xMin) / (cols - 1);
+  const scaleY = -(yMax - yMin) / (rows - 1);
+
+  return {
+    value: (x, y) => {
+      const point = gridToDomain(preset, { x, y }, rows, cols);
+      return transform(preset.fn(point.x, point.y));
+    },
+    gradient: (x, y) => {
+      const point = gridToDomain(preset, { x, y }, rows, cols);
+      const [fx, fy] = preset.gradient(point.x, point.y);
+      const factor = slope(preset.fn(point.x, point.y));
+      return { dx: fx * scaleX * factor, dy: fy * scaleY * factor };
+    }
+  };
+};
+
+/**
+ * Suggested start positions for both players in grid coordinates
+ *
+ * @param {Object} preset - Landscape preset (see resolveLandscape)
+ * @param {Array} grid - 2D loss landscape produced for the preset
+ * @returns {Object} - { defender: {x, y}, adversary: {x, y} }
+ */
+export const getPresetStart = (preset, grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  return {
+    defender: domainToGrid(preset, preset.start.defender, rows, cols),
+    adversary: domainToGrid(preset, preset.start.adversary, rows, cols)
+  };
+};
@@ -0,0 +1,152 @@
+import { closestDistance } from './breakpoints.js';
+import { DEFENDER_COLORS, ADVERSARY_COLORS } from './populations.js';
+
+/**
+ * Series shown on the loss chart, read from the recorded snapshots (see
+ * HistoryRecorder) so the chart covers the whole run rather than the
+ * engine's short loss window
+ *
+ * The losses share the left axis, which can be logarithmic. Extra series
+ * (gradient norm, player distance) are in other units, so each one gets a
+ * linear axis of its own on the right.
+ */
+
+export const EXTRA_SERIES = [
+  {
+    id: 'gradientNorm',
+    name: 'Gradient norm',
+    description: 'Noise-free ‖∇f‖ at the defender\'s position',
+    rgb: '250, 204, 21'
+  },
+  {
+    id: 'distance',
+    name: 'Player distance',
+    description: 'Distance between the closest defender and adversary, in grid cells (not in the coupled game)',
+    rgb: '52, 211, 153',
+    independentOnly: true
+  }
+];
+
+// Moving-average windows, in iterations (1 = raw values)
+export const SMOOTHING_WINDOWS = [1, 5, 10, 25, 50];
+
+export const DEFAULT_LOSS_CHART_OPTIONS = {
+  logScale: false,
+  smoothing: 1,
+  series: Object.fromEntries(EXTRA_SERIES.map(({ id }) => [id, false]))
+};
+
+// Smallest loss a log axis shows; a loss of exactly 0 is drawn at this floor
+export const LOG_SCALE_FLOOR = 1e-4;
+
+/**
+ * Trailing moving average; missing values (null) are left out of the windows
+ * that contain them and stay missing
+ *
+ * @param {Array} values - Numbers or null
+ * @param {number} window - Iterations averaged (1 returns the values as they are)
+ * @returns {Array} - Averages, aligned with the values
+ */
+export const movingAverage = (values, window) => {
+  if (window <= 1) return values;
+
+  const averages = new Array(values.length);
+  let sum = 0;
+  let count = 0;
+  values.forEach((value, k) => {
+    if (value !== null) {
+      sum += value;
+      count++;
+    }
+    const dropped = k >= window ? values[k - window] : null;
+    if (dropped !== null) {
+      sum -= dropped;
+      count--;
+    }
+    averages[k] = value === null || count === 0 ? null : sum / count;
+  });
+  return averages;
+};
+
+/**
+ * Loss series of a recording, as the game mode calls for: the joint objective
+ * in the coupled game, every agent's loss under the aggregates for
+ * populations, otherwise the defender's and the adversary's loss
+ *
+ * @param {Array} frames - Recorded snapshots
+ * @param {Object} mode - { coupled, populated }
+ * @returns {Array} - [{ id, name, rgb, values, lineWidth, alpha, agent }]; agent series are per-member lines
+ */
+export const getLossSeries = (frames, { coupled, populated }) => {
+  if (coupled) {
+    return [{ id: 'loss', name: 'f(θ, δ)', rgb: '255, 255, 255', values: frames.map(frame => frame.defenderLoss), lineWidth: 2, alpha: 0.9 }];
+  }
+
+  const series = [];
+  if (populated) {
+    // Members may come and go when the population changes mid-run
+    const defenders = Math.max(...frames.map(frame => frame.defenderLosses.length));
+    const adversaries = Math.max(...frames.map(frame => frame.adversaryLosses.length));
+    for (let i = 0; i < defenders; i++) {
+      series.push({
+        id: `defender-${i}`,
+        name: `D${i + 1}`,
+        rgb: DEFENDER_COLORS[i],
+        values: frames.map(frame => frame.defenderLosses[i] ?? null),
+        lineWidth: 1,
+        alpha: 0.5,
+        agent: true
+      });
+    }
+    for (let j = 0; j < adversaries; j++) {
+      series.push({
+        id: `adversary-${j}`,
+        name: `A${j + 1}`,
+        rgb: ADVERSARY_COLORS[j],
+        values: frames.map(frame => frame.adversaryLosses[j] ?? null),
+        lineWidth: 1,
+        alpha: 0.5,
+        agent: true
+      });
+    }
+  }
+
+  series.push(
+    {
+      id: 'defender',
+      name: populated ? 'Defender loss (worst)' : 'Defender loss',
+      rgb: DEFENDER_COLORS[0],
+      values: frames.map(frame => frame.defenderLoss),
+      lineWidth: populated ? 2.5 : 2,
+      alpha: 1
+    },
+    {
+      id: 'adversary',
+      name: populated ? 'Adversary loss (mean)' : 'Adversary loss',
+      rgb: ADVERSARY_COLORS[0],
+      values: frames.map(frame => frame.adversaryLoss),
+      lineWidth: populated ? 2.5 : 2,
+      alpha: 1
+    }
+  );
+  return series;
+};
+
+/**
+ * Value of an extra series at one recorded iteration
+ *
+ * @param {string} id - Series id (see EXTRA_SERIES)
+ * @param {Object} frame - Recorded snapshot
+ * @param {Function} gradientsOf - (frame) → the players' noise-free gradients (see frameGradients)
+ * @returns {number|null} - Value, or null where it is not defined
+ */
+export const getExtraValue = (id, frame, gradientsOf) => {
+  if (id === 'gradientNorm') {
+    const gradient = gradientsOf(frame).defender;
+    return gradient ? Math.hypot(gradient.dx, gradient.dy) : null;
+  }
+  if (id === 'distance') {
+    return closestDistance(frame);
+  }
+  return null;
+};
@@ -0,0 +1,184 @@
+/**
+ * First-order optimizers for the two players
+ *
+ * Each optimizer keeps its own buffers (velocity, first and second moments)
+ * from one iteration to the next. Updates are pure: optimizerStep takes the
+ * previous state and returns the step together with the next state.
+ *
+ * Optimizers always *minimize*; the adversary ascends by passing in the
+ * negated gradient. Learning rates are expressed in grid cells per unit of
+ * gradient, and the player's strength slider scales them (strength 5 = the
+ * configured rate).
+ */
+
+export const OPTIMIZERS = [
+  {
+    id: 'sgd',
+    name: 'SGD',
+    defaults: { learningRate: 30 },
+    params: ['learningRate']
+  },
+  {
+    id: 'momentum',
+    name: 'Momentum (heavy ball)',
+    defaults: { learningRate: 10, momentum: 0.8 },
+    params: ['learningRate', 'momentum']
+  },
+  {
+    id: 'nesterov',
+    name: 'Nesterov',
+    defaults: { learningRate: 10, momentum: 0.8 },
+    params: ['learningRate', 'momentum']
+  },
+  {
+    id: 'rmsprop',
+    name: 'RMSProp',
+    defaults: { learningRate: 0.3, decay: 0.9, epsilon: 1e-8 },
+    params: ['learningRate', 'decay', 'epsilon']
+  },
+  {
+    id: 'adam',
+    name: 'Adam',
+    defaults: { learningRate: 0.3, beta1: 0.9, beta2: 0.999, epsilon: 1e-8 },
+    params: ['learningRate', 'beta1', 'beta2', 'epsilon']
+  }
+];
+
+/**
+ * Labels and input ranges for the hyperparameters shown in the controls
+ */
+export const OPTIMIZER_PARAMS = {
+  learningRate: { label: 'Learning rate', min: 0, max: 1000, step: 0.1 },
+  momentum: { label: 'Momentum μ', min: 0, max: 0.999, step: 0.05 },
+  decay: { label: 'Decay ρ', min: 0, max: 0.999, step: 0.01 },
+  beta1: { label: 'β₁', min: 0, max: 0.999, step: 0.01 },
+  beta2: { label: 'β₂', min: 0, max: 0.9999, step: 0.001 },
+  epsilon: { label: 'ε', min: 0, max: 1, step: 1e-8 }
+};
+
+export const DEFAULT_OPTIMIZER = 'momentum';
+
+/**
+ * Looks up an optimizer definition, falling back to the default optimizer
+ *
+ * @param {string} id - Optimizer identifier
+ * @returns {Object} - Optimizer definition
+ */
+export const getOptimizer = (id) =>
+  OPTIMIZERS.find(optimizer => optimizer.id === id) ||
+  OPTIMIZERS.find(optimizer => optimizer.id === DEFAULT_OPTIMIZER);
+
+/**
+ * Builds an optimizer configuration with the default hyperparameters
+ *
+ * @param {string} type - Optimizer identifier
+ * @returns {Object} - { type, ...hyperparameters }
+ */
+export const createOptimizerConfig = (type = DEFAULT_OPTIMIZER) => {
+  const optimizer = getOptimizer(type);
+  return { type: optimizer.id, ...optimizer.defaults };
+};
+
+/**
+ * Fresh optimizer buffers for one player
+ *
+ * @returns {Object} - { t, velocity, firstMoment, secondMoment }
+ */
+export const createOptimizerState = () => ({
+  t: 0,
+  velocity: { x: 0, y: 0 },
+  firstMoment: { x: 0, y: 0 },
+  secondMoment: { x: 0, y: 0 }
+});
+
+/**
+ * Computes one optimizer step
+ *
+ * @param {Object} config - Optimizer configuration { type, learningRate, ... }
+ * @param {Object} state - Buffers from the previous step (see createOptimizerState)
+ * @param {Object} gradient - Gradient of the objective being minimized { dx, dy }
+ * @param {number} strength - Player strength (1-10); scales the learning rate
+ * @returns {Object} - { step: { dx, dy }, state }
+ */
+export const optimizerStep = (config, state, gradient, strength = 5) => {
+  const { type } = config;
+  const params = { ...getOptimizer(type).defaults, ...config };
+  const lr = params.learningRate * strength / 5;
+  const t = state.t + 1;
+  const g = { x: gradient.dx, y: gradient.dy };
+
+  switch (type) {
+    case 'momentum': {
+      // v ← μv + g,  θ ← θ - lr·v
+      const velocity = {
+        x: params.momentum * state.velocity.x + g.x,
+        y: params.momentum * state.velocity.y + g.y
+      };
+      return {
+        step: { dx: -lr * velocity.x, dy: -lr * velocity.y },
+        state: { ...state, t, velocity }
+      };
+    }
+
+    case 'nesterov': {
+      // v ← μv + g,  θ ← θ - lr·(g + μv)  (look-ahead form, as in PyTorch)
+      const velocity = {
+        x: params.momentum * state.velocity.x + g.x,
+        y: params.momentum * state.velocity.y + g.y
+      };
+      return {
+        step: {
+          dx: -lr * (g.x + params.momentum * velocity.x),
+          dy: -lr * (g.y + params.momentum * velocity.y)
+        },
+        state: { ...state, t, velocity }
+      };
+    }
+
+    case 'rmsprop': {
+      // s ← ρs + (1 - ρ)g²,  θ ← θ - lr·g / (√s + ε)
+      const { decay, epsilon } = params;
+      const secondMoment = {
+        x: decay * state.secondMoment.x + (1 - decay) * g.x * g.x,
+        y: decay * state.secondMoment.y + (1 - decay) * g.y * g.y
+      };
+      return {
+        step: {
+          dx: -lr * g.x / (Math.sqrt(secondMoment.x) + epsilon),
+          dy: -lr * g.y / (Math.sqrt(secondMoment.y) + epsilon)
+        },
+        state: { ...state, t, secondMoment }
+      };
+    }
+
+    case 'adam': {
+      // m ← β₁m + (1 - β₁)g,  v ← β₂v + (1 - β₂)g²,  θ ← θ - lr·m̂ / (√v̂ + ε)
+      const { beta1, beta2, epsilon } = params;
+      const firstMoment = {
+        x: beta1 * state.firstMoment.x + (1 - beta1) * g.x,
+        y: beta1 * state.firstMoment.y + (1 - beta1) * g.y
+      };
+      const secondMoment = {
+        x: beta2 * state.secondMoment.x + (1 - beta2) * g.x * g.x,
+        y: beta2 * state.secondMoment.y + (1 - beta2) * g.y * g.y
+      };
+      const correction1 = 1 - Math.pow(beta1, t);
+      const correction2 = 1 - Math.pow(beta2, t);
+      return {
+        step: {
+          dx: -lr * (firstMoment.x / correction1) / (Math.sqrt(secondMoment.x / correction2) + epsilon),
+          dy: -lr * (firstMoment.y / correction1) / (Math.sqrt(secondMoment.y / correction2) + epsilon)
+        },
+        state: { ...state, t, firstMoment, secondMoment }
+      };
+    }
+
+    case 'sgd':
+    default:
+      // θ ← θ - lr·g
+      return {
+        step: { dx: -lr * g.x, dy: -lr * g.y },
+        state: { ...state, t }
+      };
+  }
+};
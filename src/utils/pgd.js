@@ -0,0 +1,177 @@
+/**
+ * Projected Gradient Descent (ascent) attack for the adversary
+ *
+ * Before every defender step the adversary runs K inner ascent steps inside an
+ * ε-ball around an anchor point (the defender, or a fixed clean point), using
+ * the steepest-ascent direction of the chosen norm and projecting back onto the
+ * ball after every step — the inner maximization of adversarial training.
+ * All distances are in grid cells.
+ */
+
+export const PGD_NORMS = [
+  { id: 'linf', name: 'L∞ (square)' },
+  { id: 'l2', name: 'L2 (circle)' },
+  { id: 'l1', name: 'L1 (diamond)' }
+];
+
+export const PGD_ANCHORS = [
+  { id: 'defender', name: 'Defender position' },
+  { id: 'clean', name: 'Fixed clean point' }
+];
+
+export const DEFAULT_PGD_CONFIG = {
+  enabled: false,
+  steps: 10,
+  epsilon: 8,
+  norm: 'linf',
+  anchor: 'defender',
+  randomStart: true
+};
+
+/**
+ * Projects a point onto the ε-ball around a center
+ *
+ * @param {Object} point - Point {x, y}
+ * @param {Object} center - Ball center {x, y}
+ * @param {number} epsilon - Ball radius
+ * @param {string} norm - 'linf', 'l2' or 'l1'
+ * @returns {Object} - Projected point {x, y}
+ */
+export const projectToBall = (point, center, epsilon, norm) => {
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+
+  switch (norm) {
+    case 'l2': {
+      const length = Math.sqrt(dx * dx + dy * dy);
+      if (length <= epsilon) return { ...point };
+      return { x: center.x + dx * epsilon / length, y: center.y + dy * epsilon / length };
+    }
+
+    case 'l1': {
+      const ax = Math.abs(dx);
+      const ay = Math.abs(dy);
+      if (ax + ay <= epsilon) return { ...point };
+
+      // Euclidean projection onto the L1 ball: soft-threshold both coordinates by θ
+      let theta = (ax + ay - epsilon) / 2;
+      if (Math.min(ax, ay) - theta < 0) {
+        theta = Math.max(ax, ay) - epsilon;
+      }
+      return {
+        x: center.x + Math.sign(dx) * Math.max(ax - theta, 0),
+        y: center.y + Math.sign(dy) * Math.max(ay - theta, 0)
+      };
+    }
+
+    case 'linf':
+    default:
+      return {
+        x: center.x + Math.min(Math.max(dx, -epsilon), epsilon),
+        y: center.y + Math.min(Math.max(dy, -epsilon), epsilon)
+      };
+  }
+};
+
+/**
+ * Samples a uniformly random point inside the ε-ball
+ *
+ * @param {Object} center - Ball center {x, y}
+ * @param {number} epsilon - Ball radius
+ * @param {string} norm - 'linf', 'l2' or 'l1'
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @returns {Object} - Point {x, y}
+ */
+export const sampleInBall = (center, epsilon, norm, rng = Math.random) => {
+  switch (norm) {
+    case 'l2': {
+      const radius = epsilon * Math.sqrt(rng());
+      const angle = 2 * Math.PI * rng();
+      return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+    }
+
+    case 'l1': {
+      // A uniform point in the square, rotated 45° and scaled, is uniform in the diamond
+      const u = (2 * rng() - 1) * epsilon / 2;
+      const v = (2 * rng() - 1) * epsilon / 2;
+      return { x: center.x + u + v, y: center.y + u - v };
+    }
+
+    case 'linf':
+    default:
+      return {
+        x: center.x + (2 * rng() - 1) * epsilon,
+        y: center.y + (2 * rng() - 1) * epsilon
+      };
+  }
+};
+
+/**
+ * Steepest-ascent step of length α under the given norm
+ *
+ * @param {Object} gradient - Gradient {dx, dy}
+ * @param {number} stepSize - Step length α
+ * @param {string} norm - 'linf', 'l2' or 'l1'
+ * @returns {Object} - Step {dx, dy}
+ */
+export const ascentStep = (gradient, stepSize, norm) => {
+  const { dx, dy } = gradient;
+
+  switch (norm) {
+    case 'l2': {
+      const length = Math.sqrt(dx * dx + dy * dy);
+      return length > 0 ? { dx: stepSize * dx / length, dy: stepSize * dy / length } : { dx: 0, dy: 0 };
+    }
+
+    case 'l1':
+      // Move along the single coordinate with the largest gradient component
+      return Math.abs(dx) >= Math.abs(dy)
+        ? { dx: stepSize * Math.sign(dx), dy: 0 }
+        : { dx: 0, dy: stepSize * Math.sign(dy) };
+
+    case 'linf':
+    default:
+      return { dx: stepSize * Math.sign(dx), dy: stepSize * Math.sign(dy) };
+  }
+};
+
+/**
+ * Runs the PGD inner maximization
+ *
+ * @param {Object} config - PGD configuration (see DEFAULT_PGD_CONFIG)
+ * @param {Object} start - Adversary position before the attack (warm start)
+ * @param {Object} anchor - Center of the ε-ball
+ * @param {Function} gradientAt - (point) => gradient {dx, dy} of the loss being maximized
+ * @param {Object} bounds - { cols, rows } grid size, to keep iterates on the canvas
+ * @param {number} strength - Adversary strength (1-10); scales ε (5 = the configured radius)
+ * @param {Function} rng - Uniform random generator in [0, 1)
+ * @returns {Object} - { adversary, path, anchor, epsilon, norm }
+ */
+export const runPgd = (config, start, anchor, gradientAt, bounds, strength = 5, rng = Math.random) => {
+  const { steps, norm, randomStart } = { ...DEFAULT_PGD_CONFIG, ...config };
+  const epsilon = config.epsilon * strength / 5;
+  const stepSize = 2.5 * epsilon / Math.max(steps, 1); // Madry et al.'s rule of thumb
+
+  const clampToGrid = (point) => ({
+    x: Math.min(Math.max(point.x, 0), bounds.cols - 1),
+    y: Math.min(Math.max(point.y, 0), bounds.rows - 1)
+  });
+
+  let current = clampToGrid(randomStart
+    ? sampleInBall(anchor, epsilon, norm, rng)
+    : projectToBall(start, anchor, epsilon, norm));
+  const path = [current];
+
+  for (let k = 0; k < steps; k++) {
+    const step = ascentStep(gradientAt(current), stepSize, norm);
+    current = clampToGrid(projectToBall(
+      { x: current.x + step.dx, y: current.y + step.dy },
+      anchor,
+      epsilon,
+      norm
+    ));
+    path.push(current);
+  }
+
+  return { adversary: current, path, anchor: { ...anchor }, epsilon, norm };
+};
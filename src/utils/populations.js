@@ -0,0 +1,145 @@
+/**
+ * Populations of defenders and adversaries (independent game mode)
+ *
+ * Instead of one defender and one adversary, the game can be played by an
+ * ensemble of defenders and several adversaries, each with its own strength
+ * and start point. The adversaries all attack one target:
+ * - position: the defenders act as one model at their averaged position,
+ *   which is what the adversaries attack and where the defenders' loss is read
+ * - loss: every defender keeps its own loss and the ensemble's loss is their
+ *   average; the adversaries go after the member with the highest loss,
+ *   which raises that average the most
+ * Each defender's loss is the worst case over the adversaries (as when
+ * training against several threat models at once).
+ */
+
+export const DEFENDER_TARGETS = [
+  {
+    id: 'position',
+    name: 'Averaged position',
+    description: 'The defenders act as one model at their mean position; the adversaries attack that point.'
+  },
+  {
+    id: 'loss',
+    name: 'Averaged loss',
+    description: 'The ensemble loss is the mean of the members\' losses; the adversaries attack the member with the highest loss.'
+  }
+];
+
+export const MAX_DEFENDERS = 8;
+export const MAX_ADVERSARIES = 6;
+
+// Trail and marker colours as "r, g, b", so they can be given any opacity; the first of each is the classic pair
+export const DEFENDER_COLORS = ['66, 135, 245', '66, 210, 245', '130, 110, 245', '66, 245, 180', '150, 190, 255', '40, 90, 200', '180, 140, 255', '90, 230, 230'];
+export const ADVERSARY_COLORS = ['245, 81, 66', '245, 160, 66', '235, 66, 150', '200, 40, 40', '245, 210, 90', '190, 90, 220'];
+
+/**
+ * One adversary of the population
+ * strength: 1-10, or null to follow the global attack strength
+ * start: { x, y } as fractions of the landscape width and height, or null for an automatic start
+ */
+export const createAdversaryConfig = (strength = null, start = null) => ({ strength, start });
+
+export const DEFAULT_POPULATION_CONFIG = {
+  defenders: 1,
+  defenderTarget: 'position',
+  adversaries: [createAdversaryConfig()]
+};
+
+const clampToGrid = (point, rows, cols) => ({
+  x: Math.min(Math.max(point.x, 0), cols - 1),
+  y: Math.min(Math.max(point.y, 0), rows - 1)
+});
+
+// Shortens the ray from center to point so it ends inside the grid
+const pullInside = (point, center, rows, cols) => {
+  const limit = (from, to, max) => {
+    if (to < 0) return from / (from - to);
+    if (to > max) return (max - from) / (to - from);
+    return 1;
+  };
+  const t = Math.min(limit(center.x, point.x, cols - 1), limit(center.y, point.y, rows - 1));
+  return clampToGrid({
+    x: center.x + (point.x - center.x) * t,
+    y: center.y + (point.y - center.y) * t
+  }, rows, cols);
+};
+
+const rotateAround = (point, center, angle) => {
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return {
+    x: center.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: center.y + dx * Math.sin(angle) + dy * Math.cos(angle)
+  };
+};
+
+/**
+ * Whether a population plays differently from the classic single pair
+ *
+ * @param {Object} config - Population config
+ * @returns {boolean} - True with more than one defender or adversary
+ */
+export const isPopulated = (config) =>
+  Boolean(config) && (config.defenders > 1 || config.adversaries.length > 1);
+
+/**
+ * Whether two configs place the same agents at the same start points
+ * (only then can a running game switch between them without a restart)
+ *
+ * @param {Object} a - Population config
+ * @param {Object} b - Population config
+ * @returns {boolean} - True when the agent counts and starts match
+ */
+export const sameLayout = (a, b) =>
+  a.defenders === b.defenders &&
+  a.adversaries.length === b.adversaries.length &&
+  a.adversaries.every((adversary, j) => {
+    const other = b.adversaries[j].start;
+    return adversary.start === other ||
+      (adversary.start && other && adversary.start.x === other.x && adversary.start.y === other.y);
+  });
+
+/**
+ * Start positions of every agent
+ * Defenders spread on a small circle around the preset's defender start. An
+ * adversary without an explicit start begins at the preset's adversary start,
+ * rotated around the defender start so the attackers surround it evenly
+ * (and moved closer where the rotated point would leave the landscape).
+ *
+ * @param {Object} start - Preset start { defender, adversary } (see getPresetStart)
+ * @param {Object} config - Population config
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @returns {Object} - { defenders: [{x, y}], adversaries: [{x, y}] }
+ */
+export const placePopulation = (start, config, rows, cols) => {
+  const spread = 0.04 * Math.min(rows, cols);
+  const defenders = config.defenders > 1
+    ? Array.from({ length: config.defenders }, (_, i) => clampToGrid({
+        x: start.defender.x + spread * Math.cos(2 * Math.PI * i / config.defenders),
+        y: start.defender.y + spread * Math.sin(2 * Math.PI * i / config.defenders)
+      }, rows, cols))
+    : [{ ...start.defender }];
+
+  const adversaries = config.adversaries.map((adversary, j) => {
+    if (adversary.start) {
+      return clampToGrid({ x: adversary.start.x * (cols - 1), y: adversary.start.y * (rows - 1) }, rows, cols);
+    }
+    const angle = 2 * Math.PI * j / config.adversaries.length;
+    return pullInside(rotateAround(start.adversary, start.defender, angle), start.defender, rows, cols);
+  });
+
+  return { defenders, adversaries };
+};
+
+/**
+ * Mean position of a group of agents
+ *
+ * @param {Array} points - Positions {x, y}
+ * @returns {Object} - Centroid {x, y}
+ */
+export const centroid = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+});
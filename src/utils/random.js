@@ -0,0 +1,59 @@
+/**
+ * Seeded pseudo-random number generation
+ * Every stochastic part of the simulation draws from one of these generators,
+ * so a run can be replayed exactly from its seed
+ */
+
+/**
+ * Default seed used when the user has not picked one
+ */
+export const DEFAULT_SEED = 42;
+
+/**
+ * Creates a seeded uniform random number generator (Mulberry32)
+ * The returned function is a drop-in replacement for Math.random(); its
+ * getState() returns the position in the stream (see restoreRng)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+export const createRng = (seed = DEFAULT_SEED) => restoreRng(normalizeSeed(seed));
+
+/**
+ * Continues a random stream from a saved state, e.g. one taken in a Web Worker
+ *
+ * @param {number} state - Value of getState() on the generator to continue
+ * @returns {Function} - Generator that draws what the original would have drawn next
+ */
+export const restoreRng = (state) => {
+  let current = state >>> 0;
+
+  const rng = () => {
+    current = (current + 0x6D2B79F5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => current;
+
+  return rng;
+};
+
+/**
+ * Coerces any user input into an unsigned 32-bit integer seed
+ *
+ * @param {number|string} seed - Seed value as typed by the user
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export const normalizeSeed = (seed) => {
+  const value = Number(seed);
+  return Number.isFinite(value) ? Math.trunc(value) >>> 0 : DEFAULT_SEED;
+};
+
+/**
+ * Picks a fresh random seed (used by the "New Seed" control)
+ *
+ * @returns {number} - Random seed in [0, 999999]
+ */
+export const randomSeed = () => Math.floor(Math.random() * 1000000);
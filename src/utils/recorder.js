@@ -0,0 +1,148 @@
+/**
+ * Full-history recording of a GameEngine
+ *
+ * The engine keeps only the last few positions and losses; the recorder
+ * keeps a snapshot of every iteration since the landscape was generated (see
+ * GameEngine.snapshot), so the run can be scrubbed back and forth. Seeking
+ * restores the engine to that iteration, so everything drawn from the
+ * engine's state follows. Stepping the engine from an earlier iteration forks
+ * the run: the recorded iterations after it are dropped and the new ones
+ * recorded in their place.
+ */
+
+export class HistoryRecorder {
+  #engine;
+  #frames = [];
+  #state = { length: 0, iteration: 0, live: true };
+  #listeners = new Set();
+  #unsubscribe;
+
+  /**
+   * @param {GameEngine} engine - Engine to record
+   */
+  constructor(engine) {
+    this.#engine = engine;
+
+    const offReset = engine.on('reset', () => this.#restart());
+    const offStep = engine.on('step', state => this.#record(state));
+    const offRestore = engine.on('restore', state => this.#update(state.iteration));
+    this.#unsubscribe = () => {
+      offReset();
+      offStep();
+      offRestore();
+    };
+
+    this.#restart();
+  }
+
+  /**
+   * Recording summary; a new object whenever it changes
+   *
+   * @returns {Object} - { length: recorded iterations (0 to length - 1), iteration: the engine's,
+   *   live: whether the engine is at the last recorded iteration }
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Every recorded snapshot, indexed by iteration (treat as read-only)
+   *
+   * @returns {Array} - Snapshots (see GameEngine.snapshot)
+   */
+  getFrames() {
+    return this.#frames;
+  }
+
+  /**
+   * Replaces the recording, e.g. with one loaded from a session file
+   * The engine must be on the landscape it was recorded on
+   *
+   * @param {Array} frames - Snapshots of consecutive iterations from 0 (see GameEngine.snapshot)
+   */
+  load(frames) {
+    this.#frames = [...frames];
+    this.#update(this.#engine.getState().iteration);
+  }
+
+  /**
+   * Returns the engine to a recorded iteration
+   *
+   * @param {number} iteration - Iteration, clamped to the recording
+   * @returns {Object} - The engine's new state
+   */
+  seek(iteration) {
+    if (this.#frames.length === 0) return this.#engine.getState();
+    const index = Math.min(Math.max(Math.round(iteration), 0), this.#frames.length - 1);
+    if (index === this.#engine.getState().iteration) return this.#engine.getState();
+    return this.#engine.restore(this.#frames, index);
+  }
+
+  /**
+   * Goes back one iteration
+   *
+   * @returns {Object} - The engine's new state
+   */
+  stepBack() {
+    return this.seek(this.#engine.getState().iteration - 1);
+  }
+
+  /**
+   * Goes forward one iteration: replays the recording, or simulates a new
+   * iteration at the end of it
+   *
+   * @returns {Object} - The engine's new state
+   */
+  stepForward() {
+    const { iteration } = this.#engine.getState();
+    return iteration < this.#frames.length - 1 ? this.seek(iteration + 1) : this.#engine.step();
+  }
+
+  /**
+   * Subscribes to changes of the recording summary
+   *
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} - Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Stops recording the engine
+   */
+  dispose() {
+    this.#unsubscribe();
+    this.#frames = [];
+    this.#listeners.clear();
+  }
+
+  // A new landscape starts a new recording at iteration 0
+  #restart() {
+    const snapshot = this.#engine.snapshot();
+    this.#frames = snapshot ? [snapshot] : [];
+    this.#update(0);
+  }
+
+  #record(state) {
+    // A step from an earlier iteration forks the run there
+    if (this.#frames.length > state.iteration) {
+      this.#frames.length = state.iteration;
+    }
+    this.#frames.push(this.#engine.snapshot());
+    this.#update(state.iteration);
+  }
+
+  #update(iteration) {
+    const length = this.#frames.length;
+    this.#state = { length, iteration, live: iteration >= length - 1 };
+    for (const listener of [...this.#listeners]) {
+      try {
+        listener(this.#state);
+      } catch (error) {
+        console.error("Error in HistoryRecorder listener:", error);
+      }
+    }
+  }
+}
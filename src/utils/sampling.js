@@ -0,0 +1,211 @@
+/**
+ * Sampling of loss values and gradients at fractional grid positions
+ *
+ * A sampler reads the landscape at any point (x = column, y = row), not just at
+ * cell corners. Gradients are expressed per grid cell, the same units as the
+ * central differences in calculateGradient.
+ * - nearest: the value and central-difference gradient of the cell the point lies in
+ *   (the original behaviour; gradients jump from cell to cell)
+ * - bilinear: bilinear interpolation of the values and of the cell gradients
+ * - bicubic: Catmull-Rom interpolation, whose gradient is the exact derivative
+ *   of the interpolating surface (continuous across cells)
+ * - analytic: the formula itself, with its exact gradient (formula landscapes only)
+ */
+
+export const SAMPLING_MODES = [
+  {
+    id: 'nearest',
+    name: 'Nearest cell',
+    description: 'Loss and gradient of the cell a player is in. Gradients jump at cell borders and vanish on flat cells.'
+  },
+  {
+    id: 'bilinear',
+    name: 'Bilinear',
+    description: 'Blends the four surrounding cells, so the gradient changes continuously.'
+  },
+  {
+    id: 'bicubic',
+    name: 'Bicubic',
+    description: 'Catmull-Rom surface through the 4×4 surrounding cells, with its exact (smooth) gradient.'
+  },
+  {
+    id: 'analytic',
+    name: 'Analytic (formula)',
+    description: 'Evaluates the formula and its exact gradient. Grids without a formula fall back to bicubic.'
+  }
+];
+
+export const DEFAULT_SAMPLING_MODE = 'analytic';
+
+// Used in place of 'analytic' when the landscape has no formula
+const FALLBACK_SAMPLING_MODE = 'bicubic';
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Central-difference gradient at a cell, with indices clamped to the interior
+ */
+const cellGradient = (grid, row, col) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const i = clamp(row, 1, rows - 2);
+  const j = clamp(col, 1, cols - 2);
+  return {
+    dx: (grid[i][j + 1] - grid[i][j - 1]) / 2,
+    dy: (grid[i + 1][j] - grid[i - 1][j]) / 2
+  };
+};
+
+/**
+ * Catmull-Rom weights for the four samples around t ∈ [0, 1], and their derivatives
+ */
+const cubicWeights = (t) => {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return {
+    weights: [
+      -0.5 * t3 + t2 - 0.5 * t,
+      1.5 * t3 - 2.5 * t2 + 1,
+      -1.5 * t3 + 2 * t2 + 0.5 * t,
+      0.5 * t3 - 0.5 * t2
+    ],
+    slopes: [
+      -1.5 * t2 + 2 * t - 0.5,
+      4.5 * t2 - 5 * t,
+      -4.5 * t2 + 4 * t + 0.5,
+      1.5 * t2 - t
+    ]
+  };
+};
+
+const nearestSampler = (grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const cell = (x, y) => ({
+    row: clamp(Math.floor(y), 0, rows - 1),
+    col: clamp(Math.floor(x), 0, cols - 1)
+  });
+
+  return {
+    value: (x, y) => {
+      const { row, col } = cell(x, y);
+      return grid[row][col];
+    },
+    gradient: (x, y) => {
+      const { row, col } = cell(x, y);
+      return cellGradient(grid, row, col);
+    }
+  };
+};
+
+const bilinearSampler = (grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  // Corner indices and weights around a point
+  const locate = (x, y) => {
+    const px = clamp(x, 0, cols - 1);
+    const py = clamp(y, 0, rows - 1);
+    const col = Math.min(Math.floor(px), cols - 2);
+    const row = Math.min(Math.floor(py), rows - 2);
+    return { row, col, tx: px - col, ty: py - row };
+  };
+
+  const blend = (a, b, c, d, tx, ty) =>
+    (a * (1 - tx) + b * tx) * (1 - ty) + (c * (1 - tx) + d * tx) * ty;
+
+  return {
+    value: (x, y) => {
+      const { row, col, tx, ty } = locate(x, y);
+      return blend(
+        grid[row][col], grid[row][col + 1],
+        grid[row + 1][col], grid[row + 1][col + 1],
+        tx, ty
+      );
+    },
+    gradient: (x, y) => {
+      const { row, col, tx, ty } = locate(x, y);
+      const g00 = cellGradient(grid, row, col);
+      const g01 = cellGradient(grid, row, col + 1);
+      const g10 = cellGradient(grid, row + 1, col);
+      const g11 = cellGradient(grid, row + 1, col + 1);
+      return {
+        dx: blend(g00.dx, g01.dx, g10.dx, g11.dx, tx, ty),
+        dy: blend(g00.dy, g01.dy, g10.dy, g11.dy, tx, ty)
+      };
+    }
+  };
+};
+
+const bicubicSampler = (grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+
+  // Value and partial derivatives of the Catmull-Rom surface at a point
+  const evaluate = (x, y) => {
+    const px = clamp(x, 0, cols - 1);
+    const py = clamp(y, 0, rows - 1);
+    const col = Math.min(Math.floor(px), cols - 2);
+    const row = Math.min(Math.floor(py), rows - 2);
+    const wx = cubicWeights(px - col);
+    const wy = cubicWeights(py - row);
+
+    let value = 0;
+    let dx = 0;
+    let dy = 0;
+    for (let m = 0; m < 4; m++) {
+      const sampleRow = grid[clamp(row - 1 + m, 0, rows - 1)];
+      for (let n = 0; n < 4; n++) {
+        const sample = sampleRow[clamp(col - 1 + n, 0, cols - 1)];
+        value += wy.weights[m] * wx.weights[n] * sample;
+        dx += wy.weights[m] * wx.slopes[n] * sample;
+        dy += wy.slopes[m] * wx.weights[n] * sample;
+      }
+    }
+    return { value, dx, dy };
+  };
+
+  return {
+    value: (x, y) => evaluate(x, y).value,
+    gradient: (x, y) => {
+      const { dx, dy } = evaluate(x, y);
+      return { dx, dy };
+    }
+  };
+};
+
+/**
+ * Resolves the sampling mode actually used for a landscape
+ *
+ * @param {string} mode - Requested sampling mode
+ * @param {boolean} hasFormula - Whether the landscape has an analytic formula
+ * @returns {string} - Sampling mode id
+ */
+export const resolveSamplingMode = (mode, hasFormula) => {
+  if (mode === 'analytic' && !hasFormula) return FALLBACK_SAMPLING_MODE;
+  return SAMPLING_MODES.some(option => option.id === mode) ? mode : FALLBACK_SAMPLING_MODE;
+};
+
+/**
+ * Creates a sampler for a loss grid
+ *
+ * @param {Array} grid - 2D array of loss values
+ * @param {string} mode - Sampling mode (see SAMPLING_MODES)
+ * @param {Object|null} analyticField - Exact field from createAnalyticField, if the landscape has a formula
+ * @returns {Object} - { mode, value(x, y), gradient(x, y) => {dx, dy} }
+ */
+export const createSampler = (grid, mode = DEFAULT_SAMPLING_MODE, analyticField = null) => {
+  const resolved = resolveSamplingMode(mode, Boolean(analyticField));
+
+  switch (resolved) {
+    case 'analytic':
+      return { mode: resolved, ...analyticField };
+    case 'bilinear':
+      return { mode: resolved, ...bilinearSampler(grid) };
+    case 'bicubic':
+      return { mode: resolved, ...bicubicSampler(grid) };
+    case 'nearest':
+    default:
+      return { mode: 'nearest', ...nearestSampler(grid) };
+  }
+};
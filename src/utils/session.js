@@ -0,0 +1,198 @@
+import { CUSTOM_LANDSCAPE, IMPORTED_LANDSCAPE, IMPORT_NORMALIZATIONS } from './landscapes.js';
+import { createDefaultSettings, GRID_RESOLUTIONS } from './gameEngine.js';
+import { GAME_MODES } from './gameUtils.js';
+import { parseExpression } from './expression.js';
+import { validateMatrix } from './importers.js';
+
+/**
+ * Session files: a complete run as a self-contained, versioned JSON replay
+ *
+ * A session holds the engine settings (seed, canvas size and every control
+ * that shapes the game), the definition of the landscape (the formula, or the
+ * imported matrix) rather than the generated grid, the view settings, and
+ * every recorded iteration (see HistoryRecorder). Landscapes are generated
+ * deterministically from their definition, so loading a session rebuilds the
+ * same grid and the recorded iterations can be scrubbed and resumed exactly
+ * as they were saved.
+ */
+
+export const SESSION_FORMAT = 'minmax-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * Error raised for files that cannot be read as a session
+ */
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+/**
+ * Builds a session from the engine's settings and recording
+ *
+ * @param {Object} options - { settings: engine settings, grid: the current grid, view: UI-only settings,
+ *   frames: recorded snapshots (see HistoryRecorder.getFrames), iteration: the one being shown }
+ * @returns {Object} - Session, ready for JSON.stringify
+ */
+export const createSession = ({ settings, grid, view, frames, iteration }) => {
+  const { customLandscape, importedLandscape, ...rest } = settings;
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    settings: rest,
+    landscape: {
+      id: settings.landscape,
+      custom: settings.landscape === CUSTOM_LANDSCAPE ? customLandscape : null,
+      imported: settings.landscape === IMPORTED_LANDSCAPE ? importedLandscape : null,
+      rows: grid.length,
+      cols: grid[0].length
+    },
+    view,
+    replay: { iteration, frames }
+  };
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPoint = point => Boolean(point) && isNumber(point.x) && isNumber(point.y);
+const isPointList = points => Array.isArray(points) && points.length > 0 && points.every(isPoint);
+const isNumberList = values => Array.isArray(values) && values.every(isNumber);
+
+// A formula checked as the formula editor checks it before applying
+const checkCustomLandscape = (custom) => {
+  if (!custom || typeof custom.expression !== 'string' || !custom.domain) {
+    throw new SessionError('Session uses a custom formula but does not define it');
+  }
+  try {
+    parseExpression(custom.expression);
+  } catch (error) {
+    throw new SessionError(`Session formula is invalid: ${error.message}`);
+  }
+  const { xMin, xMax, yMin, yMax } = custom.domain;
+  if (![xMin, xMax, yMin, yMax].every(isNumber) || xMin >= xMax || yMin >= yMax) {
+    throw new SessionError('Session formula has an invalid domain');
+  }
+};
+
+// An imported matrix checked as a fresh import is
+const checkImportedLandscape = (imported) => {
+  if (!Array.isArray(imported?.matrix)) {
+    throw new SessionError('Session uses an imported landscape but does not include it');
+  }
+  try {
+    validateMatrix(imported.matrix);
+  } catch (error) {
+    throw new SessionError(`Session's imported landscape is invalid: ${error.message}`);
+  }
+  if (imported.normalization !== undefined && !IMPORT_NORMALIZATIONS.some(mode => mode.id === imported.normalization)) {
+    throw new SessionError(`Session's imported landscape has an unknown normalization '${imported.normalization}'`);
+  }
+};
+
+// Everything GameEngine.restore reads from a snapshot
+const isSnapshot = (frame, iteration) =>
+  Boolean(frame) &&
+  frame.iteration === iteration &&
+  isPoint(frame.defender) &&
+  isPoint(frame.adversary) &&
+  isPointList(frame.defenders) &&
+  isPointList(frame.adversaries) &&
+  (frame.target === null || frame.target === undefined || isPoint(frame.target)) &&
+  isNumber(frame.defenderLoss) &&
+  isNumber(frame.adversaryLoss) &&
+  isNumberList(frame.defenderLosses) &&
+  isNumberList(frame.adversaryLosses) &&
+  Number.isInteger(frame.rngState) &&
+  typeof frame.optimizerState === 'object' && frame.optimizerState !== null;
+
+/**
+ * Reads and validates a session file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - { settings (engine settings, with customLandscape and importedLandscape
+ *   when the session uses them), landscape, view, replay }
+ * @throws {SessionError} - When the file is not a session this version can load
+ */
+export const parseSession = (text) => {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new SessionError('Not a JSON file');
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new SessionError('Not a session file');
+  }
+  if (!Number.isInteger(session.version) || session.version > SESSION_VERSION) {
+    throw new SessionError(`Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`);
+  }
+
+  const { settings, landscape, view, replay } = session;
+  if (!settings || !landscape || !replay || !Array.isArray(replay.frames) || replay.frames.length === 0) {
+    throw new SessionError('Session is incomplete');
+  }
+  if (!(settings.width > 0) || !(settings.height > 0) || settings.seed === undefined) {
+    throw new SessionError('Session has no canvas size or seed');
+  }
+  if (settings.resolution !== undefined && !GRID_RESOLUTIONS.includes(settings.resolution)) {
+    throw new SessionError(`Session has an unknown grid resolution ${settings.resolution}`);
+  }
+  if (settings.gameMode !== undefined && !GAME_MODES.some(mode => mode.id === settings.gameMode)) {
+    throw new SessionError(`Session has an unknown game mode '${settings.gameMode}'`);
+  }
+  if (landscape.id === CUSTOM_LANDSCAPE) {
+    checkCustomLandscape(landscape.custom);
+  }
+  if (landscape.id === IMPORTED_LANDSCAPE) {
+    checkImportedLandscape(landscape.imported);
+  }
+
+  // Snapshots are indexed by iteration
+  replay.frames.forEach((frame, k) => {
+    if (!isSnapshot(frame, k)) {
+      throw new SessionError(`Recorded iteration ${k} is missing, out of order or incomplete`);
+    }
+  });
+  const iteration = Number.isInteger(replay.iteration)
+    ? Math.min(Math.max(replay.iteration, 0), replay.frames.length - 1)
+    : replay.frames.length - 1;
+
+  return {
+    settings: {
+      ...createDefaultSettings(),
+      ...settings,
+      landscape: landscape.id,
+      ...(landscape.custom && { customLandscape: landscape.custom }),
+      ...(landscape.imported && { importedLandscape: landscape.imported })
+    },
+    landscape,
+    view: view || {},
+    replay: { iteration, frames: replay.frames }
+  };
+};
+
+/**
+ * Whether the engine has rebuilt the landscape a session was recorded on:
+ * same grid size, starting positions and random stream (losses may differ, as
+ * strengths can have changed since iteration 0)
+ *
+ * @param {Object} session - From parseSession
+ * @param {GameEngine} engine - Engine at iteration 0 of the regenerated landscape
+ * @returns {boolean} - True if the recording applies to the engine's landscape
+ */
+export const matchesSession = ({ landscape, replay }, engine) => {
+  const { grid } = engine.getState();
+  if (!grid || grid.length !== landscape.rows || grid[0].length !== landscape.cols) return false;
+
+  const [recorded] = replay.frames;
+  const current = engine.snapshot();
+  const same = (a, b) => a.x === b.x && a.y === b.y;
+  return current.iteration === 0 &&
+    same(recorded.defender, current.defender) &&
+    same(recorded.adversary, current.adversary) &&
+    recorded.rngState === current.rngState;
+};
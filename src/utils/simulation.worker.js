@@ -0,0 +1,60 @@
+import { SIMULATION_JOBS } from './simulationJobs.js';
+
+/**
+ * Web Worker behind SimulationWorker
+ *
+ * Messages in:
+ * - { id, type, payload }: run the job `type` (see SIMULATION_JOBS)
+ * - { id, type: 'cancel' }: cancel that job
+ * Messages out: { id, type: 'progress', value } (0-1), { id, type: 'result', result },
+ * { id, type: 'cancelled' } and { id, type: 'error', message }.
+ *
+ * A job starts on the next task rather than on arrival, so a cancel that
+ * follows its request closely (e.g. a resize superseding a landscape) skips it.
+ */
+
+const controllers = new Map();
+
+const runJob = async (id, type, payload) => {
+  const controller = controllers.get(id);
+
+  try {
+    if (controller.signal.aborted) {
+      self.postMessage({ id, type: 'cancelled' });
+      return;
+    }
+
+    const { result, transfer } = await SIMULATION_JOBS[type](payload, {
+      signal: controller.signal,
+      onProgress: value => self.postMessage({ id, type: 'progress', value })
+    });
+
+    if (controller.signal.aborted || result === null) {
+      self.postMessage({ id, type: 'cancelled' });
+    } else {
+      self.postMessage({ id, type: 'result', result }, transfer);
+    }
+  } catch (error) {
+    console.error(`Error in simulation job '${type}':`, error);
+    self.postMessage({ id, type: 'error', message: error.message });
+  } finally {
+    controllers.delete(id);
+  }
+};
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+
+  if (type === 'cancel') {
+    controllers.get(id)?.abort();
+    return;
+  }
+
+  if (!SIMULATION_JOBS[type]) {
+    self.postMessage({ id, type: 'error', message: `Unknown simulation job '${type}'` });
+    return;
+  }
+
+  controllers.set(id, new AbortController());
+  setTimeout(() => runJob(id, type, payload), 0);
+};
@@ -0,0 +1,93 @@
+import { resolveLandscape, generatePresetLandscape, createAnalyticField } from './landscapes.js';
+import { generateGradientField } from './gameUtils.js';
+import { generateContours, packContour } from './contours.js';
+import { findCriticalPoints } from './criticalPoints.js';
+import { runSweep } from './sweep.js';
+import { createRng } from './random.js';
+import { packGrid, unpackGrid } from './grid.js';
+
+/**
+ * The heavy lifting behind SimulationWorker
+ *
+ * Each job takes a structured-cloneable payload and returns { result, transfer },
+ * where transfer lists the ArrayBuffers to move (rather than copy) to the
+ * caller. The jobs run inside simulation.worker.js, or on the main thread
+ * where Web Workers are unavailable.
+ */
+
+// Values per gradient arrow in the packed gradient field: x, y, dx, dy, magnitude
+export const GRADIENT_FIELD_STRIDE = 5;
+
+/**
+ * Generates the landscape grid for a set of engine settings
+ * The random stream's state afterwards lets the engine continue it (see restoreRng)
+ *
+ * @param {Object} payload - { settings } (see createDefaultSettings)
+ * @returns {Object} - { result: { data: Float32Array, rows, cols, rngState }, transfer }
+ */
+const landscape = ({ settings }) => {
+  const { width, height, resolution, seed, landscape: id, customLandscape, importedLandscape } = settings;
+  const rng = createRng(seed);
+  const preset = resolveLandscape(id, { custom: customLandscape, imported: importedLandscape });
+  const { data, rows, cols } = packGrid(generatePresetLandscape(preset, width, height, resolution, rng));
+
+  return {
+    result: { data, rows, cols, rngState: rng.getState() },
+    transfer: [data.buffer]
+  };
+};
+
+/**
+ * Static layers drawn over a landscape
+ * Contour polylines are packed per level (see packContour) and gradient
+ * arrows as GRADIENT_FIELD_STRIDE values each. Critical points of formula
+ * landscapes are checked against the formula itself (see findCriticalPoints).
+ *
+ * @param {Object} payload - { data: Float32Array, rows, cols, contourLevels, contourSmoothing, gradientSpacing,
+ *   formula: { id, custom } identifying a formula landscape (see resolveLandscape), or null }
+ * @returns {Object} - { result: { contours: [{ level, points, starts }], gradientField: Float32Array,
+ *   criticalPoints }, transfer }
+ */
+const layers = ({ data, rows, cols, contourLevels, contourSmoothing, gradientSpacing, formula = null }) => {
+  const grid = unpackGrid(data, rows, cols);
+  const analyticField = formula
+    ? createAnalyticField(resolveLandscape(formula.id, { custom: formula.custom }), rows, cols)
+    : null;
+
+  const contours = generateContours(grid, contourLevels, { smoothing: contourSmoothing }).map(packContour);
+
+  const arrows = generateGradientField(grid, gradientSpacing);
+  const gradientField = new Float32Array(arrows.length * GRADIENT_FIELD_STRIDE);
+  arrows.forEach(({ x, y, dx, dy, magnitude }, k) => {
+    gradientField.set([x, y, dx, dy, magnitude], k * GRADIENT_FIELD_STRIDE);
+  });
+
+  return {
+    result: { contours, gradientField, criticalPoints: findCriticalPoints(grid, { analyticField }) },
+    transfer: [
+      ...contours.flatMap(contour => [contour.points.buffer, contour.starts.buffer]),
+      gradientField.buffer
+    ]
+  };
+};
+
+/**
+ * Attack × defense parameter sweep (see runSweep)
+ * The settings are not sent back; the caller still has them
+ *
+ * @param {Object} payload - { settings, config }
+ * @param {Object} options - { onProgress(fraction), signal }
+ * @returns {Promise<Object>} - { result: sweep without settings, or null when cancelled, transfer }
+ */
+const sweep = async ({ settings, config }, { onProgress, signal }) => {
+  const outcome = await runSweep(settings, config, {
+    signal,
+    onProgress: (done, total) => onProgress(done / total)
+  });
+  if (!outcome) return { result: null, transfer: [] };
+
+  const { attackValues, defenseValues, seeds, steps, cells } = outcome;
+  return { result: { attackValues, defenseValues, seeds, steps, cells }, transfer: [] };
+};
+
+export const SIMULATION_JOBS = { landscape, layers, sweep };
@@ -0,0 +1,213 @@
+import { SIMULATION_JOBS } from './simulationJobs.js';
+import { packGrid, unpackGrid } from './grid.js';
+
+/**
+ * Main-thread client of the simulation Web Worker
+ *
+ * Landscape generation, contour and gradient-field extraction and parameter
+ * sweeps run in simulation.worker.js, so the page keeps responding while they
+ * work. Grids and layers travel as transferable typed arrays (see grid.js).
+ * Every job is a promise that resolves to null when cancelled through its
+ * AbortSignal. Where Web Workers are unavailable the same jobs run on the
+ * main thread instead.
+ *
+ * getStatus() lists the jobs in flight, for a progress indicator.
+ */
+
+const JOB_LABELS = {
+  landscape: 'Generating landscape',
+  layers: 'Tracing contours and gradients',
+  sweep: 'Running sweep'
+};
+
+export class SimulationWorker {
+  #worker = null;
+  #unavailable = false;
+  #nextId = 1;
+  #jobs = new Map();
+  #status = { busy: false, tasks: [] };
+  #listeners = new Set();
+
+  /**
+   * Generates the landscape grid for a set of engine settings
+   * (usable as GameEngine's generateLandscape option)
+   *
+   * @param {Object} settings - Engine settings (see createDefaultSettings)
+   * @param {AbortSignal} signal - Cancels the job
+   * @returns {Promise<Object|null>} - { grid, rngState }
+   */
+  async generateLandscape(settings, signal) {
+    const result = await this.#request('landscape', { settings }, { signal });
+    return result && {
+      grid: unpackGrid(result.data, result.rows, result.cols),
+      rngState: result.rngState
+    };
+  }
+
+  /**
+   * Contours, gradient arrows and critical points of a landscape
+   * The worker receives its own copy of the grid, so the grid stays usable here
+   *
+   * @param {Array} grid - 2D array of loss values
+   * @param {Object} options - { contourLevels, contourSmoothing, gradientSpacing,
+   *   formula: { id, custom } when the landscape has a formula, so critical points can be checked against it }
+   * @param {AbortSignal} signal - Cancels the job
+   * @returns {Promise<Object|null>} - { contours: [{ level, points, starts }] (see packContour),
+   *   gradientField: Float32Array (see GRADIENT_FIELD_STRIDE), criticalPoints }
+   */
+  computeLayers(grid, { contourLevels, contourSmoothing = false, gradientSpacing, formula = null }, signal) {
+    const { data, rows, cols } = packGrid(grid);
+    const copy = new Float32Array(data);
+    return this.#request(
+      'layers',
+      { data: copy, rows, cols, contourLevels, contourSmoothing, gradientSpacing, formula },
+      { signal, transfer: [copy.buffer] }
+    );
+  }
+
+  /**
+   * Runs an attack × defense sweep (see runSweep in sweep.js)
+   *
+   * @param {Object} settings - Engine settings shared by every run
+   * @param {Object} config - Sweep config (see DEFAULT_SWEEP_CONFIG)
+   * @param {Object} options - { onProgress(fraction), signal }
+   * @returns {Promise<Object|null>} - The sweep, with `settings` being the object passed in
+   */
+  async runSweep(settings, config, { onProgress, signal } = {}) {
+    const result = await this.#request('sweep', { settings, config }, { signal, onProgress });
+    return result && { ...result, settings };
+  }
+
+  /**
+   * Jobs in flight; a new object whenever they change
+   *
+   * @returns {Object} - { busy, tasks: [{ id, label, progress (0-1, or null if unknown) }] }
+   */
+  getStatus() {
+    return this.#status;
+  }
+
+  /**
+   * Subscribes to status changes
+   *
+   * @param {Function} listener - Called with the new status
+   * @returns {Function} - Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Stops the worker; pending jobs resolve to null
+   */
+  terminate() {
+    this.#worker?.terminate();
+    this.#worker = null;
+    for (const id of [...this.#jobs.keys()]) {
+      this.#finish(id, job => job.resolve(null));
+    }
+  }
+
+  // Starts the worker on first use, so instances that are never used cost nothing
+  #getWorker() {
+    if (this.#worker || this.#unavailable) return this.#worker;
+
+    if (typeof Worker === 'undefined') {
+      this.#unavailable = true;
+      return null;
+    }
+
+    try {
+      this.#worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+      this.#worker.onmessage = event => this.#receive(event.data);
+      this.#worker.onerror = event => {
+        console.error("Simulation worker failed, running jobs on the main thread:", event.message);
+        this.#worker.terminate();
+        this.#worker = null;
+        this.#unavailable = true;
+        for (const id of [...this.#jobs.keys()]) {
+          this.#finish(id, job => job.reject(new Error(event.message || 'Simulation worker failed')));
+        }
+      };
+    } catch (error) {
+      console.error("Could not start the simulation worker, running jobs on the main thread:", error);
+      this.#unavailable = true;
+    }
+    return this.#worker;
+  }
+
+  #request(type, payload, { signal, onProgress, transfer = [] } = {}) {
+    if (signal?.aborted) return Promise.resolve(null);
+
+    const id = this.#nextId++;
+    const worker = this.#getWorker();
+
+    return new Promise((resolve, reject) => {
+      this.#jobs.set(id, { type, resolve, reject, onProgress, progress: null });
+      this.#updateStatus();
+
+      signal?.addEventListener('abort', () => {
+        if (!this.#jobs.has(id)) return;
+        this.#worker?.postMessage({ id, type: 'cancel' });
+        this.#finish(id, job => job.resolve(null));
+      }, { once: true });
+
+      if (worker) {
+        worker.postMessage({ id, type, payload }, transfer);
+      } else {
+        this.#runHere(id, type, payload, signal);
+      }
+    });
+  }
+
+  // Fallback without a worker: the same job, on this thread
+  async #runHere(id, type, payload, signal) {
+    try {
+      const { result } = await SIMULATION_JOBS[type](payload, {
+        signal,
+        onProgress: value => this.#receive({ id, type: 'progress', value })
+      });
+      this.#receive({ id, type: 'result', result });
+    } catch (error) {
+      this.#finish(id, job => job.reject(error));
+    }
+  }
+
+  #receive({ id, type, value, result, message }) {
+    const job = this.#jobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      job.progress = value;
+      job.onProgress?.(value);
+      this.#updateStatus();
+    } else if (type === 'error') {
+      this.#finish(id, job => job.reject(new Error(message)));
+    } else {
+      this.#finish(id, job => job.resolve(type === 'result' ? result : null));
+    }
+  }
+
+  #finish(id, settle) {
+    const job = this.#jobs.get(id);
+    if (!job) return;
+    this.#jobs.delete(id);
+    settle(job);
+    this.#updateStatus();
+  }
+
+  #updateStatus() {
+    this.#status = {
+      busy: this.#jobs.size > 0,
+      tasks: [...this.#jobs].map(([id, job]) => ({ id, label: JOB_LABELS[job.type], progress: job.progress }))
+    };
+    for (const listener of [...this.#listeners]) {
+      try {
+        listener(this.#status);
+      } catch (error) {
+        console.error("Error in SimulationWorker listener:", error);
+      }
+    }
+  }
+}
@@ -0,0 +1,248 @@
+import { getLossRgb } from './gameUtils.js';
+
+/**
+ * Software 3D projection of the loss landscape
+ *
+ * The grid becomes a height field over the unit square (the longer side spans
+ * 1), rotated about the vertical axis (yaw), tilted towards the viewer (pitch)
+ * and drawn with a mild perspective. The surface is painted with the
+ * painter's algorithm: its quads are sorted far to near and filled in that
+ * order, so no depth buffer is needed. Contour lines lie on a floor plane
+ * below the surface.
+ */
+
+export const DEFAULT_CAMERA = { yaw: -0.6, pitch: 0.65, zoom: 1 };
+
+// Camera limits: from level with the floor to straight down, and how far the wheel zooms
+export const PITCH_RANGE = [0.05, Math.PI / 2];
+export const ZOOM_RANGE = [0.5, 4];
+
+// Height of a loss of 1 and depth of the floor, in units of the grid's longer side
+const HEIGHT_SCALE = 0.35;
+const FLOOR_Z = -0.25;
+
+// Height marker for points on the floor plane
+export const FLOOR = Symbol('floor');
+
+// Distance from the viewer to the centre of the scene; smaller exaggerates the perspective
+const VIEW_DISTANCE = 4;
+
+// The surface has at most this many quads along its longer side
+const MAX_MESH_CELLS = 80;
+
+// Direction the surface is lit from (world coordinates, normalized below)
+const LIGHT = [-0.4, -0.5, 0.8];
+const LIGHT_NORM = Math.hypot(...LIGHT);
+
+/**
+ * Maps grid points and heights to canvas positions for one camera
+ *
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @param {Object} camera - { yaw, pitch (radians), zoom }
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Function} - (x, y, z) → { x, y, depth }, with x and y in grid cells, z the loss
+ *   (or FLOOR for the floor plane) and depth growing towards the viewer
+ */
+export const createProjection = (rows, cols, { yaw, pitch, zoom }, width, height) => {
+  const span = Math.max(rows, cols, 2) - 1;
+  const scale = zoom * Math.min(width / 1.5, height / 1.2);
+  const centerZ = (FLOOR_Z + HEIGHT_SCALE) / 2;
+  const cosYaw = Math.cos(yaw);
+  const sinYaw = Math.sin(yaw);
+  const cosPitch = Math.cos(pitch);
+  const sinPitch = Math.sin(pitch);
+
+  return (x, y, z) => {
+    const wx = (x - (cols - 1) / 2) / span;
+    const wy = (y - (rows - 1) / 2) / span;
+    const wz = (z === FLOOR ? FLOOR_Z : z * HEIGHT_SCALE) - centerZ;
+
+    const rx = wx * cosYaw - wy * sinYaw;
+    const ry = wx * sinYaw + wy * cosYaw;
+    const depth = ry * cosPitch + wz * sinPitch;
+    const perspective = VIEW_DISTANCE / (VIEW_DISTANCE - depth);
+
+    return {
+      x: width / 2 + rx * perspective * scale,
+      y: height / 2 + (ry * sinPitch - wz * cosPitch) * perspective * scale,
+      depth
+    };
+  };
+};
+
+/**
+ * Downsampled surface with a shaded colour per quad; depends only on the grid,
+ * so it is built once per landscape and reprojected for every camera
+ *
+ * @param {Array} grid - 2D array of loss values in [0, 1]
+ * @returns {Object} - { rows, cols, xs, ys (grid coordinates of the mesh columns and rows),
+ *   values: Float32Array (row-major, one per mesh vertex), colors (one per quad) }
+ */
+export const createSurfaceMesh = (grid) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const step = Math.max(1, Math.ceil(Math.max(rows, cols) / MAX_MESH_CELLS));
+
+  const along = (count) => {
+    const positions = [];
+    for (let k = 0; k < count - 1; k += step) positions.push(k);
+    positions.push(count - 1);
+    return positions;
+  };
+  const xs = along(cols);
+  const ys = along(rows);
+
+  const values = new Float32Array(xs.length * ys.length);
+  ys.forEach((y, i) => xs.forEach((x, j) => {
+    values[i * xs.length + j] = grid[y][x];
+  }));
+
+  // Lambert shading from each quad's normal, on top of the usual loss colours
+  const span = Math.max(rows, cols, 2) - 1;
+  const colors = [];
+  for (let i = 0; i + 1 < ys.length; i++) {
+    for (let j = 0; j + 1 < xs.length; j++) {
+      const topLeft = values[i * xs.length + j];
+      const topRight = values[i * xs.length + j + 1];
+      const bottomLeft = values[(i + 1) * xs.length + j];
+      const bottomRight = values[(i + 1) * xs.length + j + 1];
+
+      const dzdx = ((topRight + bottomRight) - (topLeft + bottomLeft)) / 2 * HEIGHT_SCALE / ((xs[j + 1] - xs[j]) / span);
+      const dzdy = ((bottomLeft + bottomRight) - (topLeft + topRight)) / 2 * HEIGHT_SCALE / ((ys[i + 1] - ys[i]) / span);
+      const light = (-dzdx * LIGHT[0] - dzdy * LIGHT[1] + LIGHT[2]) / (Math.hypot(dzdx, dzdy, 1) * LIGHT_NORM);
+      const shade = 0.55 + 0.45 * Math.max(0, light);
+
+      const { r, g, b } = getLossRgb((topLeft + topRight + bottomLeft + bottomRight) / 4);
+      colors.push(`rgb(${Math.round(r * shade)}, ${Math.round(g * shade)}, ${Math.round(b * shade)})`);
+    }
+  }
+
+  return { rows, cols, xs, ys, values, colors };
+};
+
+/**
+ * Paints the floor with its contour lines, then the surface over it
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} mesh - From createSurfaceMesh
+ * @param {Array} contours - [{ level, points, starts }] (see packContour)
+ * @param {Function} project - From createProjection for the same grid
+ */
+export const drawSurface = (ctx, { rows, cols, xs, ys, values, colors }, contours, project) => {
+  // Floor outline and contours
+  const corners = [[0, 0], [cols - 1, 0], [cols - 1, rows - 1], [0, rows - 1]].map(([x, y]) => project(x, y, FLOOR));
+  ctx.beginPath();
+  corners.forEach((corner, k) => k === 0 ? ctx.moveTo(corner.x, corner.y) : ctx.lineTo(corner.x, corner.y));
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(17, 24, 39, 0.8)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  ctx.lineWidth = 1;
+  for (const { level, points, starts } of contours) {
+    const { r, g, b } = getLossRgb(level);
+    ctx.beginPath();
+    for (let k = 0; k + 1 < starts.length; k++) {
+      for (let p = starts[k]; p < starts[k + 1]; p++) {
+        const point = project(points[2 * p], points[2 * p + 1], FLOOR);
+        if (p === starts[k]) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      }
+    }
+    ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.7)`;
+    ctx.stroke();
+  }
+
+  // Surface quads, far to near
+  const vertices = [];
+  for (let i = 0; i < ys.length; i++) {
+    for (let j = 0; j < xs.length; j++) {
+      vertices.push(project(xs[j], ys[i], values[i * xs.length + j]));
+    }
+  }
+
+  const quads = [];
+  for (let i = 0; i + 1 < ys.length; i++) {
+    for (let j = 0; j + 1 < xs.length; j++) {
+      const k = i * xs.length + j;
+      const corners = [vertices[k], vertices[k + 1], vertices[k + xs.length + 1], vertices[k + xs.length]];
+      quads.push({
+        corners,
+        color: colors[i * (xs.length - 1) + j],
+        depth: (corners[0].depth + corners[1].depth + corners[2].depth + corners[3].depth) / 4
+      });
+    }
+  }
+  quads.sort((a, b) => a.depth - b.depth);
+
+  // Stroking each quad in its own colour hides the hairline seams between neighbours
+  ctx.lineWidth = 0.75;
+  ctx.lineJoin = 'round';
+  for (const { corners, color } of quads) {
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    ctx.lineTo(corners[1].x, corners[1].y);
+    ctx.lineTo(corners[2].x, corners[2].y);
+    ctx.lineTo(corners[3].x, corners[3].y);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.fill();
+    ctx.stroke();
+  }
+};
+
+/**
+ * Draws a trajectory as a polyline on the surface, with a marker at its end
+ * dropped to the floor so its position can be read against the contours
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Array} points - Trajectory points {x, y} in grid cells, oldest first
+ * @param {Object} current - Current position {x, y}
+ * @param {Function} valueAt - (point) → loss at that point
+ * @param {Function} project - From createProjection
+ * @param {string} rgb - Colour as 'r, g, b'
+ * @param {Object} options - { radius: marker radius, alpha: trail opacity }
+ */
+export const drawTrajectory3d = (ctx, points, current, valueAt, project, rgb, { radius = 6, alpha = 0.8 } = {}) => {
+  if (points.length > 1) {
+    ctx.beginPath();
+    points.forEach((point, k) => {
+      const { x, y } = project(point.x, point.y, valueAt(point));
+      if (k === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.strokeStyle = `rgba(${rgb}, ${alpha})`;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  const top = project(current.x, current.y, valueAt(current));
+  const floor = project(current.x, current.y, FLOOR);
+
+  ctx.beginPath();
+  ctx.setLineDash([3, 3]);
+  ctx.moveTo(top.x, top.y);
+  ctx.lineTo(floor.x, floor.y);
+  ctx.strokeStyle = `rgba(${rgb}, 0.6)`;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.beginPath();
+  ctx.arc(floor.x, floor.y, 2.5, 0, Math.PI * 2);
+  ctx.fillStyle = `rgba(${rgb}, 0.6)`;
+  ctx.fill();
+
+  ctx.beginPath();
+  ctx.arc(top.x, top.y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = `rgb(${rgb})`;
+  ctx.fill();
+  ctx.strokeStyle = 'white';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+};
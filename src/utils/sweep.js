@@ -0,0 +1,183 @@
+import { GameEngine } from './gameEngine.js';
+
+/**
+ * Parameter sweeps over attack × defense strength
+ *
+ * Every cell of the sweep replays the game from scratch for each seed, with
+ * all other settings fixed, and reduces the runs to a few outcome metrics.
+ * Runs use their own engine, so a sweep never disturbs the live simulation.
+ */
+
+// Iterations at the end of a run that are averaged into its final loss,
+// which smooths out the loss oscillation and noise
+const FINAL_LOSS_WINDOW = 50;
+
+// A player has settled once it moves less than this (in grid cells) per iteration
+export const CONVERGENCE_TOLERANCE = 0.01;
+
+// Number of final iterations both players must stay settled for a run to count as converged
+export const CONVERGENCE_WINDOW = 20;
+
+export const SWEEP_METRICS = [
+  {
+    id: 'finalLoss',
+    name: 'Final defender loss',
+    description: 'Defender loss averaged over the last iterations of each run, then over seeds. Lower is better for the defender.',
+    format: (value) => value.toFixed(3)
+  },
+  {
+    id: 'convergenceTime',
+    name: 'Time to convergence',
+    description: `Iteration after which both players move less than ${CONVERGENCE_TOLERANCE} cells per step until the end, averaged over the runs that converged.`,
+    format: (value) => `${Math.round(value)} it.`
+  },
+  {
+    id: 'dominance',
+    name: 'Adversary dominance',
+    description: 'Fraction of runs the adversary wins: its final loss is below the defender\'s (coupled mode: f ends above where it started).',
+    format: (value) => `${Math.round(value * 100)}%`
+  }
+];
+
+export const DEFAULT_SWEEP_CONFIG = {
+  attack: { min: 1, max: 10, step: 1 },
+  defense: { min: 1, max: 10, step: 1 },
+  seeds: 1,
+  steps: 300
+};
+
+/**
+ * Values from min to max (inclusive) in increments of step
+ *
+ * @param {Object} range - { min, max, step }
+ * @returns {Array} - Ascending values
+ */
+export const sweepValues = ({ min, max, step }) => {
+  const values = [];
+  if (!(step > 0) || max < min) return values;
+  // Rounded so fractional steps do not accumulate floating-point error
+  for (let k = 0; min + k * step <= max + 1e-9; k++) {
+    values.push(Math.round((min + k * step) * 1e6) / 1e6);
+  }
+  return values;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Plays one run and measures its outcome
+ *
+ * @param {GameEngine} engine - Engine already configured for the run
+ * @param {number} steps - Iterations to simulate
+ * @returns {Object} - { seed, finalLoss, convergenceIteration (null if not converged), adversaryDominates }
+ */
+const measureRun = (engine, steps) => {
+  let state = engine.reset();
+  const coupled = state.settings.gameMode === 'coupled';
+  const initialLoss = state.defenderLoss;
+  const window = Math.min(FINAL_LOSS_WINDOW, steps) || 1;
+
+  let defenderTotal = 0;
+  let adversaryTotal = 0;
+  let lastUnsettled = 0;
+
+  for (let i = 1; i <= steps; i++) {
+    const previous = state;
+    state = engine.step();
+
+    const moved = Math.max(
+      Math.hypot(state.defender.x - previous.defender.x, state.defender.y - previous.defender.y),
+      Math.hypot(state.adversary.x - previous.adversary.x, state.adversary.y - previous.adversary.y)
+    );
+    if (!(moved < CONVERGENCE_TOLERANCE)) lastUnsettled = i;
+
+    if (i > steps - window) {
+      defenderTotal += state.defenderLoss;
+      adversaryTotal += state.adversaryLoss;
+    }
+  }
+
+  if (steps === 0) {
+    defenderTotal = state.defenderLoss;
+    adversaryTotal = state.adversaryLoss;
+  }
+
+  const finalLoss = defenderTotal / window;
+  const finalAdversaryLoss = adversaryTotal / window;
+
+  const converged = steps > 0 && steps - lastUnsettled >= Math.min(CONVERGENCE_WINDOW, steps);
+
+  return {
+    seed: state.settings.seed,
+    finalLoss,
+    convergenceIteration: converged ? lastUnsettled : null,
+    adversaryDominates: coupled ? finalLoss > initialLoss : finalLoss > finalAdversaryLoss
+  };
+};
+
+/**
+ * Reduces the runs of one cell to the SWEEP_METRICS values
+ */
+const summarizeCell = (attackStrength, defenseStrength, runs) => {
+  const converged = runs.filter(run => run.convergenceIteration !== null);
+  return {
+    attackStrength,
+    defenseStrength,
+    runs,
+    finalLoss: mean(runs.map(run => run.finalLoss)),
+    convergenceTime: converged.length > 0 ? mean(converged.map(run => run.convergenceIteration)) : null,
+    convergedFraction: converged.length / runs.length,
+    dominance: runs.filter(run => run.adversaryDominates).length / runs.length
+  };
+};
+
+/**
+ * Runs the simulation over a grid of attack × defense strengths
+ * Yields to the event loop between runs so the page stays responsive
+ *
+ * @param {Object} baseSettings - Engine settings shared by every run (e.g. engine.getSettings())
+ * @param {Object} config - { attack: range, defense: range, seeds, steps } (see DEFAULT_SWEEP_CONFIG)
+ * @param {Object} options - { onProgress(done, total), signal: AbortSignal to cancel }
+ * @returns {Promise<Object>} - { attackValues, defenseValues, seeds, steps, settings, cells[defenseIndex][attackIndex] },
+ *   or null when cancelled
+ */
+export const runSweep = async (baseSettings, config, { onProgress, signal } = {}) => {
+  const attackValues = sweepValues(config.attack);
+  const defenseValues = sweepValues(config.defense);
+  const seeds = Array.from({ length: Math.max(1, config.seeds) }, (_, k) => baseSettings.seed + k);
+  const total = attackValues.length * defenseValues.length * seeds.length;
+
+  const engine = new GameEngine(baseSettings);
+  const runs = defenseValues.map(() => attackValues.map(() => []));
+  let done = 0;
+
+  // Seed-major order: the landscape is regenerated once per seed change
+  for (const seed of seeds) {
+    engine.configure({ seed });
+    for (let i = 0; i < defenseValues.length; i++) {
+      for (let j = 0; j < attackValues.length; j++) {
+        if (signal?.aborted) return null;
+
+        engine.configure({ attackStrength: attackValues[j], defenseStrength: defenseValues[i] });
+        runs[i][j].push(measureRun(engine, config.steps));
+
+        done++;
+        onProgress?.(done, total);
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  }
+
+  const cells = runs.map((row, i) =>
+    row.map((cellRuns, j) => summarizeCell(attackValues[j], defenseValues[i], cellRuns))
+  );
+
+  return {
+    attackValues,
+    defenseValues,
+    seeds,
+    steps: config.steps,
+    settings: baseSettings,
+    cells
+  };
+};
@@ -0,0 +1,202 @@
+import { optimizerStep, createOptimizerConfig, createOptimizerState } from './optimizers.js';
+
+/**
+ * Game-theoretic update rules
+ *
+ * An update rule decides *where* each player's gradient is evaluated and how
+ * the two players' updates are ordered; the per-player optimizer then turns
+ * that gradient into a step. Both players are written as minimizers of their
+ * own "field": the defender's field is ∇L, the adversary's is -∇L.
+ *
+ * Rules marked coupledOnly need the adversary's field to depend on the
+ * defender's position, which only the coupled game's f(θ, δ) does; in the
+ * independent game each player descends the landscape at its own position.
+ */
+export const UPDATE_RULES = [
+  {
+    id: 'simultaneous',
+    name: 'Simultaneous GDA',
+    shortName: 'Sim-GDA',
+    description: 'Both players step at the same time from the current positions. Cycles on bilinear games.'
+  },
+  {
+    id: 'alternating',
+    name: 'Alternating GDA',
+    shortName: 'Alt-GDA',
+    description: 'The defender steps first; the adversary then responds to the defender\'s new position. Coupled game only: in the independent game the adversary\'s gradient does not depend on the defender, so this would be simultaneous GDA.',
+    coupledOnly: true
+  },
+  {
+    id: 'extragradient',
+    name: 'Extragradient',
+    shortName: 'EG',
+    description: 'Take a look-ahead step, then update from the original point with the gradient found there. Converges on bilinear games.'
+  },
+  {
+    id: 'optimistic',
+    name: 'Optimistic GDA (past extragradient)',
+    shortName: 'OGDA',
+    description: 'Extrapolates with the previous gradient: g̃ = 2gₜ - gₜ₋₁. Needs one gradient per step.'
+  },
+  {
+    id: 'consensus',
+    name: 'Consensus Optimization',
+    shortName: 'CO',
+    description: 'Adds γ∇(½‖v‖²) to the game field v, pulling both players toward points where the field vanishes.'
+  }
+];
+
+export const DEFAULT_UPDATE_RULE = 'simultaneous';
+
+// Weight γ of the consensus regularizer, in grid units
+export const DEFAULT_CONSENSUS_WEIGHT = 200;
+
+/**
+ * Looks up an update rule, falling back to simultaneous GDA
+ *
+ * @param {string} id - Update rule identifier
+ * @returns {Object} - Update rule definition
+ */
+export const getUpdateRule = (id) =>
+  UPDATE_RULES.find(rule => rule.id === id) ||
+  UPDATE_RULES.find(rule => rule.id === DEFAULT_UPDATE_RULE);
+
+/**
+ * The update rule that applies in a game mode: coupled-only rules fall back to
+ * simultaneous GDA in the independent game
+ *
+ * @param {string} id - Update rule identifier
+ * @param {string} gameMode - Game mode identifier (see GAME_MODES)
+ * @returns {Object} - Update rule definition
+ */
+export const resolveUpdateRule = (id, gameMode) => {
+  const rule = getUpdateRule(id);
+  return rule.coupledOnly && gameMode !== 'coupled' ? getUpdateRule(DEFAULT_UPDATE_RULE) : rule;
+};
+
+const addPoint = (point, step) => ({ x: point.x + step.dx, y: point.y + step.dy });
+
+const combine = (a, b, weightA, weightB) => ({
+  dx: weightA * a.dx + weightB * b.dx,
+  dy: weightA * a.dy + weightB * b.dy
+});
+
+/**
+ * Gradient of ½‖v‖² with respect to both players' coordinates, by central differences
+ * The field is evaluated without noise so the regularizer itself is deterministic
+ */
+const consensusGradient = (defender, adversary, defenderField, adversaryField, h = 1) => {
+  const halfNormSquared = (def, adv) => {
+    const d = defenderField(def, adv, false);
+    const a = adversaryField(def, adv, false);
+    return 0.5 * (d.dx * d.dx + d.dy * d.dy + a.dx * a.dx + a.dy * a.dy);
+  };
+
+  const partial = (shift) =>
+    (halfNormSquared(...shift(h)) - halfNormSquared(...shift(-h))) / (2 * h);
+
+  return {
+    defender: {
+      dx: partial(e => [{ x: defender.x + e, y: defender.y }, adversary]),
+      dy: partial(e => [{ x: defender.x, y: defender.y + e }, adversary])
+    },
+    adversary: {
+      dx: partial(e => [defender, { x: adversary.x + e, y: adversary.y }]),
+      dy: partial(e => [defender, { x: adversary.x, y: adversary.y + e }])
+    }
+  };
+};
+
+/**
+ * Computes both players' steps under the chosen update rule
+ *
+ * @param {string} ruleId - Update rule identifier (see UPDATE_RULES)
+ * @param {Object} context - {
+ *   defender, adversary,                 current positions
+ *   defenderField(def, adv, noisy),      gradient the defender minimizes
+ *   adversaryField(def, adv, noisy),     gradient the adversary minimizes (i.e. -∇L)
+ *   optimizers, optimizerState,          per-player optimizer configs and buffers
+ *   defenseStrength, attackStrength,
+ *   consensusWeight
+ * }
+ * @returns {Object} - { defenderStep, adversaryStep, optimizerState }
+ */
+export const applyUpdateRule = (ruleId, context) => {
+  const {
+    defender,
+    adversary,
+    defenderField,
+    adversaryField,
+    optimizers = {},
+    optimizerState = {},
+    defenseStrength,
+    attackStrength,
+    consensusWeight = DEFAULT_CONSENSUS_WEIGHT
+  } = context;
+
+  const defenderConfig = optimizers.defender || createOptimizerConfig();
+  const adversaryConfig = optimizers.adversary || createOptimizerConfig();
+  const defenderState = optimizerState.defender || createOptimizerState();
+  const adversaryState = optimizerState.adversary || createOptimizerState();
+
+  const stepDefender = (gradient) => optimizerStep(defenderConfig, defenderState, gradient, defenseStrength);
+  const stepAdversary = (gradient) => optimizerStep(adversaryConfig, adversaryState, gradient, attackStrength);
+
+  const result = (defenderUpdate, adversaryUpdate) => ({
+    defenderStep: defenderUpdate.step,
+    adversaryStep: adversaryUpdate.step,
+    optimizerState: { defender: defenderUpdate.state, adversary: adversaryUpdate.state }
+  });
+
+  switch (getUpdateRule(ruleId).id) {
+    case 'alternating': {
+      const defenderUpdate = stepDefender(defenderField(defender, adversary, true));
+      const movedDefender = addPoint(defender, defenderUpdate.step);
+      const adversaryUpdate = stepAdversary(adversaryField(movedDefender, adversary, true));
+      return result(defenderUpdate, adversaryUpdate);
+    }
+
+    case 'extragradient': {
+      // Extrapolation: peek one step ahead without committing the optimizer buffers
+      const lookahead = {
+        defender: addPoint(defender, stepDefender(defenderField(defender, adversary, true)).step),
+        adversary: addPoint(adversary, stepAdversary(adversaryField(defender, adversary, true)).step)
+      };
+      // Update: step from the original point with the gradient at the look-ahead point
+      return result(
+        stepDefender(defenderField(lookahead.defender, lookahead.adversary, true)),
+        stepAdversary(adversaryField(lookahead.defender, lookahead.adversary, true))
+      );
+    }
+
+    case 'optimistic': {
+      const defenderGradient = defenderField(defender, adversary, true);
+      const adversaryGradient = adversaryField(defender, adversary, true);
+      const previousDefender = defenderState.previousGradient || defenderGradient;
+      const previousAdversary = adversaryState.previousGradient || adversaryGradient;
+
+      // Remember this step's gradient for the next extrapolation
+      const remember = (update, gradient) => ({ ...update, state: { ...update.state, previousGradient: gradient } });
+
+      return result(
+        remember(stepDefender(combine(defenderGradient, previousDefender, 2, -1)), defenderGradient),
+        remember(stepAdversary(combine(adversaryGradient, previousAdversary, 2, -1)), adversaryGradient)
+      );
+    }
+
+    case 'consensus': {
+      const regularizer = consensusGradient(defender, adversary, defenderField, adversaryField);
+      return result(
+        stepDefender(combine(defenderField(defender, adversary, true), regularizer.defender, 1, consensusWeight)),
+        stepAdversary(combine(adversaryField(defender, adversary, true), regularizer.adversary, 1, consensusWeight))
+      );
+    }
+
+    case 'simultaneous':
+    default:
+      return result(
+        stepDefender(defenderField(defender, adversary, true)),
+        stepAdversary(adversaryField(defender, adversary, true))
+      );
+  }
+};